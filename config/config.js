@@ -32,6 +32,54 @@ const config = {
     max: parseInt(process.env.STAFF_RATE_LIMIT_MAX, 10) || 60,
   },
 
+  // SSE streaming
+  streaming: {
+    // Protocol used when the client doesn't ask for one (1 = full content per token, 2 = deltas)
+    defaultProtocol: parseInt(process.env.SSE_DEFAULT_PROTOCOL, 10) || 1,
+    // v2 only: tokens generated within this window are sent as one event
+    coalesceMs: process.env.SSE_COALESCE_MS !== undefined ? parseInt(process.env.SSE_COALESCE_MS, 10) : 30,
+    heartbeatIntervalMs: 15000,
+    // How long generation continues after the client disconnects, waiting for a resume
+    resumeGraceMs: parseInt(process.env.SSE_RESUME_GRACE_MS, 10) || 30000,
+    // Events kept per stream for Last-Event-ID replay
+    maxBufferedEvents: 5000,
+  },
+
+  // Prompt-injection guard for patient messages: 'refuse' (reject the message), 'strip' (remove
+  // the matched text) or 'flag' (keep it and raise a handoff request for staff)
+  injectionGuard: {
+    policy: process.env.INJECTION_GUARD_POLICY || 'flag',
+  },
+
+  // Safety rule sets published to the database (services/safety-rule-store.js)
+  safetyRuleSets: {
+    // How often each instance checks for a newly published version (0 = only at startup)
+    pollIntervalMs: process.env.SAFETY_RULES_POLL_MS !== undefined ? parseInt(process.env.SAFETY_RULES_POLL_MS, 10) : 30000,
+  },
+
+  // Knowledge-base documents managed through /api/admin/kb (services/knowledge-store.js)
+  knowledgeBase: {
+    // How often each instance re-indexes documents changed by another instance (0 = only at startup)
+    pollIntervalMs: process.env.KNOWLEDGE_POLL_MS !== undefined ? parseInt(process.env.KNOWLEDGE_POLL_MS, 10) : 60000,
+    maxDocumentBytes: parseInt(process.env.KNOWLEDGE_MAX_DOCUMENT_KB || '512', 10) * 1024,
+  },
+
+  // MDSystem API called by the assistant's tools (services/mdsystem-client.js)
+  // `npm run mock:mdsystem` serves a local stub at the default URL
+  mdsystem: {
+    apiUrl: (process.env.MDSYSTEM_API_URL || 'http://localhost:3010/api/chatbot').replace(/\/+$/, ''),
+    apiKey: process.env.MDSYSTEM_API_KEY || null,
+  },
+
+  // Self-harm crisis protocol
+  crisis: {
+    // Selects the hotline list in safetyRules.crisisResponse.hotlines
+    region: process.env.CRISIS_REGION || 'PH',
+    // Scripted check-in while waiting for staff to take over
+    checkInIntervalMs: parseInt(process.env.CRISIS_CHECK_IN_INTERVAL_MS, 10) || 120000,
+    maxCheckIns: parseInt(process.env.CRISIS_MAX_CHECK_INS, 10) || 10,
+  },
+
   // CORS
   corsOrigins: process.env.CORS_ORIGINS
     ? process.env.CORS_ORIGINS.split(',').map(s => s.trim())
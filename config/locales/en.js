@@ -0,0 +1,115 @@
+/**
+ * English Locale (default)
+ * English safety keywords and response texts are the managed rules in config/safety-rules.js,
+ * published and versioned through the safety rule store; this catalog holds the other texts.
+ */
+
+module.exports = {
+  name: 'English',
+
+  // Other codes the proxy may send for this locale
+  aliases: ['english'],
+
+  greeting: {
+    safety: 'Hello! I\'m your AI medical assistant. How can I help you today?\n\n' +
+      'You can ask me about general health questions, symptom information, or wellness tips.\n\n' +
+      'Note: I provide general health information only, not professional medical advice.',
+    general: 'Hello! How can I help you?',
+  },
+
+  // Appended to the system prompt
+  promptInstruction: 'Always reply in English.',
+
+  // Common words that identify the language (words shared with other locales, like "may", are left out)
+  detectionWords: [
+    'the', 'and', 'is', 'are', 'was', 'i', 'i\'m', 'my', 'me', 'you', 'your', 'have', 'has', 'had',
+    'what', 'how', 'why', 'when', 'where', 'can', 'should', 'do', 'does', 'did', 'it', 'this', 'that',
+    'with', 'for', 'of', 'to', 'in', 'on', 'been', 'feel', 'feeling', 'since', 'after', 'about',
+    'please', 'thanks', 'thank', 'hurts', 'because', 'not', 'just', 'very',
+  ],
+
+  // Appointment requests (detectBookingIntent, services/booking-service.js). The matching data of
+  // all locales is combined like the safety keywords; rule ids are the intents.
+  bookingRules: {
+    // Read alike before matching, so "book a consultation" counts as "book an appointment"
+    synonyms: [
+      ['appointment', 'appointments', 'appt', 'consultation', 'consult', 'check up', 'checkup', 'booking'],
+      ['a', 'an', 'the', 'my', 'our'],
+      ['book', 'make', 'set up', 'schedule'],
+      ['cancel', 'call off'],
+    ],
+    // Between a negation and the request: "I don't want to cancel my appointment"
+    negationBridges: ['want', 'need', 'like', 'to'],
+    rules: [
+      { id: 'reschedule', phrases: ['reschedule', 'rebook', 'move my appointment', 'change my appointment', 'postpone my appointment', "can't make it to my appointment"] },
+      { id: 'cancel', phrases: ['cancel my appointment', 'cancel appointment'] },
+      { id: 'book', phrases: ['book an appointment', 'book appointment', 'need an appointment', 'want an appointment', 'like an appointment', 'want to get an appointment', 'like to get an appointment', 'need to get an appointment', 'book with dr', 'book a slot'] },
+    ],
+    dates: {
+      today: ['today'],
+      tomorrow: ['tomorrow', 'tmrw', 'tmr'],
+      dayAfterTomorrow: ['day after tomorrow'],
+      // Sunday first
+      weekdays: [
+        ['sunday', 'sun'], ['monday', 'mon'], ['tuesday', 'tue', 'tues'], ['wednesday', 'wed'],
+        ['thursday', 'thu', 'thurs'], ['friday', 'fri'], ['saturday', 'sat'],
+      ],
+      months: [
+        ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'], ['may'], ['june', 'jun'],
+        ['july', 'jul'], ['august', 'aug'], ['september', 'sept', 'sep'], ['october', 'oct'], ['november', 'nov'],
+        ['december', 'dec'],
+      ],
+    },
+    // An answer starting with one of these ends the request
+    stopPhrases: ['never mind', 'nevermind', 'forget it', 'stop', 'no thanks', 'cancel that', 'cancel the request'],
+    anyDoctorPhrases: ['any doctor', 'any', 'anyone', 'no preference', 'whoever is available', 'whoever', "doesn't matter"],
+    // Words before a doctor's name ("Dr. Santos"); the name ends at a stop word
+    doctorTitles: ['dr', 'dra', 'doc', 'doctor'],
+    // (also the words of answers that aren't a name: "not sure yet", "idk")
+    nameStopWords: [
+      'on', 'for', 'at', 'this', 'next', 'please', 'and', 'to', 'about', 'in', 'because', 'is', 'would',
+      'i', 'my', 'you', 'who', 'that', 'the', 'a', 'an',
+      'not', 'sure', 'unsure', 'yet', 'know', "don't", 'dont', 'idk', 'dunno', 'maybe', 'yes', 'no', 'ok', 'okay',
+      'thanks', 'thank', 'whoever', 'someone', 'somebody', 'nobody',
+    ],
+  },
+
+  // Scripted texts of the appointment flow; {doctor}, {date} are filled in
+  booking: {
+    start: {
+      book: 'I can help you request an appointment.',
+      reschedule: 'I can help you move your appointment.',
+      cancel: 'I can help you cancel your appointment.',
+    },
+    questions: {
+      book: {
+        doctor: 'Which doctor would you like to see? You can also say "any doctor".',
+        date: 'What date would you prefer? For example "tomorrow", "next Friday" or a date.',
+        reason: 'What is the main reason for the consultation?',
+      },
+      reschedule: {
+        doctor: 'Which doctor is the appointment with?',
+        date: 'What new date would you prefer?',
+      },
+      cancel: {
+        doctor: 'Which doctor is the appointment with?',
+        date: 'What is the date of the appointment?',
+      },
+    },
+    retry: {
+      doctor: 'Sorry, I didn\'t get the doctor\'s name.',
+      date: 'Sorry, I didn\'t get the date, or it has already passed.',
+      reason: 'Sorry, I didn\'t get that.',
+    },
+    ready: {
+      book: 'Thank you! Your request to see {doctor} on {date} is ready. Please choose an open time on the booking screen to confirm it. I can\'t see or hold appointment times myself.',
+      reschedule: 'Thank you! Your request to move your appointment with {doctor} to {date} is ready. Please choose an open time on the booking screen to confirm it. I can\'t see or hold appointment times myself.',
+      cancel: 'Thank you! Your request to cancel your appointment with {doctor} on {date} is ready. Please confirm the cancellation on the booking screen.',
+    },
+    stopped: 'Okay, I\'ve dropped the appointment request. Is there anything else I can help you with?',
+    doctor: 'Dr. {name}',
+    anyDoctor: 'any available doctor',
+    // Locale for formatting {date}
+    dateLocale: 'en-US',
+  },
+};
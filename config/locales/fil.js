@@ -0,0 +1,194 @@
+/**
+ * Filipino Locale
+ * Texts and safety keywords for patients writing in Filipino (Tagalog)
+ *
+ * Rules with the id of an English rule in config/safety-rules.js add their phrases to that
+ * rule (so "masakit ang dibdib" and "chest pain" count once, as chest-pain); new ids are added
+ * as rules of their own. Response texts replace the English ones for Filipino sessions;
+ * anything not listed (the crisis hotlines, for example) falls back to the English rules.
+ */
+
+module.exports = {
+  name: 'Filipino',
+
+  // Other codes the proxy may send for this locale
+  aliases: ['tl', 'tagalog', 'filipino'],
+
+  greeting: {
+    safety: 'Kumusta! Ako ang iyong AI medical assistant. Paano kita matutulungan ngayon?\n\n' +
+      'Maaari kang magtanong tungkol sa pangkalahatang kalusugan, mga sintomas, o mga payo para manatiling malusog.\n\n' +
+      'Paalala: Pangkalahatang impormasyong pangkalusugan lamang ang maibibigay ko, hindi propesyonal na payong medikal.',
+    general: 'Kumusta! Paano kita matutulungan?',
+  },
+
+  promptInstruction: 'The patient writes in Filipino (Tagalog). Always reply in Filipino; ' +
+    'common English medical terms may be used where they are clearer.',
+
+  detectionWords: [
+    'ang', 'ng', 'nang', 'mga', 'sa', 'ako', 'ko', 'ikaw', 'mo', 'ka', 'siya', 'niya', 'kami', 'namin',
+    'tayo', 'natin', 'sila', 'nila', 'po', 'opo', 'ba', 'na', 'pa', 'lang', 'lamang', 'din', 'rin', 'di',
+    'naman', 'kasi', 'pero', 'kung', 'yung', 'ito', 'iyan', 'hindi', 'wala', 'walang', 'meron',
+    'mayroon', 'masakit', 'sakit', 'sumasakit', 'ano', 'paano', 'bakit', 'saan', 'kailan', 'gamot',
+    'lagnat', 'ubo', 'sipon', 'ulo', 'tiyan', 'salamat', 'kumusta', 'tulong', 'ngayon', 'kahapon', 'dahil',
+  ],
+
+  emergencyRules: {
+    rules: [
+      { id: 'chest-pain', phrases: ['masakit ang dibdib', 'sumasakit ang dibdib', 'sakit sa dibdib', 'masakit ang chest', 'kirot sa dibdib', 'naninikip ang dibdib', 'paninikip ng dibdib'] },
+      { id: 'heart-attack', phrases: ['atake sa puso', 'inatake sa puso', 'inaatake sa puso'] },
+      { id: 'breathing', phrases: ['hindi makahinga', 'hindi ako makahinga', 'hirap huminga', 'hirap akong huminga', 'nahihirapang huminga', 'nahihirapan akong huminga', 'kinakapos ng hininga'] },
+      { id: 'severe-bleeding', phrases: ['hindi tumitigil ang pagdurugo', 'hindi tumitigil ang dugo', 'malakas ang pagdurugo', 'maraming dugo'] },
+      { id: 'choking', phrases: ['nabulunan', 'nabibilaukan'] },
+      { id: 'stroke', phrases: ['tabingi ang mukha', 'biglang nabulol'] },
+      { id: 'seizure', phrases: ['nangingisay', 'kinukumbulsyon', 'kumbulsyon', 'kombulsyon'] },
+      { id: 'unconscious', phrases: ['walang malay', 'nawalan ng malay', 'nawalan ng ulirat', 'hindi magising'] },
+      { id: 'overdose', phrases: ['nasobrahan sa gamot', 'sobrang dami ng ininom na gamot'] },
+      { id: 'severe-pain', phrases: ['matinding sakit'] },
+      { id: 'anaphylaxis', phrases: ['sumasara ang lalamunan', 'nagsasara ang lalamunan'] },
+      { id: 'radiating-pain', phrases: ['masakit ang kaliwang braso', 'sakit sa kaliwang braso', 'masakit ang panga'] },
+      { id: 'cold-sweat', phrases: ['malamig na pawis', 'pinagpapawisan ng malamig'] },
+    ],
+  },
+
+  selfHarmRules: {
+    rules: [
+      { id: 'suicidal', phrases: ['magpakamatay', 'magpapakamatay', 'pagpapakamatay'] },
+      { id: 'kill-myself', phrases: ['patayin ang sarili ko', 'papatayin ko ang sarili ko', 'tapusin ang buhay ko', 'wakasan ang buhay ko'] },
+      { id: 'want-to-die', phrases: ['gusto ko nang mamatay', 'ayoko nang mabuhay', 'mas mabuti pang mamatay'] },
+      { id: 'self-harm', phrases: ['saktan ang sarili ko', 'sinasaktan ko ang sarili ko', 'sinaktan ko ang sarili ko', 'naglalaslas', 'naglaslas'] },
+      { id: 'hopelessness', phrases: ['wala nang pag-asa', 'walang pag-asa', 'hindi ko na kaya'] },
+    ],
+  },
+
+  urgentRules: {
+    rules: [
+      { id: 'high-fever', phrases: ['mataas na lagnat', 'mataas ang lagnat'] },
+      { id: 'blood-in-stool', phrases: ['dugo sa dumi', 'may dugo ang dumi'] },
+      { id: 'blood-in-urine', phrases: ['dugo sa ihi', 'may dugo ang ihi'] },
+      { id: 'worsening', phrases: ['lumalala', 'palala nang palala'] },
+      { id: 'severe-vomiting', phrases: ['hindi tumitigil ang pagsusuka', 'walang tigil na pagsusuka', 'suka nang suka'] },
+      { id: 'infection', phrases: ['impeksyon', 'impeksiyon', 'nagnanana'] },
+    ],
+  },
+
+  prohibitedRules: {
+    rules: [
+      { id: 'abortion', phrases: ['magpalaglag', 'pagpapalaglag', 'ipalaglag', 'pampalaglag'] },
+      { id: 'drug-synthesis', phrases: ['gumawa ng shabu', 'magluto ng shabu'] },
+      { id: 'self-surgery', phrases: ['operahan ang sarili', 'operahan ko ang sarili ko'] },
+    ],
+  },
+
+  synonyms: [
+    ['hindi', 'di', 'hnd'],
+    ['ayoko', 'ayaw ko'],
+    // Often swapped in writing
+    ['nang', 'ng'],
+  ],
+
+  matching: {
+    negationCues: ['hindi', 'wala', 'walang', 'huwag', 'wag'],
+    negationBridges: ['ako', 'akong', 'po', 'naman'],
+  },
+
+  bookingRules: {
+    synonyms: [
+      ['a', 'ang', 'yung', 'ung', 'aking'],
+      ['ikansela', 'kanselahin', 'i cancel', 'icancel', 'ipa cancel', 'ipacancel'],
+      ['magpa', 'mag'],
+    ],
+    negationBridges: ['ko', 'kong', 'gusto', 'gustong', 'kailangan', 'kailangang', 'na', 'po'],
+    rules: [
+      { id: 'reschedule', phrases: ['ilipat ang appointment', 'palitan ang appointment', 'palitan ang schedule', 'ilipat ang schedule'] },
+      { id: 'cancel', phrases: ['ikansela ang appointment', 'ikansela ang schedule'] },
+      { id: 'book', phrases: ['magpa appointment', 'magpa book', 'magpaschedule', 'magpakonsulta', 'magpa konsulta', 'magpatingin sa doktor'] },
+    ],
+    dates: {
+      today: ['ngayon', 'ngayong araw'],
+      tomorrow: ['bukas'],
+      dayAfterTomorrow: ['makalawa', 'sa makalawa'],
+      weekdays: [['linggo'], ['lunes'], ['martes'], ['miyerkules', 'miyerkoles'], ['huwebes'], ['biyernes'], ['sabado']],
+      months: [
+        ['enero'], ['pebrero', 'febrero'], ['marso'], ['abril'], ['mayo'], ['hunyo'],
+        ['hulyo'], ['agosto'], ['setyembre', 'septiyembre'], ['oktubre'], ['nobyembre'], ['disyembre'],
+      ],
+    },
+    stopPhrases: ['huwag na', 'wag na', 'ayoko na', 'hindi na lang', 'kalimutan mo na'],
+    anyDoctorPhrases: ['kahit sino', 'kahit sinong doktor', 'kahit sinong doctor'],
+    doctorTitles: ['doktor', 'doktora'],
+    nameStopWords: ['sa', 'po', 'para', 'ng', 'at', 'kasi', 'dahil', 'na', 'hindi', 'ko', 'alam', 'sigurado', 'ewan', 'oo', 'siguro', 'pa'],
+  },
+
+  booking: {
+    start: {
+      book: 'Matutulungan kitang humiling ng appointment.',
+      reschedule: 'Matutulungan kitang ilipat ang iyong appointment.',
+      cancel: 'Matutulungan kitang ikansela ang iyong appointment.',
+    },
+    questions: {
+      book: {
+        doctor: 'Sinong doktor ang gusto mong puntahan? Puwede mo ring sabihing "kahit sinong doktor".',
+        date: 'Anong petsa ang gusto mo? Halimbawa: "bukas", "sa Biyernes" o isang petsa.',
+        reason: 'Ano ang pangunahing dahilan ng konsultasyon?',
+      },
+      reschedule: {
+        doctor: 'Sa sinong doktor ang appointment mo?',
+        date: 'Anong bagong petsa ang gusto mo?',
+      },
+      cancel: {
+        doctor: 'Sa sinong doktor ang appointment mo?',
+        date: 'Anong petsa ang appointment mo?',
+      },
+    },
+    retry: {
+      doctor: 'Pasensya na, hindi ko nakuha ang pangalan ng doktor.',
+      date: 'Pasensya na, hindi ko nakuha ang petsa, o lumipas na ito.',
+      reason: 'Pasensya na, hindi ko iyon nakuha.',
+    },
+    ready: {
+      book: 'Salamat! Handa na ang iyong request na magpatingin kay {doctor} sa {date}. Pumili ng bakanteng oras sa booking screen para kumpirmahin ito. Hindi ko nakikita o naire-reserve ang mga oras ng appointment.',
+      reschedule: 'Salamat! Handa na ang iyong request na ilipat sa {date} ang appointment mo kay {doctor}. Pumili ng bakanteng oras sa booking screen para kumpirmahin ito. Hindi ko nakikita o naire-reserve ang mga oras ng appointment.',
+      cancel: 'Salamat! Handa na ang iyong request na ikansela ang appointment mo kay {doctor} sa {date}. Kumpirmahin ang pagkansela sa booking screen.',
+    },
+    stopped: 'Sige, itinigil ko na ang appointment request. May iba pa ba akong maitutulong?',
+    doctor: 'Dr. {name}',
+    anyDoctor: 'kahit sinong available na doktor',
+    dateLocale: 'fil-PH',
+  },
+
+  emergencyResponse: {
+    message: 'Maaaring ito ay isang medical emergency. Tumawag agad sa emergency services o pumunta kaagad sa pinakamalapit na ER.',
+  },
+
+  urgentResponse: {
+    message: 'Batay sa iyong mga sintomas, dapat kang magpatingin sa doktor sa lalong madaling panahon.',
+  },
+
+  refusalResponse: {
+    message: 'Hindi ako makapagbibigay ng impormasyon tungkol sa paksang ito. Mangyaring kumonsulta sa isang healthcare provider.',
+  },
+
+  validationFallbackResponse: {
+    message: 'Paumanhin, hindi ako makapagbibigay ng angkop na sagot diyan. ' +
+      'Mangyaring kumonsulta sa isang healthcare professional para sa tamang payo.',
+  },
+
+  crisisResponse: {
+    message: 'Lubos akong nalulungkot na ganito ang nararamdaman mo, at salamat at sinabi mo ito sa akin. Hindi mo kailangang harapin ito nang mag-isa. ' +
+      'Naabisuhan na ang isang miyembro ng aming care team at sasali siya sa chat na ito sa lalong madaling panahon.\n\n' +
+      'Kung ikaw ay nasa agarang panganib o baka gawin mo ang mga naiisip mo, pakitawagan ngayon ang isa sa mga numerong ito. Libre ang mga ito at bukas 24/7:\n' +
+      '{hotlines}',
+    replies: [
+      'Salamat sa pagsasabi mo sa akin. Makakasama mo na ang isang miyembro ng aming care team sa ilang sandali. ' +
+        'Kung hindi ka ligtas ngayon, pakitawagan ang isa sa mga numerong ito:\n{hotlines}',
+      'Nandito pa rin ako, at papunta na sa chat na ito ang isang miyembro ng aming team. ' +
+        'Maaari ka ring makipag-usap ngayon din sa isang sinanay na counselor:\n{hotlines}',
+    ],
+    checkIns: [
+      'Nandito pa rin ako para sa iyo. Malapit nang sumali ang isang miyembro ng aming care team. Nasa ligtas na lugar ka ba ngayon?',
+      'Mahalaga ka, at parating na ang tulong. Kung kaya mo, manatili kasama ang isang taong pinagkakatiwalaan mo hanggang sumali ang aming team. ' +
+        'Bukas ngayon ang mga crisis line:\n{hotlines}',
+      'Naabisuhan na ang aming team at sasali sila sa lalong madaling panahon. Kung kailangan mo ng makakausap ngayon din, tumawag sa isang crisis line:\n{hotlines}',
+    ],
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Locales
+ * Supported patient languages: one catalog module per language, keyed by language code
+ * (kept out of config/config.js so offline scripts can evaluate the safety rules without a .env)
+ */
+
+module.exports = {
+  // Greeting and texts until a language is passed by the proxy or detected
+  defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en',
+
+  detection: {
+    // A message switches the session language only with this many recognized words...
+    minWords: parseInt(process.env.LANGUAGE_DETECTION_MIN_WORDS, 10) || 2,
+    // ...of which at least this share belongs to the detected language
+    minConfidence: 0.6,
+  },
+
+  catalogs: {
+    en: require('./en'),
+    fil: require('./fil'),
+  },
+};
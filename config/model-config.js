@@ -4,26 +4,66 @@
  */
 
 const path = require('path');
+const os = require('os');
 
-// Model Settings - modelPath only needed if AUTO_START_LLAMA=true
-// const os = require('os');
-// const expandPath = (p) => p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+const expandPath = (p) => p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
 
 module.exports = {
   // Safety Mode Toggle (true = full medical safety, false = fast plain mode)
   safetyMode: process.env.MEDICAL_SAFETY_MODE === 'true',
 
-  // Server Configuration (llama-server managed by mdsystem-ai.service)
+  // Model Settings - modelPath only needed if AUTO_START_LLAMA=true or on-demand mode
+  modelPath: process.env.LLAMA_MODEL_PATH ? expandPath(process.env.LLAMA_MODEL_PATH) : null,
+
+  // Server Configuration (llama-server managed by mdsystem-ai.service, or by the supervisor)
   llamaServer: {
     host: process.env.LLAMA_SERVER_HOST || 'localhost',
     port: process.env.LLAMA_SERVER_PORT || 8080,
     timeout: parseInt(process.env.LLAMA_REQUEST_TIMEOUT || '300000', 10),
     healthCheckTimeout: parseInt(process.env.LLAMA_HEALTH_CHECK_TIMEOUT || '120000', 10),
+    // Upstream pool — comma-separated host:port or URLs; defaults to the single host/port above
+    upstreams: process.env.LLAMA_UPSTREAMS
+      ? process.env.LLAMA_UPSTREAMS.split(',').map(s => s.trim()).filter(Boolean)
+      : [`${process.env.LLAMA_SERVER_HOST || 'localhost'}:${process.env.LLAMA_SERVER_PORT || 8080}`],
+    healthCheckIntervalMs: parseInt(process.env.LLAMA_HEALTH_CHECK_INTERVAL_MS || '10000', 10),
+    // Idle time after which a session stops being pinned to its upstream
+    stickyTtlMs: 30 * 60 * 1000,
+
+    // Supervised process (AUTO_START_LLAMA=true / on-demand)
+    serverBin: process.env.LLAMA_SERVER_BIN || 'llama-server',
+    threads: parseInt(process.env.LLAMA_THREADS, 10) || os.cpus().length,
+    // Extra llama-server flags, whitespace-separated (e.g. "-ngl 99 --parallel 2")
+    extraArgs: (process.env.LLAMA_SERVER_ARGS || '').split(/\s+/).filter(Boolean),
+    startupTimeout: parseInt(process.env.LLAMA_STARTUP_TIMEOUT || '120000', 10),
+    shutdownTimeout: parseInt(process.env.LLAMA_SHUTDOWN_TIMEOUT || '10000', 10),
+  },
+
+  // Crash handling for the supervised llama-server process
+  supervisor: {
+    restartOnCrash: process.env.LLAMA_RESTART_ON_CRASH !== 'false',
+    restartBaseDelayMs: 2000,
+    restartMaxDelayMs: 60000,
+    // Consecutive crashes (each within stableAfterMs of starting) before giving up
+    maxRestarts: 5,
+    stableAfterMs: 60000,
+    // Recent stdout/stderr lines kept for the admin status endpoint
+    logBufferLines: 200,
   },
 
-  // On-Demand disabled — llama is externally managed
+  // Inference backend adapter
+  // 'llamacpp' = llama-server /completion (raw prompt)
+  // 'openai'   = any OpenAI-compatible /v1/chat/completions server (vLLM, llama.cpp, LM Studio)
+  // 'ollama'   = Ollama /api/chat
+  backend: {
+    adapter: process.env.LLM_BACKEND || 'llamacpp',
+    model: process.env.LLM_MODEL_NAME || null,
+    apiKey: process.env.LLM_API_KEY || null,
+  },
+
+  // On-Demand — start llama-server on first request, stop it after the idle timeout
   onDemand: {
-    enabled: false,
+    enabled: process.env.LLAMA_ON_DEMAND === 'true',
+    idleTimeoutMinutes: parseInt(process.env.LLAMA_IDLE_TIMEOUT_MINUTES || '15', 10),
   },
 
   // Generation Parameters
@@ -34,18 +74,153 @@ module.exports = {
     repeatPenalty: 1.15,
     maxTokens: 300,
     contextSize: 4096,
-    stop: ['\n\nUser:', '\n\nHuman:', 'User:', 'Human:'],
   },
 
+  // Generation queue — urgent chat first, staff copilot and background work last
+  queue: {
+    // Defaults to one generation per upstream
+    concurrency: parseInt(process.env.LLAMA_QUEUE_CONCURRENCY, 10)
+      || (process.env.LLAMA_UPSTREAMS ? process.env.LLAMA_UPSTREAMS.split(',').filter(s => s.trim()).length : 1),
+    maxQueueSize: parseInt(process.env.LLAMA_QUEUE_MAX_SIZE || '50', 10),
+    // Assumed generation time until real durations have been measured
+    initialEstimateMs: 15000,
+  },
+
+  // llama.cpp prompt cache — reuse the KV cache of a session's unchanged prompt prefix
+  promptCache: {
+    enabled: process.env.LLAMA_CACHE_PROMPT !== 'false',
+    // Pin each session to one slot (id_slot) so its cache isn't evicted by other sessions
+    pinSlots: process.env.LLAMA_PIN_SLOTS !== 'false',
+  },
+
+  // Context assembly — recent turns are packed into contextSize minus maxTokens
+  context: {
+    // Upper bound on history rows fetched before token packing
+    maxHistoryMessages: parseInt(process.env.CONTEXT_MAX_HISTORY_MESSAGES || '50', 10),
+    // Allowance for template/role tokens around each turn
+    perMessageOverheadTokens: 8,
+    // Safety margin so estimator error never overflows the window
+    reserveTokens: 64,
+    // Local estimate when the backend has no /tokenize endpoint
+    charsPerToken: 3.5,
+    // When trimming is unavoidable, trim down to this share of the budget so the
+    // window start (and the cached prompt prefix) stays put for the next few turns
+    trimTargetRatio: 0.75,
+  },
+
+  // Rolling summaries of turns that no longer fit the context window
+  summary: {
+    enabled: process.env.CONVERSATION_SUMMARY_ENABLED !== 'false',
+    // Wait until this many turns have fallen out of context before re-summarizing
+    minDroppedMessages: 4,
+    maxTokens: 200,
+    temperature: 0.2,
+    prompt: 'You summarize medical support chats for the assistant\'s own memory. Write a brief, neutral summary of the conversation below: symptoms the patient reported (with onset, duration and severity), medications, allergies, relevant history, and advice already given. Do not diagnose or add information that is not in the conversation. Use plain sentences, under 120 words.',
+  },
+
+  // Second-pass safety classifier: the model labels patient messages and reviews its own
+  // drafts with JSON-constrained output, combined with the keyword rules by `policy`:
+  //   any-flag        — flagged if the rules or the classifier flag it
+  //   both-flag       — flagged only if both agree (fewer false positives such as "no chest pain")
+  //   classifier-only — the classifier decides; the rules are used only if it fails
+  // Self-harm is the exception under every policy: a rule match always stands, the classifier
+  // can only add flags.
+  safetyClassifier: {
+    enabled: process.env.SAFETY_CLASSIFIER_ENABLED === 'true',
+    policy: process.env.SAFETY_CLASSIFIER_POLICY || 'any-flag',
+    maxTokens: 120,
+    temperature: 0,
+    messagePrompt: 'You are a triage classifier for a medical clinic chat. Label the patient message with exactly one category: "emergency" (possible life-threatening situation needing emergency services now, including paraphrases such as crushing chest pressure or not being able to breathe), "urgent" (should see a clinician soon), "self-harm" (thoughts or plans of suicide or self-injury), "prohibited" (asks for something the clinic chat must not help with, such as drug synthesis or self-surgery), or "normal". Negated symptoms ("no chest pain") are not emergencies. Give a short reason.',
+    responsePrompt: 'You review draft replies from a medical clinic\'s AI assistant before the patient sees them. Mark the draft "unsafe" if it diagnoses the patient, prescribes or doses medication, advises stopping or changing medication, or gives dangerous advice; otherwise "safe". Give a short reason.',
+  },
+
+  // Clinic knowledge base: FAQs, handouts and policies (Markdown, text, HTML) in `dir`,
+  // chunked into passages and retrieved by BM25 keyword search. The best passages go in front
+  // of the patient's message and come back to the client as citations.
+  knowledge: {
+    enabled: process.env.KNOWLEDGE_BASE_ENABLED !== 'false',
+    dir: process.env.KNOWLEDGE_DIR ? expandPath(process.env.KNOWLEDGE_DIR) : path.join(__dirname, '..', 'knowledge'),
+    chunk: {
+      maxWords: 120,
+      // Words repeated across a cut inside one long paragraph
+      overlapWords: 20,
+    },
+    topK: parseInt(process.env.KNOWLEDGE_TOP_K || '3', 10),
+    // BM25 score below which a passage is not relevant enough to inject
+    minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '1.0'),
+    bm25: { k1: 1.2, b: 0.75 },
+    // Optional re-ranking by embedding similarity, computed by the local backend
+    // (llama-server needs --embedding). Falls back to BM25 alone if the backend has none.
+    embeddings: {
+      enabled: process.env.KNOWLEDGE_EMBEDDINGS === 'true',
+      // Share of the final score that comes from cosine similarity
+      weight: 0.5,
+      // BM25 candidates re-ranked per query
+      candidates: 20,
+      // Wait before embedding again after the backend failed or had no embeddings
+      retryMs: parseInt(process.env.KNOWLEDGE_EMBEDDINGS_RETRY_MS || '60000', 10),
+    },
+    promptHeader: 'Clinic information relevant to the patient\'s question is below. Use it when it answers the question and mention the source number like [1]. Do not invent clinic details (hours, prices, addresses, doctors) that are not in it.',
+  },
+
+  // Tool calling: before answering, the model may look things up in MDSystem (doctor schedules)
+  // with the server-side tools in services/tools. Each round the model picks one tool or none
+  // (JSON-constrained); results go in front of the patient's message for the final answer.
+  tools: {
+    enabled: process.env.TOOLS_ENABLED === 'true',
+    // Tool calls per patient message
+    maxRounds: 3,
+    // Per-call limit for tools that don't set their own timeoutMs
+    defaultTimeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS || '5000', 10),
+    // Tools the model may use in safety mode (all registered tools are available in fast mode)
+    safetyModeAllowlist: (process.env.TOOLS_SAFETY_MODE_ALLOWLIST || 'list_doctors,get_doctor_availability')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    // Longer results are cut so they can't crowd the conversation out of the context window
+    maxResultChars: 2000,
+    maxTokens: 150,
+    temperature: 0,
+    plannerPrompt: 'You decide whether the clinic system must be checked before answering the patient\'s last message. Pick the one tool that gets the missing information, or "none" if no tool is needed, if the results below already answer it, or if the message is not about the clinic. Only use values the patient gave; never guess names or dates.',
+    resultsHeader: 'Results from the clinic system for the patient\'s question are below. Answer from them; if a lookup failed or found nothing, say so and do not guess schedules, names or dates.',
+  },
+
+  // Appointment requests (book / reschedule / cancel): recognized by the bookingRules of the
+  // locales, then the missing details are asked for with scripted questions (services/booking-service.js).
+  // The finished request goes to the MDSystem frontend as an `action`; the model is not involved.
+  booking: {
+    enabled: process.env.BOOKING_INTENT_ENABLED !== 'false',
+    threshold: 1,
+    // Details collected per intent, asked in this order
+    slots: {
+      book: ['doctor', 'date', 'reason'],
+      reschedule: ['doctor', 'date'],
+      cancel: ['doctor', 'date'],
+    },
+    // Unusable answers to a question before the request is dropped and the message answered normally
+    maxAttempts: 2,
+    // Latest accepted date, in days from today
+    maxDaysAhead: 120,
+  },
+
+  // Prompt template for raw-prompt backends (llama.cpp /completion)
+  // 'auto' = detect from llama-server /props; or one of: llama3, chatml, mistral, gemma, phi, generic
+  // Stop strings and special-token cleanup come from the selected template
+  chatTemplate: process.env.LLAMA_CHAT_TEMPLATE || 'auto',
+
   // System Prompt for SAFETY MODE — kept short for small model context window
   systemPrompt: 'You are a medical support assistant. Provide general health info only. Never diagnose, prescribe, or give treatment plans. For emergencies (chest pain, breathing issues, severe bleeding, suicidal thoughts), direct to emergency services immediately. Decline non-health topics.',
 
   // No system prompt for FAST MODE — raw passthrough to the model
   systemPromptFast: '',
 
-  // Retry Configuration
+  // Retry Configuration — transient failures before the first token only
   retry: {
     maxAttempts: 3,
     delayMs: 1000,
   },
+
+  // Circuit breaker (per upstream) — fail fast with MODEL_UNAVAILABLE while every upstream is down
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.LLAMA_BREAKER_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.LLAMA_BREAKER_RESET_MS || '30000', 10),
+  },
 };
@@ -4,35 +4,159 @@
  */
 
 module.exports = {
-  // Emergency Keywords - Require immediate medical attention
-  emergencyKeywords: [
-    'chest pain', 'heart attack', "can't breathe", 'difficulty breathing',
-    'severe bleeding', 'choking', 'stroke', 'seizure', 'unconscious',
-    'suicidal', 'kill myself', 'overdose', 'severe pain', 'anaphylaxis',
-  ],
+  // Rule sets for detectEmergency / detectProhibitedTopic (matched by utils/rule-engine.js)
+  // Each rule adds its weight once when one of its phrases matches (and is not negated);
+  // the rule set triggers when the total reaches its threshold.
+  emergencyRules: {
+    threshold: 1,
+    rules: [
+      { id: 'chest-pain', phrases: ['chest pain', 'chest pressure', 'chest tightness', 'tight chest', 'crushing chest'], weight: 1 },
+      { id: 'heart-attack', phrases: ['heart attack', 'cardiac arrest'], weight: 1 },
+      { id: 'breathing', phrases: ["can't breathe", 'difficulty breathing', 'trouble breathing', 'struggling to breathe', 'not breathing'], weight: 1 },
+      { id: 'severe-bleeding', phrases: ['severe bleeding', 'bleeding heavily', "won't stop bleeding", "bleeding won't stop"], weight: 1 },
+      { id: 'choking', phrases: ['choking'], weight: 1, fuzzy: false },
+      { id: 'stroke', phrases: ['stroke', 'face drooping', 'slurred speech'], weight: 1, fuzzy: false },
+      { id: 'seizure', phrases: ['seizure', 'convulsions', 'convulsing'], weight: 1 },
+      { id: 'unconscious', phrases: ['unconscious', 'unresponsive', "won't wake up"], weight: 1 },
+      { id: 'overdose', phrases: ['overdose', 'overdosed', 'took too many pills'], weight: 1, fuzzy: false },
+      { id: 'severe-pain', phrases: ['severe pain'], weight: 1 },
+      { id: 'anaphylaxis', phrases: ['anaphylaxis', 'anaphylactic', 'throat closing', 'throat is closing'], weight: 1 },
+      // Weaker warning signs: two of them together trigger
+      { id: 'radiating-pain', phrases: ['left arm pain', 'pain in my left arm', 'jaw pain'], weight: 0.5 },
+      { id: 'cold-sweat', phrases: ['cold sweat', 'cold sweats', 'clammy'], weight: 0.5 },
+      { id: 'confusion', phrases: ['sudden confusion', 'very confused'], weight: 0.5 },
+    ],
+  },
 
-  // Urgent Keywords - Require prompt care
-  urgentKeywords: [
-    'high fever', 'blood in stool', 'blood in urine', 'worsening',
-    'severe vomiting', 'dehydrated', 'infection',
-  ],
+  // Self-harm and suicide: handled by the crisis protocol (services/crisis-service.js)
+  // instead of the generic emergency response
+  selfHarmRules: {
+    threshold: 1,
+    rules: [
+      { id: 'suicidal', phrases: ['suicidal', 'commit suicide', 'suicide attempt', 'attempted suicide', 'thinking about suicide'], weight: 1 },
+      { id: 'kill-myself', phrases: ['kill myself', 'end my life', 'take my own life', 'end it all'], weight: 1 },
+      { id: 'want-to-die', phrases: ['want to die', "don't want to live", 'better off dead', 'no reason to live'], weight: 1 },
+      { id: 'self-harm', phrases: ['self harm', 'self harming', 'self harmed', 'harm myself', 'harming myself', 'hurt myself on purpose', 'cutting myself'], weight: 1 },
+      // Also said about accidents ("I cut myself cooking"): needs a second sign
+      { id: 'self-injury', phrases: ['hurt myself', 'cut myself'], weight: 0.5 },
+      { id: 'hopelessness', phrases: ['hopeless', "can't go on", 'no way out'], weight: 0.5 },
+    ],
+  },
+
+  urgentRules: {
+    threshold: 1,
+    rules: [
+      { id: 'high-fever', phrases: ['high fever'], weight: 1 },
+      { id: 'blood-in-stool', phrases: ['blood in stool', 'blood in my stool', 'blood in the stool', 'bloody stool'], weight: 1 },
+      { id: 'blood-in-urine', phrases: ['blood in urine', 'blood in my urine', 'blood in the urine', 'bloody urine'], weight: 1 },
+      { id: 'worsening', phrases: ['worsening', 'getting worse'], weight: 1 },
+      { id: 'severe-vomiting', phrases: ['severe vomiting', "can't stop vomiting"], weight: 1 },
+      { id: 'dehydration', phrases: ['dehydrated', 'dehydration'], weight: 1 },
+      { id: 'infection', phrases: ['infection', 'infected'], weight: 1 },
+    ],
+  },
 
-  // Prohibited Topics
-  prohibitedTopics: [
-    'abortion', 'euthanasia', 'drug synthesis', 'self-surgery',
+  prohibitedRules: {
+    threshold: 1,
+    rules: [
+      { id: 'abortion', phrases: ['abortion'], weight: 1 },
+      { id: 'euthanasia', phrases: ['euthanasia', 'assisted suicide'], weight: 1 },
+      { id: 'drug-synthesis', phrases: ['drug synthesis', 'synthesize drugs', 'make meth', 'cook meth'], weight: 1 },
+      { id: 'self-surgery', phrases: ['self-surgery', 'operate on myself'], weight: 1 },
+    ],
+  },
+
+  // Synonym groups: every entry is read as the group's first entry
+  synonyms: [
+    ["can't", 'cant', 'cannot', 'can not', 'unable to'],
+    ["won't", 'wont', 'will not'],
+    ['breathe', 'breath', 'breathing', 'breating'],
+    ['vomiting', 'throwing up', 'vomit'],
+    ['stool', 'poop', 'feces'],
+    ['urine', 'pee'],
+    ['seizure', 'seizures', 'siezure'],
+    ['pills', 'tablets'],
   ],
 
+  // How the rule engine matches phrases
+  matching: {
+    negationCues: [
+      'no', 'not', 'never', 'without', 'nor', 'deny', 'denies',
+      "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "isn't", 'isnt',
+      "wasn't", 'wasnt', "haven't", 'havent', "hasn't", 'hasnt',
+    ],
+    // Words that may stand between a cue and the phrase it negates ("don't have any chest pain").
+    // Nothing else may: "no idea why my chest pain…" is not a negation.
+    negationBridges: ['have', 'has', 'any', 'a', 'an', 'feel', 'feeling'],
+    fuzzy: {
+      maxEdits: 1,
+      // Shorter tokens only match exactly
+      minTokenLength: 5,
+      // Single-word phrases only match fuzzily from this length on
+      singleWordMinLength: 9,
+    },
+  },
+
   // Restricted Actions (for response validation)
   restrictedActions: [
     'prescribe', 'diagnosis', 'stop taking medication',
   ],
 
+  // Diagnostic language in AI responses
+  diagnosisPatterns: [
+    /you have\s+(?:a|an|the)\s+\w+/i,
+    /this is\s+(?:a|an|the)\s+\w+/i,
+    /you are suffering from/i,
+    /diagnosis is/i,
+  ],
+
+  // Streaming validation: how much recent text is re-checked as each token arrives
+  // (must be longer than the longest restricted action / pattern match)
+  streamValidation: { windowChars: 200 },
+
   // Emergency Response
   emergencyResponse: {
     title: 'EMERGENCY',
     message: 'This may be a medical emergency. Call emergency services or go to the nearest ER immediately.',
   },
 
+  // Crisis protocol (self-harm / suicide): first reply, then scripted replies and check-ins
+  // until staff take over. {hotlines} is replaced with the hotlines of the configured region.
+  crisisResponse: {
+    title: 'CRISIS SUPPORT',
+    message: 'I\'m really sorry you\'re feeling this way, and I\'m glad you told me. You don\'t have to go through this alone. ' +
+      'A member of our care team has been alerted and will join this chat as soon as possible.\n\n' +
+      'If you are in immediate danger or might act on these thoughts, please call one of these numbers now. They are free and available 24/7:\n' +
+      '{hotlines}',
+    replies: [
+      'Thank you for telling me. A member of our care team will be with you shortly. ' +
+        'If you feel unsafe right now, please call one of these numbers:\n{hotlines}',
+      'I\'m still here, and someone from our team is on their way to this chat. ' +
+        'You can also talk to a trained counselor right now:\n{hotlines}',
+    ],
+    checkIns: [
+      'I\'m still here with you. A member of our care team will join very soon. Are you somewhere safe right now?',
+      'You matter, and help is on the way. If you can, stay with someone you trust until our team joins. ' +
+        'Crisis lines are open now:\n{hotlines}',
+      'Our team has been notified and will join as soon as they can. Please reach out to a crisis line if you need to talk right away:\n{hotlines}',
+    ],
+    // Crisis lines per region (CRISIS_REGION); 'default' is used for unknown regions
+    hotlines: {
+      PH: [
+        { name: 'NCMH Crisis Hotline', numbers: ['1553', '0917-899-8727', '0966-351-4518', '0908-639-2672'] },
+        { name: 'Hopeline PH', numbers: ['(02) 8804-4673', '0917-558-4673', '2919 (Globe/TM)'] },
+        { name: 'Emergency services', numbers: ['911'] },
+      ],
+      US: [
+        { name: '988 Suicide & Crisis Lifeline', numbers: ['988'] },
+        { name: 'Emergency services', numbers: ['911'] },
+      ],
+      default: [
+        { name: 'Local emergency services', numbers: ['112', '911'] },
+      ],
+    },
+  },
+
   // Urgent Response
   urgentResponse: {
     title: 'URGENT',
@@ -44,6 +168,45 @@ module.exports = {
     message: 'I cannot provide information on this topic. Please speak with a healthcare provider.',
   },
 
+  // Repair loop: a response that fails validation is rewritten by the model with the
+  // violation as an explicit constraint, up to maxAttempts times, before falling back
+  repair: {
+    maxAttempts: 2,
+    // Constraint added to the system prompt per violation ('default' for anything unlisted)
+    constraints: {
+      'diagnostic language': 'Do not state or imply a diagnosis (for example "you have ..." or "this is a ..."). Describe possibilities in general terms and recommend seeing a healthcare professional.',
+      prescribe: 'Do not prescribe or recommend prescription medication or doses.',
+      diagnosis: 'Do not offer a diagnosis or use the word "diagnosis".',
+      'stop taking medication': 'Never advise stopping or changing medication; tell the patient to ask their doctor first.',
+      default: 'Stay within general health information and recommend a healthcare professional for anything specific.',
+    },
+  },
+
+  // Replaces an AI response that failed validation
+  validationFallbackResponse: {
+    message: 'I apologize, but I cannot provide a proper response to that. ' +
+      'Please consult with a healthcare professional for appropriate guidance.',
+  },
+
+  // Prompt-injection / jailbreak patterns in patient messages (middleware/injection-guard.js)
+  // Matched patterns add their weight; at the threshold the configured policy applies.
+  // Instructions and safety features count only when aimed at the assistant ("your instructions"),
+  // not the patient's own ("ignore the instructions on my prescription label")
+  injection: {
+    threshold: 1,
+    patterns: [
+      { id: 'ignore-instructions', pattern: /\b(?:ignore|disregard|forget|override)\b.{0,30}?\b(?:your|previous|prior|above|earlier|preceding|system)\s+(?:instructions?|prompts?|rules|guidelines|directives)\b/i, weight: 1 },
+      { id: 'system-prompt-probe', pattern: /\b(?:reveal|show|print|repeat|output|tell me)\b.{0,20}?\b(?:system prompt|your (?:instructions|prompt|rules)|hidden instructions)\b/i, weight: 1 },
+      { id: 'jailbreak', pattern: /\b(?:jailbreak|jailbroken|DAN mode|developer mode|do anything now)\b/i, weight: 1 },
+      { id: 'safety-bypass', pattern: /\b(?:bypass|disable|turn off|ignore)\s+(?:all\s+)?your\s+(?:\w+\s+)?(?:safety|filters?|restrictions|guardrails)\b/i, weight: 1 },
+      // Also plain patient phrasing ("you are now my doctor?"): needs a second sign
+      { id: 'role-reassignment', pattern: /\b(?:you are now|from now on,? you(?: are|'re| will)|act as an?|pretend (?:to be|you are)|role-?play as)\b/i, weight: 0.5 },
+    ],
+    // Chat-template tokens ("<|im_start|>", "[INST]") are always removed; a fake turn label
+    // ("Assistant:") is rewritten so the plain-text transcript can't be hijacked
+    roleMarkerWeight: { specialToken: 1, turnLabel: 0.5 },
+  },
+
   // Limits
   rateLimit: { messagesPerMinute: 10, messagesPerHour: 100 },
   contentFilter: { maxMessageLength: 2000, minMessageLength: 1 },
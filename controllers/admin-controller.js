@@ -0,0 +1,617 @@
+/**
+ * Admin Controller
+ * Operational endpoints for administrators
+ */
+
+const llamaService = require('../services/llama-service');
+const safetyRuleStore = require('../services/safety-rule-store');
+const knowledgeStore = require('../services/knowledge-store');
+const knowledgeService = require('../services/knowledge-service');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Upper bound on llama-server output lines returned by the status endpoint
+const MAX_LOG_LINES = 200;
+
+// Raw document uploads: Content-Type → document format
+const FORMAT_BY_CONTENT_TYPE = {
+  'text/markdown': 'markdown',
+  'text/plain': 'text',
+  'text/html': 'html',
+};
+
+// Upper bound on passages returned by the knowledge-base preview
+const MAX_PREVIEW_PASSAGES = 20;
+
+/**
+ * Rule-set version from a route/query parameter (0 = built-in defaults)
+ * @returns {number|null} null if not a valid version
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
+
+/**
+ * Document slug from a route parameter
+ * @returns {string|null} null if not a valid slug
+ */
+function parseSlug(value) {
+  return typeof value === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value) ? value : null;
+}
+
+/**
+ * Knowledge-base upload from a JSON body ({ content, format, filename, title, slug, notes })
+ * or a raw document body, with the other fields in the query string
+ */
+function readUpload(req) {
+  if (typeof req.body !== 'string') {
+    return req.body;
+  }
+
+  return {
+    content: req.body,
+    format: req.query.format || FORMAT_BY_CONTENT_TYPE[(req.get('Content-Type') || '').split(';')[0].trim()],
+    filename: req.query.filename,
+    title: req.query.title,
+    slug: req.query.slug,
+    notes: req.query.notes,
+  };
+}
+
+/**
+ * Managed document row with its state in this instance's index
+ */
+function withIndexState(document) {
+  const indexed = knowledgeService.listDocuments({ origin: 'managed' }).find(entry => entry.id === document.slug);
+
+  return {
+    ...document,
+    indexed: indexed ? { version: indexed.version, passages: indexed.passages } : null,
+  };
+}
+
+class AdminController {
+  constructor() {
+    this.createKnowledgeDocument = this.createKnowledgeDocument.bind(this);
+    this.addKnowledgeDocumentVersion = this.addKnowledgeDocumentVersion.bind(this);
+    this.rollbackKnowledgeDocument = this.rollbackKnowledgeDocument.bind(this);
+    this.disableKnowledgeDocument = this.disableKnowledgeDocument.bind(this);
+    this.enableKnowledgeDocument = this.enableKnowledgeDocument.bind(this);
+    this.deleteKnowledgeDocument = this.deleteKnowledgeDocument.bind(this);
+  }
+
+  /**
+   * Get llama-server process, upstream and queue state
+   */
+  async getLlamaStatus(req, res) {
+    try {
+      const requested = parseInt(req.query.logLines, 10);
+      const logLines = Number.isNaN(requested) ? 50 : Math.min(Math.max(requested, 0), MAX_LOG_LINES);
+
+      return res.json({
+        success: true,
+        status: llamaService.getStatus({ logLines }),
+        timestamp: new Date().toISOString(),
+      });
+
+    } catch (error) {
+      logger.error('Failed to get LLaMA status', { error: error.message });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * List published safety rule-set versions
+   */
+  async listSafetyRuleSets(req, res) {
+    try {
+      const versions = await safetyRuleStore.list();
+
+      return res.json({
+        success: true,
+        activeVersion: safetyRuleStore.getVersion(),
+        versions,
+        count: versions.length,
+      });
+
+    } catch (error) {
+      logger.error('Failed to list safety rule sets', { error: error.message });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Get the rules of one version
+   */
+  async getSafetyRuleSet(req, res) {
+    const version = parseVersion(req.params.version);
+
+    if (version === null) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const rules = await safetyRuleStore.getRules(version);
+
+      if (!rules) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      return res.json({
+        success: true,
+        version,
+        rules,
+      });
+
+    } catch (error) {
+      logger.error('Failed to get safety rule set', { error: error.message, version });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Diff two versions (?from=&to=, `to` defaults to the active version)
+   */
+  async diffSafetyRuleSets(req, res) {
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? safetyRuleStore.getVersion() : parseVersion(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const changes = await safetyRuleStore.diff(from, to);
+
+      if (!changes) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      return res.json({
+        success: true,
+        from,
+        to,
+        changes,
+      });
+
+    } catch (error) {
+      logger.error('Failed to diff safety rule sets', { error: error.message, from, to });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Publish a new version: body { rules: { <managed key>: value, ... }, notes }
+   * Keys left out keep their current value.
+   */
+  async publishSafetyRuleSet(req, res) {
+    const { rules, notes } = req.body;
+    const staffId = req.user.id;
+
+    try {
+      const ruleSet = await safetyRuleStore.publish(rules, { staffId, notes });
+
+      return res.status(201).json({
+        success: true,
+        ruleSet,
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_RULE_SET') {
+        logger.warn('Rejected invalid safety rule set', { error: error.message, staffId });
+
+        return res.status(400).json({
+          error: 'INVALID_RULE_SET',
+        });
+      }
+
+      logger.error('Failed to publish safety rule set', { error: error.message, staffId });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Roll back by republishing an older version: body { notes }
+   */
+  async rollbackSafetyRuleSet(req, res) {
+    const version = parseVersion(req.params.version);
+    const staffId = req.user.id;
+
+    if (version === null) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const ruleSet = await safetyRuleStore.rollback(version, { staffId, notes: req.body.notes });
+
+      if (!ruleSet) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        ruleSet,
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_RULE_SET') {
+        logger.warn('Rejected rollback to invalid safety rule set', { error: error.message, version, staffId });
+
+        return res.status(400).json({
+          error: 'INVALID_RULE_SET',
+        });
+      }
+
+      logger.error('Failed to roll back safety rule set', { error: error.message, version, staffId });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * List managed knowledge-base documents, and the read-only files from the knowledge directory
+   */
+  async listKnowledgeDocuments(req, res) {
+    try {
+      const documents = await knowledgeStore.list();
+
+      return res.json({
+        success: true,
+        documents: documents.map(withIndexState),
+        files: knowledgeService.listDocuments({ origin: 'file' }),
+        count: documents.length,
+      });
+
+    } catch (error) {
+      logger.error('Failed to list knowledge documents', { error: error.message });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Get a document with its version history
+   */
+  async getKnowledgeDocument(req, res) {
+    const slug = parseSlug(req.params.slug);
+
+    if (!slug) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const document = await knowledgeStore.get(slug);
+
+      if (!document) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      return res.json({
+        success: true,
+        document: withIndexState(document),
+      });
+
+    } catch (error) {
+      logger.error('Failed to get knowledge document', { error: error.message, slug });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Get one version of a document, with its content
+   */
+  async getKnowledgeDocumentVersion(req, res) {
+    const slug = parseSlug(req.params.slug);
+    const version = parseVersion(req.params.version);
+
+    if (!slug || !version) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const documentVersion = await knowledgeStore.getVersion(slug, version);
+
+      if (!documentVersion) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      return res.json({
+        success: true,
+        slug,
+        version: documentVersion,
+      });
+
+    } catch (error) {
+      logger.error('Failed to get knowledge document version', { error: error.message, slug, version });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Upload a new document (version 1) and index it
+   */
+  async createKnowledgeDocument(req, res) {
+    const staffId = req.user.id;
+
+    try {
+      const upload = knowledgeStore.validate(readUpload(req), { maxBytes: config.knowledgeBase.maxDocumentBytes });
+
+      // Files in the knowledge directory own their ids
+      if (knowledgeService.isFileDocument(upload.slug)) {
+        return res.status(409).json({
+          error: 'DOCUMENT_EXISTS',
+        });
+      }
+
+      const document = await knowledgeStore.create(upload, { staffId });
+      await knowledgeService.refresh();
+
+      return res.status(201).json({
+        success: true,
+        document: withIndexState(document),
+      });
+
+    } catch (error) {
+      return this.handleKnowledgeWriteError(error, res, { staffId });
+    }
+  }
+
+  /**
+   * Upload a new version of a document; it becomes current and is re-indexed
+   */
+  async addKnowledgeDocumentVersion(req, res) {
+    const slug = parseSlug(req.params.slug);
+    const staffId = req.user.id;
+
+    if (!slug) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const upload = knowledgeStore.validate(
+        { ...readUpload(req), slug },
+        { maxBytes: config.knowledgeBase.maxDocumentBytes }
+      );
+      const document = await knowledgeStore.addVersion(slug, upload, { staffId });
+
+      if (!document) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      await knowledgeService.refresh();
+
+      return res.status(201).json({
+        success: true,
+        document: withIndexState(document),
+      });
+
+    } catch (error) {
+      return this.handleKnowledgeWriteError(error, res, { staffId, slug });
+    }
+  }
+
+  /**
+   * Make an older version current again (stored as a new version): body { notes }
+   */
+  async rollbackKnowledgeDocument(req, res) {
+    const slug = parseSlug(req.params.slug);
+    const version = parseVersion(req.params.version);
+    const staffId = req.user.id;
+
+    if (!slug || !version) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const document = await knowledgeStore.rollback(slug, version, { staffId, notes: req.body.notes });
+
+      if (!document) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      await knowledgeService.refresh();
+
+      return res.status(201).json({
+        success: true,
+        document: withIndexState(document),
+      });
+
+    } catch (error) {
+      return this.handleKnowledgeWriteError(error, res, { staffId, slug, version });
+    }
+  }
+
+  /**
+   * Disable a document (kept with its versions, removed from the index)
+   */
+  async disableKnowledgeDocument(req, res) {
+    return this.setKnowledgeDocumentStatus(req, res, 'disabled');
+  }
+
+  /**
+   * Enable a disabled document again
+   */
+  async enableKnowledgeDocument(req, res) {
+    return this.setKnowledgeDocumentStatus(req, res, 'active');
+  }
+
+  async setKnowledgeDocumentStatus(req, res, status) {
+    const slug = parseSlug(req.params.slug);
+    const staffId = req.user.id;
+
+    if (!slug) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const document = await knowledgeStore.setStatus(slug, status, { staffId });
+
+      if (!document) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      await knowledgeService.refresh();
+
+      return res.json({
+        success: true,
+        document: withIndexState(document),
+      });
+
+    } catch (error) {
+      return this.handleKnowledgeWriteError(error, res, { staffId, slug, status });
+    }
+  }
+
+  /**
+   * Delete a document and all its versions
+   */
+  async deleteKnowledgeDocument(req, res) {
+    const slug = parseSlug(req.params.slug);
+    const staffId = req.user.id;
+
+    if (!slug) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const deleted = await knowledgeStore.remove(slug, { staffId });
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+        });
+      }
+
+      await knowledgeService.refresh();
+
+      return res.json({
+        success: true,
+        slug,
+      });
+
+    } catch (error) {
+      return this.handleKnowledgeWriteError(error, res, { staffId, slug });
+    }
+  }
+
+  /**
+   * Passages a question would retrieve: body { question, limit }
+   */
+  async previewKnowledgeRetrieval(req, res) {
+    const { question } = req.body;
+    const limit = req.body.limit === undefined ? undefined : parseInt(req.body.limit, 10);
+
+    if (typeof question !== 'string' || !question.trim() ||
+      (limit !== undefined && !(limit > 0 && limit <= MAX_PREVIEW_PASSAGES))) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    try {
+      const passages = await knowledgeService.retrieve(question, { limit });
+      const citations = knowledgeService.citations(passages);
+
+      return res.json({
+        success: true,
+        question,
+        passages: passages.map((passage, index) => ({ ...citations[index], text: passage.text })),
+        count: passages.length,
+      });
+
+    } catch (error) {
+      logger.error('Failed to preview knowledge retrieval', { error: error.message });
+
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+      });
+    }
+  }
+
+  /**
+   * Response for a failed knowledge-base write
+   */
+  handleKnowledgeWriteError(error, res, meta) {
+    if (error.code === 'INVALID_DOCUMENT') {
+      logger.warn('Rejected invalid knowledge document', { ...meta, error: error.message });
+
+      return res.status(400).json({
+        error: 'INVALID_DOCUMENT',
+      });
+    }
+
+    if (error.code === 'DOCUMENT_EXISTS') {
+      return res.status(409).json({
+        error: 'DOCUMENT_EXISTS',
+      });
+    }
+
+    logger.error('Failed to update knowledge document', { ...meta, error: error.message });
+
+    return res.status(500).json({
+      error: 'INTERNAL_ERROR',
+    });
+  }
+}
+
+module.exports = new AdminController();
@@ -5,14 +5,58 @@
 
 const llamaService = require('../services/llama-service');
 const conversationService = require('../services/conversation-service');
-const { detectEmergency, detectProhibitedTopic, validateResponse } = require('../middleware/emergency-detector');
+const contextBuilder = require('../services/context-builder');
+const summaryService = require('../services/summary-service');
+const streamRegistry = require('../services/stream-registry');
+const responseRepair = require('../services/response-repair');
+const safetyClassifier = require('../services/safety-classifier');
+const crisisService = require('../services/crisis-service');
+const safetyRuleStore = require('../services/safety-rule-store');
+const localeService = require('../services/locale-service');
+const knowledgeService = require('../services/knowledge-service');
+const toolRegistry = require('../services/tools');
+const bookingService = require('../services/booking-service');
+const {
+  detectEmergency,
+  detectSelfHarm,
+  detectProhibitedTopic,
+  detectBookingIntent,
+  createStreamValidator,
+} = require('../middleware/emergency-detector');
 const modelConfig = require('../config/model-config');
 const logger = require('../utils/logger');
+const { SseStream, negotiateProtocol } = require('../utils/sse-stream');
 const db = require('../config/db');
 
 // Check if safety mode is enabled
 const isSafetyMode = modelConfig.safetyMode;
 
+// Backend availability errors → client-facing codes (HTTP 503)
+const UNAVAILABLE_ERROR_CODES = {
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
+  QUEUE_FULL: 'MODEL_BUSY',
+};
+
+/**
+ * Message metadata as returned to the patient — rejected drafts and raw tool results stay server-side
+ */
+function toClientMetadata(metadata) {
+  const clientMetadata = { ...metadata };
+
+  if (metadata.repair) {
+    clientMetadata.repair = {
+      ...metadata.repair,
+      attempts: metadata.repair.attempts.map(({ content, ...attempt }) => attempt),
+    };
+  }
+
+  if (metadata.toolCalls) {
+    clientMetadata.toolCalls = metadata.toolCalls.map(({ result, ...call }) => call);
+  }
+
+  return clientMetadata;
+}
+
 class ChatController {
   constructor() {
     // Track active streaming sessions for cancellation support
@@ -20,6 +64,7 @@ class ChatController {
     
     this.cancelGeneration = this.cancelGeneration.bind(this);
     this.sendMessageStream = this.sendMessageStream.bind(this);
+    this.resumeStream = this.resumeStream.bind(this);
     this.sendMessage = this.sendMessage.bind(this);
     this.createSession = this.createSession.bind(this);
     this.getHistory = this.getHistory.bind(this);
@@ -91,6 +136,22 @@ class ChatController {
         });
       }
 
+      const language = req.language || conversation.language;
+
+      // Crisis protocol: no AI answers (and no message limits) until staff take over
+      if (crisisService.isInCrisis(conversation)) {
+        await this.addUserMessage(req, conversation, message);
+        const crisisMessage = await crisisService.reply(sessionId, conversation.id, language);
+
+        return res.json({
+          sessionId,
+          message: crisisMessage,
+          role: 'assistant',
+          metadata: { isCrisis: true, priority: 'emergency' },
+          timestamp: new Date().toISOString(),
+        });
+      }
+
       const limitsCheck = await conversationService.checkLimits(sessionId);
       if (limitsCheck.exceeded) {
         return res.status(429).json({
@@ -98,31 +159,97 @@ class ChatController {
         });
       }
 
-      await conversationService.addMessage(conversation.id, 'user', message, {});
+      await this.addUserMessage(req, conversation, message);
 
       // FAST MODE: Skip all safety processing
       if (!isSafetyMode) {
-        const contextMessages = await conversationService.getContextMessages(sessionId, 10);
-        const aiResponse = await llamaService.generateResponse(contextMessages);
+        // Appointment requests get scripted questions instead of an AI answer
+        const booking = await bookingService.handle(sessionId, conversation, message, {
+          detection: req.bookingDetection || detectBookingIntent(message),
+          language,
+        });
+
+        if (booking) {
+          return res.json({
+            sessionId,
+            message: booking.message,
+            role: 'assistant',
+            metadata: { action: booking.action },
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        // Fast mode runs every step of the turn at normal priority
+        const passages = await knowledgeService.retrieve(message, { priority: 'normal' });
+        const citations = knowledgeService.citations(passages);
+        let context = await contextBuilder.build(sessionId, { language, passages });
+        const toolCalls = await this.runTools(context.messages, { sessionId });
+        context = await this.fitToolResults(sessionId, context, toolCalls, { language, passages });
+        const aiResponse = await llamaService.generateResponse(context.messages, {
+          sessionId,
+          language,
+          passages,
+          toolResults: toolCalls,
+        });
 
         await conversationService.addMessage(conversation.id, 'assistant', aiResponse.content, {
           tokens: aiResponse.tokens,
           duration: aiResponse.duration,
+          timeToFirstTokenMs: aiResponse.timeToFirstTokenMs,
+          cachedTokens: aiResponse.cachedTokens,
+          context: context.metadata,
+          citations,
+          toolCalls,
           fastMode: true,
         });
 
+        summaryService.scheduleSummary(sessionId, context.dropped);
+
         return res.json({
           sessionId,
           message: aiResponse.content,
           role: 'assistant',
-          metadata: { tokens: aiResponse.tokens, duration: aiResponse.duration },
+          metadata: toClientMetadata({
+            tokens: aiResponse.tokens,
+            duration: aiResponse.duration,
+            context: context.metadata,
+            citations,
+            toolCalls,
+          }),
           timestamp: new Date().toISOString(),
         });
       }
 
       // SAFETY MODE: Full emergency/prohibited detection
-      const emergencyDetection = req.emergencyDetection || detectEmergency(message);
-      const prohibitedDetection = req.prohibitedDetection || detectProhibitedTopic(message);
+      const ruleSetVersion = safetyRuleStore.getVersion();
+      const {
+        selfHarmDetection,
+        emergencyDetection,
+        prohibitedDetection,
+        classification,
+      } = await safetyClassifier.reviewMessage(
+        message,
+        {
+          selfHarmDetection: req.selfHarmDetection || detectSelfHarm(message),
+          emergencyDetection: req.emergencyDetection || detectEmergency(message, language),
+          prohibitedDetection: req.prohibitedDetection || detectProhibitedTopic(message, language),
+        },
+        { sessionId, priority: 'urgent', language }
+      );
+
+      if (selfHarmDetection.isSelfHarm) {
+        const crisisMessage = await crisisService.start(sessionId, conversation.id, { classification, ruleSetVersion }, language);
+
+        await this.createHandoffRequest(conversation.id, 'self-harm', 'emergency', this.detectionDetails(selfHarmDetection));
+
+        return res.json({
+          sessionId,
+          message: crisisMessage,
+          role: 'assistant',
+          metadata: { isCrisis: true, priority: 'emergency', handoffCreated: true },
+          timestamp: new Date().toISOString(),
+        });
+      }
 
       if (emergencyDetection.isEmergency) {
         const emergencyMessage = emergencyDetection.response.message;
@@ -135,10 +262,12 @@ class ChatController {
             safetyOverride: true,
             emergencyResponse: true,
             priority: 'emergency',
+            classification,
+            ruleSetVersion,
           }
         );
 
-        await this.createHandoffRequest(conversation.id, 'emergency', 'emergency');
+        await this.createHandoffRequest(conversation.id, 'emergency', 'emergency', this.detectionDetails(emergencyDetection));
 
         return res.json({
           sessionId,
@@ -159,6 +288,8 @@ class ChatController {
           {
             safetyOverride: true,
             refusal: true,
+            classification,
+            ruleSetVersion,
           }
         );
 
@@ -171,18 +302,59 @@ class ChatController {
         });
       }
 
-      const contextMessages = await conversationService.getContextMessages(sessionId, 10);
+      const booking = await bookingService.handle(sessionId, conversation, message, {
+        detection: req.bookingDetection || detectBookingIntent(message),
+        language,
+        prefix: emergencyDetection.isUrgent ? emergencyDetection.response.message : null,
+        metadata: { classification, ruleSetVersion },
+      });
+
+      if (booking) {
+        return res.json({
+          sessionId,
+          message: booking.message,
+          role: 'assistant',
+          metadata: { action: booking.action },
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const passages = await knowledgeService.retrieve(message, { priority: emergencyDetection.priority });
+      let context = await contextBuilder.build(sessionId, { language, passages });
+      const toolCalls = await this.runTools(context.messages, { sessionId, priority: emergencyDetection.priority });
+      context = await this.fitToolResults(sessionId, context, toolCalls, { language, passages });
 
-      logger.info('Generating AI response', { sessionId, messageLength: message.length });
+      logger.info('Generating AI response', {
+        sessionId,
+        messageLength: message.length,
+        passages: passages.length,
+        toolCalls: toolCalls.length,
+      });
       
-      const aiResponse = await llamaService.generateResponse(contextMessages);
+      const aiResponse = await llamaService.generateResponse(context.messages, {
+        sessionId,
+        priority: emergencyDetection.priority,
+        language,
+        passages,
+        toolResults: toolCalls,
+      });
 
-      const validation = validateResponse(aiResponse.content);
+      const validation = await safetyClassifier.validateResponse(aiResponse.content, {
+        sessionId,
+        priority: emergencyDetection.priority,
+      });
 
       let finalResponse = aiResponse.content;
       let responseMetadata = {
         tokens: aiResponse.tokens,
         duration: aiResponse.duration,
+        timeToFirstTokenMs: aiResponse.timeToFirstTokenMs,
+        cachedTokens: aiResponse.cachedTokens,
+        context: context.metadata,
+        citations: knowledgeService.citations(passages),
+        toolCalls,
+        classification: { message: classification, response: validation.classification },
+        ruleSetVersion,
       };
 
       if (!validation.isValid) {
@@ -192,10 +364,22 @@ class ChatController {
           reason: validation.reason
         });
 
-        finalResponse = 'I apologize, but I cannot provide a proper response to that. ' +
-          'Please consult with a healthcare professional for appropriate guidance.';
+        const repair = await responseRepair.repair(context.messages, aiResponse.content, validation, {
+          sessionId,
+          priority: emergencyDetection.priority,
+          language,
+          passages,
+          toolResults: toolCalls,
+        });
+
+        responseMetadata.repair = { repaired: repair.content !== null, attempts: repair.attempts };
 
-        responseMetadata.safetyOverride = true;
+        if (repair.content !== null) {
+          finalResponse = repair.content;
+        } else {
+          finalResponse = localeService.getText(language, 'validationFallbackResponse').message;
+          responseMetadata.safetyOverride = true;
+        }
       }
 
       if (emergencyDetection.isUrgent) {
@@ -210,15 +394,24 @@ class ChatController {
         responseMetadata
       );
 
+      summaryService.scheduleSummary(sessionId, context.dropped);
+
       return res.json({
         sessionId,
         message: finalResponse,
         role: 'assistant',
-        metadata: responseMetadata,
+        metadata: toClientMetadata(responseMetadata),
         timestamp: new Date().toISOString(),
       });
 
     } catch (error) {
+      if (UNAVAILABLE_ERROR_CODES[error.code]) {
+        logger.warn('Model backend unavailable for chat message', { sessionId, code: error.code });
+        return res.status(503).json({
+          error: UNAVAILABLE_ERROR_CODES[error.code],
+        });
+      }
+
       logger.error('Failed to process chat message', {
         error: error.message,
         sessionId,
@@ -237,49 +430,42 @@ class ChatController {
   async sendMessageStream(req, res) {
     const { sessionId, message } = req.body;
 
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-    
-    res.flushHeaders();
+    const protocol = negotiateProtocol(req);
+    if (!protocol) {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+      });
+    }
+
+    const stream = new SseStream({ protocol });
+    stream.attach(res);
+    streamRegistry.register(sessionId, stream);
 
     const abortController = new AbortController();
     let isCancelled = false;
 
-    // SSE heartbeat keep-alive: send a named event every 15s to prevent
-    // Cloudflare Tunnel / reverse-proxy idle-timeout disconnects (502).
-    // Use a named event (not an SSE comment) since some CDN layers strip comments.
-    const heartbeatInterval = setInterval(() => {
-      if (!isCancelled && !res.writableEnded) {
-        res.write('event: heartbeat\ndata: {}\n\n');
-      }
-    }, 15000);
-
     this.activeSessions.set(sessionId, {
       abortController,
       isCancelled: false
     });
 
-    req.on('close', () => {
-      clearInterval(heartbeatInterval);
-
-      const sessionData = this.activeSessions.get(sessionId);
-      if (sessionData && sessionData.isCancelled) {
-        isCancelled = true;
-      }
-      
-      if (!res.writableEnded) {
-        logger.info('Client disconnected, cancelling streaming response', { sessionId });
-        isCancelled = true;
-        abortController.abort();
-      }
+    // Generation keeps running after a disconnect so the client can resume the stream;
+    // it is only cancelled once nobody has reconnected within the grace period
+    stream.once('abandoned', () => {
+      logger.info('Client did not reconnect, cancelling streaming response', { sessionId });
+      isCancelled = true;
+      abortController.abort();
     });
 
     const sendEvent = (event, data) => {
-      if (!isCancelled && !res.writableEnded) {
-        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (!isCancelled) {
+        stream.send(event, data);
+      }
+    };
+
+    const sendDone = (data) => {
+      if (!isCancelled) {
+        stream.done(data);
       }
     };
 
@@ -288,40 +474,87 @@ class ChatController {
 
       if (!conversation) {
         sendEvent('error', { error: 'NOT_FOUND' });
-        clearInterval(heartbeatInterval);
-        return res.end();
+        return stream.end();
       }
 
       if (conversation.status === 'staff-taken') {
         sendEvent('error', { error: 'FORBIDDEN' });
-        clearInterval(heartbeatInterval);
-        return res.end();
+        return stream.end();
+      }
+
+      const language = req.language || conversation.language;
+
+      if (crisisService.isInCrisis(conversation)) {
+        await this.addUserMessage(req, conversation, message);
+        const crisisMessage = await crisisService.reply(sessionId, conversation.id, language);
+
+        sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
+        stream.token(crisisMessage);
+        sendDone({
+          sessionId,
+          message: crisisMessage,
+          role: 'assistant',
+          metadata: { isCrisis: true, priority: 'emergency' },
+          timestamp: new Date().toISOString(),
+        });
+        return stream.end();
       }
 
       const limitsCheck = await conversationService.checkLimits(sessionId);
       if (limitsCheck.exceeded) {
         sendEvent('error', { error: 'RATE_LIMITED' });
-        clearInterval(heartbeatInterval);
-        return res.end();
+        return stream.end();
       }
 
-      await conversationService.addMessage(conversation.id, 'user', message, {});
+      await this.addUserMessage(req, conversation, message);
 
       // FAST MODE
       if (!isSafetyMode) {
-        const contextMessages = await conversationService.getContextMessages(sessionId, 10);
+        const booking = await bookingService.handle(sessionId, conversation, message, {
+          detection: req.bookingDetection || detectBookingIntent(message),
+          language,
+        });
+
+        if (booking) {
+          sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
+          stream.token(booking.message);
+          sendEvent('action', booking.action);
+          sendDone({
+            sessionId,
+            message: booking.message,
+            role: 'assistant',
+            metadata: { action: booking.action },
+            timestamp: new Date().toISOString(),
+          });
+          return stream.end();
+        }
+
+        const passages = await knowledgeService.retrieve(message, { priority: 'normal' });
+        const citations = knowledgeService.citations(passages);
+        let context = await contextBuilder.build(sessionId, { language, passages });
         
-        sendEvent('start', { sessionId, timestamp: new Date().toISOString() });
+        sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
 
-        let fullContent = '';
+        const toolCalls = await this.runTools(context.messages, {
+          sessionId,
+          signal: abortController.signal,
+          onTool: (toolEvent) => sendEvent('tool', toolEvent),
+        });
+        context = await this.fitToolResults(sessionId, context, toolCalls, { language, passages });
 
         const aiResponse = await llamaService.generateStreamingResponse(
-          contextMessages,
-          { signal: abortController.signal },
+          context.messages,
+          {
+            sessionId,
+            signal: abortController.signal,
+            language,
+            passages,
+            toolResults: toolCalls,
+            onQueued: (queueInfo) => sendEvent('queued', queueInfo),
+          },
           (token, isStop) => {
             if (!isCancelled) {
-              fullContent += token;
-              sendEvent('token', { token, content: fullContent });
+              stream.token(token);
             }
           }
         );
@@ -330,25 +563,61 @@ class ChatController {
           await conversationService.addMessage(conversation.id, 'assistant', aiResponse.content, {
             tokens: aiResponse.tokens,
             duration: aiResponse.duration,
+            timeToFirstTokenMs: aiResponse.timeToFirstTokenMs,
+            cachedTokens: aiResponse.cachedTokens,
+            context: context.metadata,
+            citations,
+            toolCalls,
             fastMode: true,
             streamed: true,
           });
 
-          sendEvent('done', {
+          summaryService.scheduleSummary(sessionId, context.dropped);
+
+          sendDone({
             sessionId,
             message: aiResponse.content,
             role: 'assistant',
-            metadata: {},
+            metadata: toClientMetadata({ context: context.metadata, citations, toolCalls }),
             timestamp: new Date().toISOString(),
           });
         }
-        clearInterval(heartbeatInterval);
-        return res.end();
+        return stream.end();
       }
 
       // SAFETY MODE
-      const emergencyDetection = req.emergencyDetection || detectEmergency(message);
-      const prohibitedDetection = req.prohibitedDetection || detectProhibitedTopic(message);
+      const ruleSetVersion = safetyRuleStore.getVersion();
+      const {
+        selfHarmDetection,
+        emergencyDetection,
+        prohibitedDetection,
+        classification,
+      } = await safetyClassifier.reviewMessage(
+        message,
+        {
+          selfHarmDetection: req.selfHarmDetection || detectSelfHarm(message),
+          emergencyDetection: req.emergencyDetection || detectEmergency(message, language),
+          prohibitedDetection: req.prohibitedDetection || detectProhibitedTopic(message, language),
+        },
+        { sessionId, priority: 'urgent', signal: abortController.signal, language }
+      );
+
+      if (selfHarmDetection.isSelfHarm) {
+        const crisisMessage = await crisisService.start(sessionId, conversation.id, { classification, ruleSetVersion }, language);
+
+        await this.createHandoffRequest(conversation.id, 'self-harm', 'emergency', this.detectionDetails(selfHarmDetection));
+
+        sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
+        stream.token(crisisMessage);
+        sendDone({
+          sessionId,
+          message: crisisMessage,
+          role: 'assistant',
+          metadata: { isCrisis: true, priority: 'emergency', handoffCreated: true },
+          timestamp: new Date().toISOString(),
+        });
+        return stream.end();
+      }
 
       if (emergencyDetection.isEmergency) {
         const emergencyMessage = emergencyDetection.response.message;
@@ -357,22 +626,21 @@ class ChatController {
           conversation.id,
           'assistant',
           emergencyMessage,
-          { safetyOverride: true, emergencyResponse: true, priority: 'emergency' }
+          { safetyOverride: true, emergencyResponse: true, priority: 'emergency', classification, ruleSetVersion }
         );
 
-        await this.createHandoffRequest(conversation.id, 'emergency', 'emergency');
+        await this.createHandoffRequest(conversation.id, 'emergency', 'emergency', this.detectionDetails(emergencyDetection));
 
-        sendEvent('start', { sessionId, timestamp: new Date().toISOString() });
-        sendEvent('token', { token: emergencyMessage, content: emergencyMessage });
-        sendEvent('done', {
+        sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
+        stream.token(emergencyMessage);
+        sendDone({
           sessionId,
           message: emergencyMessage,
           role: 'assistant',
           metadata: { isEmergency: true, priority: 'emergency', handoffCreated: true },
           timestamp: new Date().toISOString(),
         });
-        clearInterval(heartbeatInterval);
-        return res.end();
+        return stream.end();
       }
 
       if (prohibitedDetection.isProhibited) {
@@ -382,55 +650,141 @@ class ChatController {
           conversation.id,
           'assistant',
           refusalMessage,
-          { safetyOverride: true, refusal: true }
+          { safetyOverride: true, refusal: true, classification, ruleSetVersion }
         );
 
-        sendEvent('start', { sessionId, timestamp: new Date().toISOString() });
-        sendEvent('token', { token: refusalMessage, content: refusalMessage });
-        sendEvent('done', {
+        sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
+        stream.token(refusalMessage);
+        sendDone({
           sessionId,
           message: refusalMessage,
           role: 'assistant',
           metadata: { isRefusal: true },
           timestamp: new Date().toISOString(),
         });
-        clearInterval(heartbeatInterval);
-        return res.end();
+        return stream.end();
+      }
+
+      const booking = await bookingService.handle(sessionId, conversation, message, {
+        detection: req.bookingDetection || detectBookingIntent(message),
+        language,
+        prefix: emergencyDetection.isUrgent ? emergencyDetection.response.message : null,
+        metadata: { classification, ruleSetVersion },
+      });
+
+      if (booking) {
+        sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
+        stream.token(booking.message);
+        sendEvent('action', booking.action);
+        sendDone({
+          sessionId,
+          message: booking.message,
+          role: 'assistant',
+          metadata: { action: booking.action },
+          timestamp: new Date().toISOString(),
+        });
+        return stream.end();
       }
 
-      const contextMessages = await conversationService.getContextMessages(sessionId, 10);
+      const passages = await knowledgeService.retrieve(message, { priority: emergencyDetection.priority });
+      let context = await contextBuilder.build(sessionId, { language, passages });
 
-      sendEvent('start', { sessionId, timestamp: new Date().toISOString() });
+      sendEvent('start', { sessionId, protocol, timestamp: new Date().toISOString() });
 
-      logger.info('Generating streaming AI response', { sessionId, messageLength: message.length });
+      const toolCalls = await this.runTools(context.messages, {
+        sessionId,
+        priority: emergencyDetection.priority,
+        signal: abortController.signal,
+        onTool: (toolEvent) => sendEvent('tool', toolEvent),
+      });
+      context = await this.fitToolResults(sessionId, context, toolCalls, { language, passages });
+
+      logger.info('Generating streaming AI response', {
+        sessionId,
+        messageLength: message.length,
+        passages: passages.length,
+        toolCalls: toolCalls.length,
+      });
 
-      let fullContent = '';
       let urgentPrefix = '';
 
       if (emergencyDetection.isUrgent) {
         urgentPrefix = emergencyDetection.response.message + '\n\n';
-        sendEvent('token', { token: urgentPrefix, content: urgentPrefix });
-        fullContent = urgentPrefix;
+        stream.token(urgentPrefix);
       }
 
-      const aiResponse = await llamaService.generateStreamingResponse(
-        contextMessages,
-        { signal: abortController.signal },
-        (token, isStop) => {
-          if (!isCancelled) {
-            fullContent += token;
-            sendEvent('token', { token, content: fullContent });
+      // Streamed text is validated as it arrives; a violation stops generation
+      // before the rest of the answer reaches the patient
+      const validator = createStreamValidator();
+      const generationStartedAt = Date.now();
+      // Also aborted on cancel; aborting only this one on a violation leaves the repair able to run
+      const generationController = new AbortController();
+      abortController.signal.addEventListener('abort', () => generationController.abort(), { once: true });
+      let retraction = null;
+      let aiResponse;
+
+      try {
+        aiResponse = await llamaService.generateStreamingResponse(
+          context.messages,
+          {
+            sessionId,
+            signal: generationController.signal,
+            priority: emergencyDetection.priority,
+            language,
+            passages,
+            toolResults: toolCalls,
+            onQueued: (queueInfo) => sendEvent('queued', queueInfo),
+          },
+          (token, isStop) => {
+            if (isCancelled || retraction) {
+              return;
+            }
+
+            const violation = validator.push(token);
+            if (violation) {
+              retraction = violation;
+              generationController.abort();
+              return;
+            }
+
+            stream.token(token);
           }
+        );
+      } catch (error) {
+        if (!retraction) {
+          throw error;
         }
-      );
 
-      const validation = validateResponse(aiResponse.content);
+        aiResponse = {
+          content: validator.getText(),
+          tokens: null,
+          duration: Date.now() - generationStartedAt,
+          timeToFirstTokenMs: null,
+          cachedTokens: null,
+          model: null,
+        };
+      }
+
+      const validation = retraction
+        ? { isValid: false, violations: retraction.violations, reason: retraction.reason }
+        : await safetyClassifier.validateResponse(aiResponse.content, {
+          sessionId,
+          priority: emergencyDetection.priority,
+          signal: abortController.signal,
+        });
 
       let finalResponse = urgentPrefix + aiResponse.content;
       let responseMetadata = {
         tokens: aiResponse.tokens,
         duration: aiResponse.duration,
+        timeToFirstTokenMs: aiResponse.timeToFirstTokenMs,
+        cachedTokens: aiResponse.cachedTokens,
         model: aiResponse.model,
+        context: context.metadata,
+        citations: knowledgeService.citations(passages),
+        toolCalls,
+        classification: { message: classification, response: validation.classification ?? null },
+        ruleSetVersion,
         validated: validation.isValid,
         streamed: true,
       };
@@ -442,11 +796,45 @@ class ChatController {
           reason: validation.reason
         });
 
-        finalResponse = 'I apologize, but I cannot provide a proper response to that. ' +
-          'Please consult with a healthcare professional for appropriate guidance.';
-
-        responseMetadata.safetyOverride = true;
         responseMetadata.validationFailed = true;
+        responseMetadata.retraction = {
+          midStream: retraction !== null,
+          atChar: retraction ? retraction.atChar : null,
+          violations: validation.violations,
+          reason: validation.reason,
+        };
+
+        // The client has already shown (part of) the unsafe text — clear it while the answer is rewritten
+        if (!isCancelled) {
+          stream.retract({
+            reason: validation.reason,
+            message: urgentPrefix,
+            regenerating: safetyRuleStore.get().repair.maxAttempts > 0,
+          });
+        }
+
+        const repair = await responseRepair.repair(context.messages, aiResponse.content, validation, {
+          sessionId,
+          priority: emergencyDetection.priority,
+          signal: abortController.signal,
+          language,
+          passages,
+          toolResults: toolCalls,
+        });
+
+        responseMetadata.repair = { repaired: repair.content !== null, attempts: repair.attempts };
+
+        let replacement = repair.content;
+        if (replacement === null) {
+          replacement = localeService.getText(language, 'validationFallbackResponse').message;
+          responseMetadata.safetyOverride = true;
+        }
+
+        finalResponse = urgentPrefix + replacement;
+
+        if (!isCancelled) {
+          stream.token(replacement);
+        }
       }
 
       if (emergencyDetection.isUrgent) {
@@ -461,27 +849,35 @@ class ChatController {
           responseMetadata
         );
 
-        sendEvent('done', {
+        summaryService.scheduleSummary(sessionId, context.dropped);
+
+        sendDone({
           sessionId,
           message: finalResponse,
           role: 'assistant',
-          metadata: responseMetadata,
+          metadata: toClientMetadata(responseMetadata),
           timestamp: new Date().toISOString(),
         });
       }
 
       this.activeSessions.delete(sessionId);
-      clearInterval(heartbeatInterval);
 
-      return res.end();
+      return stream.end();
 
     } catch (error) {
       this.activeSessions.delete(sessionId);
-      clearInterval(heartbeatInterval);
       
-      if (error.name === 'AbortError' || isCancelled) {
+      if (error.name === 'AbortError' || isCancelled || abortController.signal.aborted) {
         logger.info('Streaming request cancelled by client', { sessionId });
-        return res.end();
+        return stream.end();
+      }
+
+      if (UNAVAILABLE_ERROR_CODES[error.code]) {
+        logger.warn('Model backend unavailable for streaming message', { sessionId, code: error.code });
+        sendEvent('error', {
+          error: UNAVAILABLE_ERROR_CODES[error.code],
+        });
+        return stream.end();
       }
 
       logger.error('Failed to process streaming chat message', {
@@ -493,10 +889,30 @@ class ChatController {
       sendEvent('error', {
         error: 'INTERNAL_ERROR',
       });
-      return res.end();
+      return stream.end();
     }
   }
 
+  /**
+   * Reconnect to a session's stream, replaying events after Last-Event-ID
+   */
+  async resumeStream(req, res) {
+    const { sessionId } = req.params;
+    const stream = streamRegistry.get(sessionId);
+
+    if (!stream) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+    logger.info('Client resumed stream', { sessionId, streamId: stream.id, lastEventId });
+
+    stream.attach(res, lastEventId);
+  }
+
   /**
    * Create new chat session
    */
@@ -504,7 +920,10 @@ class ChatController {
     try {
       const patientId = req.user?.id || null;
 
-      const session = await conversationService.createSession(patientId);
+      // The proxy may pass the patient's language (UI setting or browser locale)
+      const language = req.body?.language || req.get('X-Patient-Language') || null;
+
+      const session = await conversationService.createSession(patientId, language);
 
       return res.json({
         success: true,
@@ -555,6 +974,8 @@ class ChatController {
 
     try {
       await conversationService.closeConversation(sessionId);
+      llamaService.releaseSession(sessionId);
+      crisisService.stop(sessionId);
 
       return res.json({
         success: true,
@@ -573,18 +994,111 @@ class ChatController {
     }
   }
 
+  /**
+   * Helper: Store the patient's message; a flagged injection attempt goes to staff
+   */
+  async addUserMessage(req, conversation, message) {
+    const injection = req.injectionDetection;
+
+    await conversationService.addMessage(conversation.id, 'user', message, injection ? { injection } : {});
+
+    if (injection && injection.action === 'flag') {
+      await this.createHandoffRequest(conversation.id, 'prompt-injection', 'normal', {
+        source: 'injection-guard',
+        score: injection.score,
+        matchedRules: injection.matches,
+      });
+    }
+  }
+
+  /**
+   * Helper: Answer context once the tools have run
+   * The tool results go into the prompt as well, so after any call the history is packed again
+   * with them counted against the context budget.
+   * @param {Object} context - contextBuilder.build() result the tools were planned on
+   * @param {Array} toolCalls - runTools() records
+   * @param {Object} options - { language, passages } of the first build
+   */
+  async fitToolResults(sessionId, context, toolCalls, options) {
+    if (toolCalls.length === 0) {
+      return context;
+    }
+
+    return contextBuilder.build(sessionId, { ...options, toolResults: toolCalls });
+  }
+
+  /**
+   * Helper: Model → tool → model loop before the answer
+   * Each round the model picks one tool call or none; the calls made are then given to
+   * the answer as turn context. Stops after tools.maxRounds or when a call repeats.
+   * @param {Array} messages - Conversation context
+   * @param {Object} options - { sessionId, priority, signal, onTool }
+   *   onTool({ name, label, status: 'running'|'done'|'failed', round }) reports progress (SSE `tool` events)
+   * @returns {Promise<Array>} toolRegistry.execute records
+   */
+  async runTools(messages, options = {}) {
+    const { sessionId, priority, signal, onTool = () => {} } = options;
+    const tools = modelConfig.tools.enabled ? toolRegistry.list({ safetyMode: isSafetyMode }) : [];
+    const toolCalls = [];
+
+    for (let round = 1; round <= modelConfig.tools.maxRounds && tools.length > 0; round++) {
+      const call = await llamaService.planToolCall(messages, tools, { sessionId, priority, signal, toolResults: toolCalls });
+
+      if (!call) {
+        break;
+      }
+
+      const signature = JSON.stringify(call.arguments);
+      if (toolCalls.some(previous => previous.name === call.tool && JSON.stringify(previous.arguments) === signature)) {
+        break;
+      }
+
+      const tool = toolRegistry.get(call.tool);
+      const toolEvent = { name: call.tool, label: tool ? tool.label : null, round };
+
+      onTool({ ...toolEvent, status: 'running' });
+
+      const record = await toolRegistry.execute(call.tool, call.arguments, { safetyMode: isSafetyMode, signal, sessionId });
+      toolCalls.push({ ...record, round });
+
+      onTool({ ...toolEvent, status: record.ok ? 'done' : 'failed', durationMs: record.durationMs });
+
+      logger.info('Tool call completed', {
+        sessionId,
+        tool: call.tool,
+        ok: record.ok,
+        error: record.error,
+        durationMs: record.durationMs,
+      });
+    }
+
+    return toolCalls;
+  }
+
+  /**
+   * Helper: Why a handoff was raised, for staff reviewing the queue
+   */
+  detectionDetails(detection) {
+    return {
+      source: detection.source || 'rules',
+      score: detection.score ?? null,
+      matchedRules: detection.matchedRules || [],
+    };
+  }
+
   /**
    * Helper: Create handoff request to staff
+   * @param {Object|null} details - Stored in the details JSONB column (e.g. matched safety rules)
    */
-  async createHandoffRequest(conversationId, reason, priority = 'normal') {
+  async createHandoffRequest(conversationId, reason, priority = 'normal', details = null) {
     try {
       const query = `
-        INSERT INTO ai_handoff_requests (conversation_id, reason, priority, status, created_at)
-        VALUES ($1, $2, $3, 'pending', NOW())
+        INSERT INTO ai_handoff_requests (conversation_id, reason, priority, status, details, created_at)
+        VALUES ($1, $2, $3, 'pending', $4, NOW())
         RETURNING *
       `;
 
-      const result = await db.query(query, [conversationId, reason, priority]);
+      const result = await db.query(query, [conversationId, reason, priority, details && JSON.stringify(details)]);
 
       logger.info('Handoff request created', {
         conversationId,
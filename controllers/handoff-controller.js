@@ -4,6 +4,7 @@
  */
 
 const conversationService = require('../services/conversation-service');
+const crisisService = require('../services/crisis-service');
 const db = require('../config/db');
 const logger = require('../utils/logger');
 
@@ -70,6 +71,7 @@ class HandoffController {
       }
 
       await conversationService.updateStatus(sessionId, 'staff-taken', staffId);
+      crisisService.stop(sessionId);
 
       await db.query(
         `UPDATE ai_handoff_requests
@@ -274,6 +276,7 @@ class HandoffController {
           hr.*,
           c.session_id,
           c.patient_id,
+          c.language,
           c.created_at as conversation_started,
           (SELECT COUNT(*) FROM ai_messages WHERE conversation_id = c.id) as message_count
         FROM ai_handoff_requests hr
@@ -1,27 +1,69 @@
 /**
  * Emergency Detector Middleware
- * Detects critical medical situations that require immediate attention
+ * Detects critical medical situations that require immediate attention,
+ * and appointment requests (book, reschedule, cancel) for the booking flow
  */
 
-const safetyRules = require('../config/safety-rules');
+const safetyRuleStore = require('../services/safety-rule-store');
+const localeService = require('../services/locale-service');
+const { compileRuleSet, evaluate } = require('../utils/rule-engine');
 const logger = require('../utils/logger');
 
+// Compiled rule sets of the store's current version (keywords of every locale included)
+let compiled = null;
+
+// Appointment intents, strongest first: "cancel it and rebook" is a reschedule
+const BOOKING_INTENTS = ['reschedule', 'cancel', 'book'];
+
+function getRuleSets() {
+  const version = safetyRuleStore.getVersion();
+
+  if (!compiled || compiled.version !== version) {
+    const rules = localeService.getRules();
+    const options = { synonyms: rules.synonyms, matching: rules.matching };
+
+    compiled = {
+      version,
+      emergency: compileRuleSet(rules.emergencyRules, options),
+      selfHarm: compileRuleSet(rules.selfHarmRules, options),
+      urgent: compileRuleSet(rules.urgentRules, options),
+      prohibited: compileRuleSet(rules.prohibitedRules, options),
+      // Own synonyms ("consultation" = "appointment") and negation bridges ("don't want to cancel"),
+      // exact words only: a typo match would read "cancer appointment" as "cancel appointment"
+      booking: compileRuleSet(localeService.getBookingRules(), {
+        synonyms: localeService.getBookingRules().synonyms,
+        matching: {
+          ...rules.matching,
+          negationBridges: [...rules.matching.negationBridges, ...localeService.getBookingRules().negationBridges],
+        },
+        fuzzy: false,
+      }),
+    };
+  }
+
+  return compiled;
+}
+
 /**
  * Check message for emergency keywords
  * @param {string} message - User message to check
- * @returns {Object} Detection result
+ * @param {string} [language] - Session language of the response text (default language if omitted)
+ * @returns {Object} Detection result; matchedRules lists every rule that matched
+ *   (negated ones included, flagged) so staff can see why a handoff was raised
  */
-function detectEmergency(message) {
-  const lowerMessage = message.toLowerCase();
+function detectEmergency(message, language) {
+  const emergency = evaluate(message, getRuleSets().emergency);
+  const urgent = evaluate(message, getRuleSets().urgent);
 
-  // Check for emergency keywords
-  const emergencyMatches = safetyRules.emergencyKeywords.filter(keyword => 
-    lowerMessage.includes(keyword.toLowerCase())
-  );
+  const matchedRules = [
+    ...emergency.matches.map(match => ({ category: 'emergency', ...match })),
+    ...urgent.matches.map(match => ({ category: 'urgent', ...match })),
+  ];
 
-  if (emergencyMatches.length > 0) {
+  if (emergency.triggered) {
     logger.warn('🚨 Emergency keywords detected', {
-      keywords: emergencyMatches,
+      keywords: emergency.matchedPhrases,
+      score: emergency.score,
       messagePreview: message.substring(0, 100)
     });
 
@@ -29,19 +71,17 @@ function detectEmergency(message) {
       isEmergency: true,
       isUrgent: false,
       priority: 'emergency',
-      matchedKeywords: emergencyMatches,
-      response: safetyRules.emergencyResponse,
+      matchedKeywords: emergency.matchedPhrases,
+      matchedRules,
+      score: emergency.score,
+      response: localeService.getText(language, 'emergencyResponse'),
     };
   }
 
-  // Check for urgent care keywords
-  const urgentMatches = safetyRules.urgentKeywords.filter(keyword =>
-    lowerMessage.includes(keyword.toLowerCase())
-  );
-
-  if (urgentMatches.length > 0) {
+  if (urgent.triggered) {
     logger.info('⚠️ Urgent care keywords detected', {
-      keywords: urgentMatches,
+      keywords: urgent.matchedPhrases,
+      score: urgent.score,
       messagePreview: message.substring(0, 100)
     });
 
@@ -49,8 +89,10 @@ function detectEmergency(message) {
       isEmergency: false,
       isUrgent: true,
       priority: 'urgent',
-      matchedKeywords: urgentMatches,
-      response: safetyRules.urgentResponse,
+      matchedKeywords: urgent.matchedPhrases,
+      matchedRules,
+      score: urgent.score,
+      response: localeService.getText(language, 'urgentResponse'),
     };
   }
 
@@ -59,90 +101,154 @@ function detectEmergency(message) {
     isUrgent: false,
     priority: 'normal',
     matchedKeywords: [],
+    matchedRules,
+    score: emergency.score,
     response: null,
   };
 }
 
 /**
- * Check for prohibited topics
+ * Check message for self-harm or suicidal intent (crisis protocol)
  * @param {string} message - User message to check
  * @returns {Object} Detection result
  */
-function detectProhibitedTopic(message) {
-  const lowerMessage = message.toLowerCase();
+function detectSelfHarm(message) {
+  const selfHarm = evaluate(message, getRuleSets().selfHarm);
+  const matchedRules = selfHarm.matches.map(match => ({ category: 'self-harm', ...match }));
 
-  const prohibitedMatches = safetyRules.prohibitedTopics.filter(topic =>
-    lowerMessage.includes(topic.toLowerCase())
-  );
+  if (selfHarm.triggered) {
+    logger.warn('🆘 Self-harm language detected', {
+      keywords: selfHarm.matchedPhrases,
+      score: selfHarm.score,
+    });
+  }
+
+  return {
+    isSelfHarm: selfHarm.triggered,
+    matchedKeywords: selfHarm.matchedPhrases,
+    matchedRules,
+    score: selfHarm.score,
+  };
+}
 
-  if (prohibitedMatches.length > 0) {
+/**
+ * Check for prohibited topics
+ * @param {string} message - User message to check
+ * @param {string} [language] - Session language of the refusal text
+ * @returns {Object} Detection result
+ */
+function detectProhibitedTopic(message, language) {
+  const prohibited = evaluate(message, getRuleSets().prohibited);
+
+  if (prohibited.triggered) {
     logger.info('🚫 Prohibited topic detected', {
-      topics: prohibitedMatches,
+      topics: prohibited.matchedPhrases,
       messagePreview: message.substring(0, 100)
     });
 
     return {
       isProhibited: true,
-      matchedTopics: prohibitedMatches,
-      response: safetyRules.refusalResponse,
+      matchedTopics: prohibited.matchedPhrases,
+      matchedRules: prohibited.matches.map(match => ({ category: 'prohibited', ...match })),
+      response: localeService.getText(language, 'refusalResponse'),
     };
   }
 
   return {
     isProhibited: false,
     matchedTopics: [],
+    matchedRules: prohibited.matches.map(match => ({ category: 'prohibited', ...match })),
     response: null,
   };
 }
 
 /**
- * Check for restricted actions in AI response
- * @param {string} response - AI-generated response to validate
- * @returns {Object} Validation result
+ * Check for an appointment request
+ * @param {string} message - User message to check
+ * @returns {Object} { intent: 'book'|'reschedule'|'cancel'|null, matchedKeywords, matchedRules }
  */
-function validateResponse(response) {
-  const lowerResponse = response.toLowerCase();
+function detectBookingIntent(message) {
+  const booking = evaluate(message, getRuleSets().booking);
+  const matchedRules = booking.matches.map(match => ({ category: 'booking', ...match }));
+  const affirmed = booking.matches.filter(match => !match.negated).map(match => match.rule);
+  const intent = booking.triggered ? BOOKING_INTENTS.find(candidate => affirmed.includes(candidate)) || null : null;
+
+  if (intent) {
+    logger.info('📅 Appointment request detected', {
+      intent,
+      keywords: booking.matchedPhrases,
+      messagePreview: message.substring(0, 100)
+    });
+  }
+
+  return {
+    intent,
+    matchedKeywords: booking.matchedPhrases,
+    matchedRules,
+  };
+}
+
+/**
+ * Find restricted actions / diagnostic language in AI-generated text
+ * @param {string} text - AI response (or part of one)
+ * @returns {Object|null} { violations, reason, pattern } or null if the text is clean
+ */
+function findResponseViolation(text) {
+  const lowerText = text.toLowerCase();
 
-  const restrictedMatches = safetyRules.restrictedActions.filter(action =>
-    lowerResponse.includes(action.toLowerCase())
+  const restrictedMatches = safetyRuleStore.get().restrictedActions.filter(action =>
+    lowerText.includes(action.toLowerCase())
   );
 
   if (restrictedMatches.length > 0) {
-    logger.warn('⚠️ AI response contains restricted actions', {
-      actions: restrictedMatches,
-      responsePreview: response.substring(0, 100)
-    });
-
     return {
-      isValid: false,
       violations: restrictedMatches,
       reason: 'Response contains prohibited medical actions',
+      pattern: null,
     };
   }
 
-  // Check for diagnosis language patterns
-  const diagnosisPatterns = [
-    /you have\s+(?:a|an|the)\s+\w+/i,
-    /this is\s+(?:a|an|the)\s+\w+/i,
-    /you are suffering from/i,
-    /diagnosis is/i,
-  ];
-
-  for (const pattern of diagnosisPatterns) {
-    if (pattern.test(response)) {
-      logger.warn('⚠️ AI response contains diagnostic language', {
-        pattern: pattern.toString(),
-        responsePreview: response.substring(0, 100)
-      });
-
+  for (const pattern of safetyRuleStore.get().diagnosisPatterns) {
+    if (pattern.test(text)) {
       return {
-        isValid: false,
         violations: ['diagnostic language'],
         reason: 'Response contains diagnostic statements',
+        pattern: pattern.toString(),
       };
     }
   }
 
+  return null;
+}
+
+/**
+ * Check for restricted actions in AI response
+ * @param {string} response - AI-generated response to validate
+ * @returns {Object} Validation result
+ */
+function validateResponse(response) {
+  const violation = findResponseViolation(response);
+
+  if (violation && violation.pattern) {
+    logger.warn('⚠️ AI response contains diagnostic language', {
+      pattern: violation.pattern,
+      responsePreview: response.substring(0, 100)
+    });
+  } else if (violation) {
+    logger.warn('⚠️ AI response contains restricted actions', {
+      actions: violation.violations,
+      responsePreview: response.substring(0, 100)
+    });
+  }
+
+  if (violation) {
+    return {
+      isValid: false,
+      violations: violation.violations,
+      reason: violation.reason,
+    };
+  }
+
   return {
     isValid: true,
     violations: [],
@@ -150,6 +256,49 @@ function validateResponse(response) {
   };
 }
 
+/**
+ * Incremental validator for streamed AI responses
+ * Each pushed token is checked together with the preceding streamValidation.windowChars
+ * characters, so violations that span token boundaries are caught as soon as they complete.
+ * @returns {{ push: Function, getText: Function }}
+ */
+function createStreamValidator() {
+  const { windowChars } = safetyRuleStore.get().streamValidation;
+  let text = '';
+  let violation = null;
+
+  return {
+    /**
+     * Add streamed text
+     * @returns {Object|null} The violation ({ violations, reason, pattern, atChar }) once found
+     */
+    push(token) {
+      if (violation) {
+        return violation;
+      }
+
+      const windowStart = Math.max(0, text.length - windowChars);
+      text += token;
+
+      const found = findResponseViolation(text.slice(windowStart));
+      if (found) {
+        violation = { ...found, atChar: text.length };
+        logger.warn('⚠️ Streamed AI response failed validation mid-stream', {
+          violations: found.violations,
+          reason: found.reason,
+          atChar: violation.atChar,
+        });
+      }
+
+      return violation;
+    },
+
+    getText() {
+      return text;
+    },
+  };
+}
+
 /**
  * Express middleware for emergency detection
  */
@@ -160,16 +309,24 @@ function emergencyDetectorMiddleware(req, res, next) {
     return next();
   }
 
-  // Attach detection results to request
-  req.emergencyDetection = detectEmergency(message);
-  req.prohibitedDetection = detectProhibitedTopic(message);
+  // Attach detection results to request (req.language set by resolveSessionLanguage).
+  // A crisis or emergency is judged on what the patient wrote, before the injection guard
+  const original = req.originalMessage || message;
+  req.selfHarmDetection = detectSelfHarm(original);
+  req.emergencyDetection = detectEmergency(original, req.language);
+  req.prohibitedDetection = detectProhibitedTopic(message, req.language);
+  req.bookingDetection = detectBookingIntent(message);
 
   next();
 }
 
 module.exports = {
   detectEmergency,
+  detectSelfHarm,
   detectProhibitedTopic,
+  detectBookingIntent,
   validateResponse,
+  findResponseViolation,
+  createStreamValidator,
   emergencyDetectorMiddleware,
 };
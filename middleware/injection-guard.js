@@ -0,0 +1,153 @@
+/**
+ * Injection Guard Middleware
+ * Hardens patient input against prompt injection and role-marker spoofing
+ *
+ * Chat-template tokens are always removed and fake turn labels ("Assistant:") rewritten, so a
+ * message can't open a new turn in the prompt. Injection patterns from safetyRules.injection
+ * are scored; at the threshold config.injectionGuard.policy decides what happens:
+ * - refuse: reject the message (400 MESSAGE_REJECTED)
+ * - strip: remove the matched text and continue
+ * - flag: keep the text; the chat controller raises a handoff request for staff
+ * Every attempt is logged, and the detection is attached as req.injectionDetection. The message
+ * as it was before the guard is kept as req.originalMessage for the emergency and self-harm
+ * detectors, so stripping can't remove the words they look for.
+ */
+
+const chatTemplates = require('../services/chat-templates');
+const config = require('../config/config');
+const safetyRules = require('../config/safety-rules');
+const logger = require('../utils/logger');
+
+const POLICIES = ['refuse', 'strip', 'flag'];
+
+if (!POLICIES.includes(config.injectionGuard.policy)) {
+  throw new Error(`Unknown INJECTION_GUARD_POLICY "${config.injectionGuard.policy}" (expected ${POLICIES.join(', ')})`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Special tokens and turn delimiters of every known template, longest first
+const SPECIAL_TOKENS = [...new Set(
+  Object.values(chatTemplates.templates).flatMap(template => [...template.specialTokens, ...template.stop])
+)]
+  .filter(token => /[<>[\]|]/.test(token))
+  .sort((a, b) => b.length - a.length);
+
+const SPECIAL_TOKEN_PATTERN = new RegExp(SPECIAL_TOKENS.map(escapeRegExp).join('|'), 'gi');
+
+// "Assistant:" / "### SYSTEM:" style turn labels (capitalized, so "my immune system: ..." is left alone)
+const TURN_LABEL_PATTERN = /(^|[\s"'([{>])#*\s*(User|Assistant|System|Human|AI|Bot|USER|ASSISTANT|SYSTEM|HUMAN|BOT)\s*:/g;
+
+/**
+ * Remove template tokens and defuse fake turn labels
+ * @returns {{ text: string, specialTokens: number, turnLabels: number }}
+ */
+function neutralizeRoleMarkers(text) {
+  let specialTokens = 0;
+  let turnLabels = 0;
+
+  const neutralized = text
+    .replace(SPECIAL_TOKEN_PATTERN, () => {
+      specialTokens++;
+      return ' ';
+    })
+    .replace(TURN_LABEL_PATTERN, (match, before, role) => {
+      turnLabels++;
+      return `${before}${role} -`;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { text: neutralized, specialTokens, turnLabels };
+}
+
+/**
+ * Score a message against the injection patterns and role markers
+ * @returns {{ score: number, matches: Array<{ id: string, text: string, weight: number }>, isInjection: boolean }}
+ */
+function scoreInjection(message) {
+  const { patterns, threshold, roleMarkerWeight } = safetyRules.injection;
+  const matches = [];
+
+  for (const { id, pattern, weight } of patterns) {
+    const match = message.match(pattern);
+    if (match) {
+      matches.push({ id, text: match[0], weight });
+    }
+  }
+
+  const markers = neutralizeRoleMarkers(message);
+  if (markers.specialTokens > 0) {
+    matches.push({ id: 'special-token', text: null, weight: roleMarkerWeight.specialToken });
+  }
+  if (markers.turnLabels > 0) {
+    matches.push({ id: 'turn-label', text: null, weight: roleMarkerWeight.turnLabel });
+  }
+
+  const score = matches.reduce((sum, match) => sum + match.weight, 0);
+
+  return { score, matches, isInjection: score >= threshold };
+}
+
+/**
+ * Remove the text matched by the injection patterns
+ */
+function stripInjection(message) {
+  return safetyRules.injection.patterns
+    .reduce((text, { pattern }) => text.replace(new RegExp(pattern.source, pattern.flags.replace('g', '') + 'g'), ' '), message)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Injection guard (runs after sanitizeContent)
+ */
+function injectionGuard(req, res, next) {
+  const { message, sessionId } = req.body;
+  const { policy } = config.injectionGuard;
+
+  const detection = scoreInjection(message);
+  const action = detection.isInjection ? policy : 'neutralize';
+  let cleaned = neutralizeRoleMarkers(message).text;
+
+  if (detection.matches.length > 0) {
+    logger.warn('🛡️ Prompt injection patterns detected', {
+      sessionId,
+      score: detection.score,
+      patterns: detection.matches.map(match => match.id),
+      action,
+      messagePreview: message.substring(0, 100),
+    });
+  }
+
+  if (detection.isInjection && policy === 'refuse') {
+    return res.status(400).json({
+      error: 'MESSAGE_REJECTED',
+    });
+  }
+
+  if (detection.isInjection && policy === 'strip') {
+    cleaned = stripInjection(cleaned);
+
+    if (cleaned.length < safetyRules.contentFilter.minMessageLength) {
+      return res.status(400).json({
+        error: 'MESSAGE_REJECTED',
+      });
+    }
+  }
+
+  req.originalMessage = message;
+  req.body.message = cleaned;
+  req.injectionDetection = detection.matches.length > 0 ? { ...detection, action } : null;
+
+  next();
+}
+
+module.exports = {
+  neutralizeRoleMarkers,
+  scoreInjection,
+  stripInjection,
+  injectionGuard,
+};
@@ -0,0 +1,56 @@
+/**
+ * Session Language Middleware
+ * Resolves the patient's language before the safety checks run
+ *
+ * A language passed by the proxy when the session was created holds for the whole session.
+ * Otherwise every message goes through language detection, and the session switches to the
+ * detected language once a message is clearly written in it; short or mixed messages
+ * ("ok po thanks") leave it as it is. The result is attached as req.language.
+ */
+
+const conversationService = require('../services/conversation-service');
+const localeService = require('../services/locale-service');
+const logger = require('../utils/logger');
+
+async function resolveSessionLanguage(req, res, next) {
+  const { sessionId, message } = req.body;
+
+  try {
+    const conversation = await conversationService.getConversation(sessionId);
+
+    // Unknown sessions are answered by the controller
+    if (!conversation) {
+      return next();
+    }
+
+    let language = localeService.resolve(conversation.language) || localeService.getDefaultLanguage();
+
+    if (conversation.language_source !== 'proxy') {
+      const detected = localeService.detect(message);
+
+      if (detected && detected.language !== language) {
+        await conversationService.setLanguage(sessionId, detected.language, 'detected');
+
+        logger.info('Session language detected', {
+          sessionId,
+          from: language,
+          to: detected.language,
+          confidence: detected.confidence,
+        });
+
+        language = detected.language;
+      }
+    }
+
+    req.language = language;
+  } catch (error) {
+    logger.warn('Could not resolve session language, using the default', { sessionId, error: error.message });
+    req.language = localeService.getDefaultLanguage();
+  }
+
+  next();
+}
+
+module.exports = {
+  resolveSessionLanguage,
+};
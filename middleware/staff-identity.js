@@ -37,4 +37,26 @@ function extractStaffIdentity(req, res, next) {
   next();
 }
 
-module.exports = { extractStaffIdentity };
+/**
+ * Restrict a route to specific staff roles (use after extractStaffIdentity)
+ * @param {...string} roles - Allowed X-Staff-Role values
+ */
+function requireStaffRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      logger.warn('Staff role not permitted for route', {
+        staffId: req.user ? req.user.id : null,
+        staffRole: req.user ? req.user.role : null,
+        path: req.path,
+      });
+
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { extractStaffIdentity, requireStaffRole };
@@ -0,0 +1,114 @@
+/**
+ * Admin Routes
+ *
+ * Mounted at /api/admin. Same trust model as /staff/* — identity comes from
+ * proxy headers behind the API key — but limited to the admin role.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const adminController = require('../controllers/admin-controller');
+const config = require('../config/config');
+
+const { extractStaffIdentity, requireStaffRole } = require('../middleware/staff-identity');
+const { staffChatLimiter } = require('../middleware/rate-limiter');
+
+router.use(staffChatLimiter, extractStaffIdentity, requireStaffRole('admin'));
+
+// Knowledge-base documents may also be uploaded as the raw file, with its own content type
+const rawDocumentParser = express.text({
+  type: ['text/markdown', 'text/plain', 'text/html'],
+  limit: config.knowledgeBase.maxDocumentBytes,
+});
+
+const parseDocumentBody = (req, res, next) => {
+  rawDocumentParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        error: error.status === 413 ? 'DOCUMENT_TOO_LARGE' : 'BAD_REQUEST',
+      });
+    }
+    next();
+  });
+};
+
+// ============================================
+// LLaMA Server
+// ============================================
+
+router.get('/llama/status',
+  adminController.getLlamaStatus
+);
+
+// ============================================
+// Safety Rule Sets
+// ============================================
+
+router.get('/safety-rules',
+  adminController.listSafetyRuleSets
+);
+
+router.get('/safety-rules/diff',
+  adminController.diffSafetyRuleSets
+);
+
+router.get('/safety-rules/:version',
+  adminController.getSafetyRuleSet
+);
+
+router.post('/safety-rules',
+  adminController.publishSafetyRuleSet
+);
+
+router.post('/safety-rules/:version/rollback',
+  adminController.rollbackSafetyRuleSet
+);
+
+// ============================================
+// Knowledge Base
+// ============================================
+
+router.get('/kb',
+  adminController.listKnowledgeDocuments
+);
+
+router.post('/kb',
+  parseDocumentBody,
+  adminController.createKnowledgeDocument
+);
+
+router.post('/kb/preview',
+  adminController.previewKnowledgeRetrieval
+);
+
+router.get('/kb/:slug',
+  adminController.getKnowledgeDocument
+);
+
+router.delete('/kb/:slug',
+  adminController.deleteKnowledgeDocument
+);
+
+router.post('/kb/:slug/versions',
+  parseDocumentBody,
+  adminController.addKnowledgeDocumentVersion
+);
+
+router.get('/kb/:slug/versions/:version',
+  adminController.getKnowledgeDocumentVersion
+);
+
+router.post('/kb/:slug/versions/:version/rollback',
+  adminController.rollbackKnowledgeDocument
+);
+
+router.post('/kb/:slug/disable',
+  adminController.disableKnowledgeDocument
+);
+
+router.post('/kb/:slug/enable',
+  adminController.enableKnowledgeDocument
+);
+
+module.exports = router;
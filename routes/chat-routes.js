@@ -14,6 +14,8 @@ const chatController = require('../controllers/chat-controller');
 const handoffController = require('../controllers/handoff-controller');
 
 const { validateMessage, validateSession, sanitizeContent, detectSpam } = require('../middleware/safety-filter');
+const { injectionGuard } = require('../middleware/injection-guard');
+const { resolveSessionLanguage } = require('../middleware/session-language');
 const { emergencyDetectorMiddleware } = require('../middleware/emergency-detector');
 const { extractStaffIdentity } = require('../middleware/staff-identity');
 const { patientChatLimiter, staffChatLimiter } = require('../middleware/rate-limiter');
@@ -32,7 +34,9 @@ router.post('/patient/message',
   validateSession,
   validateMessage,
   sanitizeContent,
+  injectionGuard,
   detectSpam,
+  resolveSessionLanguage,
   emergencyDetectorMiddleware,
   chatController.sendMessage
 );
@@ -42,11 +46,18 @@ router.post('/patient/message/stream',
   validateSession,
   validateMessage,
   sanitizeContent,
+  injectionGuard,
   detectSpam,
+  resolveSessionLanguage,
   emergencyDetectorMiddleware,
   chatController.sendMessageStream
 );
 
+router.get('/patient/message/stream/:sessionId',
+  patientChatLimiter,
+  chatController.resumeStream
+);
+
 router.post('/patient/cancel',
   patientChatLimiter,
   validateSession,
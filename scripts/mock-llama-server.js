@@ -0,0 +1,309 @@
+/**
+ * Mock llama-server
+ * Stand-in for llama.cpp's HTTP server so the chatbot can run without a GPU or model file
+ *
+ * Implements /health, /props, /tokenize, /embedding and /completion (streaming SSE and non-streaming).
+ *
+ * Usage:
+ *   npm run mock:llama
+ *   LLAMA_SERVER_PORT=8080 in the chatbot .env (the default) points the service at it
+ *
+ * Environment:
+ *   MOCK_LLAMA_PORT          Port to listen on (default LLAMA_SERVER_PORT or 8080)
+ *   MOCK_LLAMA_MODE          'echo' (default) repeats the last user message; 'script' uses MOCK_LLAMA_SCRIPT
+ *   MOCK_LLAMA_SCRIPT        JSON file: [{ "match": "regex", "response": "text", "json": {}, "latencyMs": 0, "status": 500 }]
+ *                            ("json" answers requests that carry a json_schema, e.g. the safety classifier)
+ *                            First rule whose regex matches the last user message wins
+ *   MOCK_LLAMA_TEMPLATE      Chat template reported by /props: llama3, chatml, mistral, gemma, phi, generic (default chatml)
+ *   MOCK_LLAMA_LATENCY_MS    Delay before the first token (default 0)
+ *   MOCK_LLAMA_TOKEN_DELAY_MS Delay between streamed tokens (default 20)
+ *   MOCK_LLAMA_ERROR_RATE    Probability 0-1 that a completion fails with HTTP 503 (default 0)
+ *   MOCK_LLAMA_LOADING_MS    /health answers 503 "loading model" for this long after start (default 0)
+ *   MOCK_LLAMA_STOP_MODE     'flag' (default) final chunk has stop:true; 'eof' stream just ends without a stop chunk
+ *   MOCK_LLAMA_SLOTS         Slots reported by /props; each slot remembers its last prompt for cache_prompt (default 1)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const CHAT_TEMPLATES = {
+  llama3: '{% for message in messages %}<|start_header_id|>{{ message.role }}<|end_header_id|>\n\n{{ message.content }}<|eot_id|>{% endfor %}',
+  chatml: '{% for message in messages %}<|im_start|>{{ message.role }}\n{{ message.content }}<|im_end|>\n{% endfor %}',
+  mistral: '{% for message in messages %}[INST] {{ message.content }} [/INST]{% endfor %}',
+  gemma: '{% for message in messages %}<start_of_turn>{{ message.role }}\n{{ message.content }}<end_of_turn>\n{% endfor %}',
+  phi: '{% for message in messages %}<|{{ message.role }}|>\n{{ message.content }}<|end|>\n{% endfor %}',
+  generic: '',
+};
+
+// Where the last user turn starts / ends in each prompt format
+const USER_TURN_MARKERS = [
+  /<\|start_header_id\|>user<\|end_header_id\|>\n\n/g,
+  /<\|im_start\|>user\n/g,
+  /<start_of_turn>user\n/g,
+  /<\|user\|>\n/g,
+  /\[INST\] /g,
+  /(?:^|\n)User: /g,
+];
+const TURN_END = /<\|eot_id\|>|<\|im_end\|>|<end_of_turn>|<\|end\|>| \[\/INST\]|\n\nAssistant: |\n\n(?:User|System): /;
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Extract the most recent user message from a rendered prompt
+ */
+function lastUserMessage(prompt) {
+  let start = -1;
+
+  for (const marker of USER_TURN_MARKERS) {
+    for (const match of prompt.matchAll(marker)) {
+      start = Math.max(start, match.index + match[0].length);
+    }
+  }
+
+  const tail = start >= 0 ? prompt.slice(start) : prompt;
+  return tail.split(TURN_END)[0].trim();
+}
+
+/**
+ * Split text into word-level "tokens" that keep their leading whitespace
+ */
+function tokenize(text) {
+  return text.match(/\s*\S+/g) || [];
+}
+
+/**
+ * Cut generated text at the first stop string
+ */
+function applyStop(text, stop = []) {
+  let cut = text.length;
+  let matched = null;
+
+  for (const word of stop) {
+    const index = text.indexOf(word);
+    if (word && index !== -1 && index < cut) {
+      cut = index;
+      matched = word;
+    }
+  }
+
+  return { text: text.slice(0, cut), stoppingWord: matched };
+}
+
+/**
+ * Smallest value that satisfies a JSON schema (first enum value, first anyOf branch, ...)
+ */
+function sampleFromSchema(schema = {}) {
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  if (Array.isArray(schema.anyOf)) return sampleFromSchema(schema.anyOf[0]);
+
+  switch (schema.type) {
+    case 'object': {
+      const value = {};
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        value[key] = sampleFromSchema(property);
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    case 'string':
+      return 'mock';
+    default:
+      return null;
+  }
+}
+
+// Dimensions of the mock /embedding vectors
+const EMBEDDING_SIZE = 64;
+
+const sleep = ms => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+/**
+ * Create the mock server app
+ * @param {Object} options - Overrides for the MOCK_LLAMA_* environment settings
+ * @returns {express.Application}
+ */
+function createMockServer(options = {}) {
+  const settings = {
+    mode: options.mode || process.env.MOCK_LLAMA_MODE || 'echo',
+    script: options.script || null,
+    template: options.template || process.env.MOCK_LLAMA_TEMPLATE || 'chatml',
+    latencyMs: options.latencyMs ?? envNumber('MOCK_LLAMA_LATENCY_MS', 0),
+    tokenDelayMs: options.tokenDelayMs ?? envNumber('MOCK_LLAMA_TOKEN_DELAY_MS', 20),
+    errorRate: options.errorRate ?? envNumber('MOCK_LLAMA_ERROR_RATE', 0),
+    loadingMs: options.loadingMs ?? envNumber('MOCK_LLAMA_LOADING_MS', 0),
+    stopMode: options.stopMode || process.env.MOCK_LLAMA_STOP_MODE || 'flag',
+    totalSlots: options.totalSlots ?? envNumber('MOCK_LLAMA_SLOTS', 1),
+  };
+
+  if (!settings.script && settings.mode === 'script') {
+    const scriptPath = process.env.MOCK_LLAMA_SCRIPT;
+    if (!scriptPath) {
+      throw new Error('MOCK_LLAMA_MODE=script requires MOCK_LLAMA_SCRIPT');
+    }
+    settings.script = JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf8'));
+  }
+
+  const startedAt = Date.now();
+  // Last prompt tokens evaluated per slot — stands in for the slot's KV cache
+  const slotCache = new Array(settings.totalSlots).fill(null).map(() => []);
+  let nextSlot = 0;
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  /**
+   * Decide what the "model" says for a prompt
+   * @returns {{ text: string, latencyMs: number, status: number|null }}
+   */
+  function respond(prompt, jsonSchema) {
+    const userMessage = lastUserMessage(prompt);
+
+    if (settings.mode === 'script') {
+      const rule = settings.script.find(entry => new RegExp(entry.match || '.*', 'i').test(userMessage));
+      if (rule) {
+        return {
+          text: jsonSchema ? JSON.stringify(rule.json ?? sampleFromSchema(jsonSchema)) : rule.response || '',
+          latencyMs: rule.latencyMs ?? settings.latencyMs,
+          status: rule.status || null,
+        };
+      }
+    }
+
+    return {
+      text: jsonSchema ? JSON.stringify(sampleFromSchema(jsonSchema)) : `You said: ${userMessage}`,
+      latencyMs: settings.latencyMs,
+      status: null,
+    };
+  }
+
+  app.get('/health', (req, res) => {
+    if (Date.now() - startedAt < settings.loadingMs) {
+      return res.status(503).json({ error: { code: 503, message: 'Loading model', type: 'unavailable_error' } });
+    }
+    res.json({ status: 'ok' });
+  });
+
+  app.get('/props', (req, res) => {
+    res.json({
+      chat_template: CHAT_TEMPLATES[settings.template] ?? '',
+      model_path: `mock-${settings.template}.gguf`,
+      total_slots: settings.totalSlots,
+      default_generation_settings: { n_ctx: 4096 },
+    });
+  });
+
+  app.post('/tokenize', (req, res) => {
+    const tokens = tokenize(String(req.body.content || ''));
+    res.json({ tokens: tokens.map((token, index) => index + 1) });
+  });
+
+  // Hashed bag of words: texts sharing words get similar vectors, enough to exercise re-ranking
+  app.post('/embedding', (req, res) => {
+    const vector = new Array(EMBEDDING_SIZE).fill(0);
+
+    for (const word of String(req.body.content || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      let hash = 0;
+      for (const char of word) {
+        hash = (hash * 31 + char.codePointAt(0)) % EMBEDDING_SIZE;
+      }
+      vector[hash] += 1;
+    }
+
+    res.json({ embedding: vector });
+  });
+
+  app.post('/completion', async (req, res) => {
+    const prompt = String(req.body.prompt || '');
+    const nPredict = req.body.n_predict > 0 ? req.body.n_predict : Infinity;
+    const reply = respond(prompt, req.body.json_schema);
+
+    await sleep(reply.latencyMs);
+
+    const status = reply.status || (Math.random() < settings.errorRate ? 503 : null);
+    if (status) {
+      return res.status(status).json({ error: { code: status, message: 'Mock failure', type: 'server_error' } });
+    }
+
+    const stopped = applyStop(reply.text, req.body.stop);
+    const allTokens = tokenize(stopped.text);
+    const tokens = allTokens.slice(0, nPredict);
+    const stopType = stopped.stoppingWord ? 'word' : tokens.length < allTokens.length ? 'limit' : 'eos';
+    const promptTokens = tokenize(prompt);
+
+    // Like llama-server: honor id_slot, otherwise rotate; reuse the common prefix with cache_prompt
+    const slot = req.body.id_slot >= 0 && req.body.id_slot < settings.totalSlots
+      ? req.body.id_slot
+      : nextSlot++ % settings.totalSlots;
+    let cached = 0;
+    if (req.body.cache_prompt) {
+      const previous = slotCache[slot];
+      while (cached < previous.length && cached < promptTokens.length && previous[cached] === promptTokens[cached]) {
+        cached++;
+      }
+    }
+    slotCache[slot] = promptTokens;
+
+    const final = {
+      tokens_predicted: tokens.length,
+      tokens_evaluated: promptTokens.length,
+      tokens_cached: cached,
+      id_slot: slot,
+      stop: true,
+      stop_type: stopType,
+      stopping_word: stopped.stoppingWord || '',
+      model: `mock-${settings.template}`,
+      timings: {
+        cache_n: cached,
+        prompt_n: promptTokens.length - cached,
+        prompt_ms: promptTokens.length - cached,
+        predicted_n: tokens.length,
+      },
+    };
+
+    if (!req.body.stream) {
+      return res.json({ content: tokens.join(''), ...final });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+    });
+
+    for (const token of tokens) {
+      if (closed) return;
+      res.write(`data: ${JSON.stringify({ content: token, stop: false })}\n\n`);
+      await sleep(settings.tokenDelayMs);
+    }
+
+    if (settings.stopMode === 'flag') {
+      res.write(`data: ${JSON.stringify({ content: '', ...final })}\n\n`);
+    }
+    res.end();
+  });
+
+  return app;
+}
+
+module.exports = { createMockServer, lastUserMessage };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_LLAMA_PORT || process.env.LLAMA_SERVER_PORT || '8080', 10);
+  const app = createMockServer();
+
+  app.listen(port, () => {
+    console.log(`Mock llama-server listening on http://localhost:${port} (mode: ${process.env.MOCK_LLAMA_MODE || 'echo'})`);
+  });
+}
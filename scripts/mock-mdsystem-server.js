@@ -0,0 +1,176 @@
+/**
+ * Mock MDSystem API
+ * Stand-in for the MDSystem chatbot API that the assistant's tools call (services/tools),
+ * so doctor lookups can be tried without the real backend
+ *
+ * Implements GET /api/chatbot/doctors and GET /api/chatbot/doctors/availability.
+ *
+ * Usage:
+ *   npm run mock:mdsystem
+ *   MDSYSTEM_API_URL=http://localhost:3010/api/chatbot in the chatbot .env (the default) points the service at it
+ *
+ * Environment:
+ *   MOCK_MDSYSTEM_PORT   Port to listen on (default 3010)
+ *   MOCK_MDSYSTEM_DATA   JSON file replacing the built-in doctors: { "doctors": [{ "id", "name", "specialty",
+ *                        "schedule": { "mon": ["09:00", "12:00"], ... }, "slotMinutes": 30, "booked": ["2025-01-06T09:30"] }] }
+ *   MDSYSTEM_API_KEY     If set, requests must carry it as X-API-Key (as the real API does)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_DOCTORS = [
+  {
+    id: 'd-101',
+    name: 'Dr. Maria Santos',
+    specialty: 'Internal Medicine',
+    schedule: { mon: ['09:00', '12:00'], wed: ['09:00', '12:00'], fri: ['13:00', '17:00'] },
+    slotMinutes: 30,
+  },
+  {
+    id: 'd-102',
+    name: 'Dr. Jose Reyes',
+    specialty: 'Pediatrics',
+    schedule: { tue: ['08:00', '12:00'], thu: ['08:00', '12:00'], sat: ['09:00', '11:00'] },
+    slotMinutes: 20,
+  },
+  {
+    id: 'd-103',
+    name: 'Dr. Ana Cruz',
+    specialty: 'Obstetrics and Gynecology',
+    schedule: { mon: ['13:00', '16:00'], thu: ['13:00', '16:00'] },
+    slotMinutes: 30,
+  },
+];
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a slot is taken — from the doctor's `booked` list, or (built-in data) every third slot
+ */
+function isBooked(doctor, date, start, index) {
+  if (Array.isArray(doctor.booked)) {
+    return doctor.booked.includes(`${date}T${start}`);
+  }
+
+  return (index + Number(date.slice(-2))) % 3 === 0;
+}
+
+/**
+ * Open slots of a doctor from a date for a number of days
+ */
+function openSlots(doctor, from, days) {
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = new Date(from.getTime() + offset * 24 * 60 * 60 * 1000);
+    const hours = doctor.schedule[WEEKDAYS[day.getUTCDay()]];
+
+    if (!hours) {
+      continue;
+    }
+
+    const date = formatDate(day);
+    const step = doctor.slotMinutes || 30;
+
+    for (let minutes = toMinutes(hours[0]), index = 0; minutes + step <= toMinutes(hours[1]); minutes += step, index++) {
+      const start = toTime(minutes);
+      if (!isBooked(doctor, date, start, index)) {
+        slots.push({ date, start, end: toTime(minutes + step) });
+      }
+    }
+  }
+
+  return slots;
+}
+
+function publicDoctor(doctor) {
+  return {
+    id: doctor.id,
+    name: doctor.name,
+    specialty: doctor.specialty,
+    clinicDays: Object.keys(doctor.schedule).map(day => `${day} ${doctor.schedule[day].join('-')}`),
+  };
+}
+
+/**
+ * Create the mock server app
+ * @param {Object} options - { doctors } overrides the built-in / MOCK_MDSYSTEM_DATA doctors
+ * @returns {express.Application}
+ */
+function createMockServer(options = {}) {
+  let doctors = options.doctors || DEFAULT_DOCTORS;
+
+  if (!options.doctors && process.env.MOCK_MDSYSTEM_DATA) {
+    doctors = JSON.parse(fs.readFileSync(path.resolve(process.env.MOCK_MDSYSTEM_DATA), 'utf8')).doctors;
+  }
+
+  const apiKey = options.apiKey ?? process.env.MDSYSTEM_API_KEY;
+  const app = express();
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (apiKey && req.get('X-API-Key') !== apiKey) {
+      return res.status(401).json({ error: 'UNAUTHORIZED' });
+    }
+    next();
+  });
+
+  const matches = (value, query) => !query || value.toLowerCase().includes(String(query).toLowerCase().replace(/^dr\.?\s+/, ''));
+
+  router.get('/doctors', (req, res) => {
+    res.json({
+      doctors: doctors.filter(doctor => matches(doctor.specialty, req.query.specialty)).map(publicDoctor),
+    });
+  });
+
+  router.get('/doctors/availability', (req, res) => {
+    if (!req.query.doctor) {
+      return res.status(400).json({ error: 'BAD_REQUEST' });
+    }
+
+    const from = req.query.date ? new Date(`${req.query.date}T00:00:00Z`) : new Date(`${formatDate(new Date())}T00:00:00Z`);
+    const days = Math.min(Math.max(parseInt(req.query.days || '7', 10) || 7, 1), 14);
+
+    if (Number.isNaN(from.getTime())) {
+      return res.status(400).json({ error: 'BAD_REQUEST' });
+    }
+
+    res.json({
+      from: formatDate(from),
+      days,
+      doctors: doctors
+        .filter(doctor => matches(doctor.name, req.query.doctor))
+        .map(doctor => ({ ...publicDoctor(doctor), slots: openSlots(doctor, from, days) })),
+    });
+  });
+
+  app.use('/api/chatbot', router);
+
+  return app;
+}
+
+module.exports = { createMockServer };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_MDSYSTEM_PORT || '3010', 10);
+  const app = createMockServer();
+
+  app.listen(port, () => {
+    console.log(`Mock MDSystem API listening on http://localhost:${port}/api/chatbot`);
+  });
+}
@@ -0,0 +1,450 @@
+/**
+ * Safety Regression Runner
+ * Runs a labeled corpus through the safety rules and compares the results with a stored baseline
+ *
+ * Patient messages go through detectSelfHarm, detectEmergency and detectProhibitedTopic;
+ * assistant responses through validateResponse. The report shows precision and recall per
+ * category (emergency, self-harm, urgent, prohibited, unsafe-response) and lists every case
+ * that the baseline got right and the current rules get wrong.
+ *
+ * Usage:
+ *   npm run safety:regression
+ *   node scripts/safety-regression.js [options]
+ *
+ * Options:
+ *   --corpus <file>     Labeled corpus, JSON (or YAML if the `yaml` package is installed)
+ *                       (default scripts/safety-corpus.json)
+ *   --baseline <file>   Results to compare against (default scripts/safety-baseline.json)
+ *   --update-baseline   Store the current results as the new baseline
+ *   --strict            Fail on any regression, not only on a drop in emergency / self-harm recall
+ *   --pipeline          Also run the full pipeline: the safety classifier (if SAFETY_CLASSIFIER_ENABLED)
+ *                       and a generated answer per message. Needs a llama-server or `npm run mock:llama`
+ *   --json              Print the report as JSON
+ *
+ * Corpus format:
+ *   { "messages": [{ "id", "text", "labels": ["emergency", ...] }],   (no labels = normal)
+ *     "responses": [{ "id", "text", "valid": true|false }] }
+ *
+ * A missed self-harm message always fails the run, whatever the baseline says, and is never
+ * stored as a baseline.
+ *
+ * Exit codes: 0 passed, 1 a self-harm message missed, emergency / self-harm recall dropped
+ *             (or any regression with --strict), 2 usage or corpus error
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Detections log every match; keep the report readable unless asked otherwise
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const {
+  detectSelfHarm,
+  detectEmergency,
+  detectProhibitedTopic,
+  validateResponse,
+} = require('../middleware/emergency-detector');
+const safetyRuleStore = require('../services/safety-rule-store');
+
+const MESSAGE_CATEGORIES = ['emergency', 'self-harm', 'urgent', 'prohibited'];
+const RESPONSE_CATEGORY = 'unsafe-response';
+const CATEGORIES = [...MESSAGE_CATEGORIES, RESPONSE_CATEGORY];
+
+// A drop in recall for these fails the run: a missed emergency is the failure that matters
+const CRITICAL_CATEGORIES = ['emergency', 'self-harm'];
+
+// Any miss in these fails the run, even if the baseline missed it too
+const ZERO_MISS_CATEGORIES = ['self-harm'];
+
+const DEFAULT_CORPUS = path.join(__dirname, 'safety-corpus.json');
+const DEFAULT_BASELINE = path.join(__dirname, 'safety-baseline.json');
+
+function usageError(message) {
+  console.error(`❌ ${message}`);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const options = {
+    corpus: DEFAULT_CORPUS,
+    baseline: DEFAULT_BASELINE,
+    updateBaseline: false,
+    strict: false,
+    pipeline: false,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--corpus':
+      case '--baseline':
+        if (!argv[i + 1]) usageError(`${argv[i]} needs a file`);
+        options[argv[i].slice(2)] = path.resolve(argv[++i]);
+        break;
+      case '--update-baseline':
+        options.updateBaseline = true;
+        break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--pipeline':
+        options.pipeline = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        usageError(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function loadCorpus(file) {
+  if (!fs.existsSync(file)) {
+    usageError(`Corpus not found: ${file}`);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  let corpus;
+
+  try {
+    if (/\.ya?ml$/i.test(file)) {
+      let yaml;
+      try {
+        yaml = require('yaml');
+      } catch (error) {
+        usageError('YAML corpora need the `yaml` package (npm install yaml), or use JSON');
+      }
+      corpus = yaml.parse(text);
+    } else {
+      corpus = JSON.parse(text);
+    }
+  } catch (error) {
+    usageError(`Could not parse ${file}: ${error.message}`);
+  }
+
+  const messages = corpus.messages || [];
+  const responses = corpus.responses || [];
+  const ids = new Set();
+
+  for (const item of [...messages, ...responses]) {
+    if (!item.id || typeof item.text !== 'string') {
+      usageError('Every corpus entry needs an id and a text');
+    }
+    if (ids.has(item.id)) {
+      usageError(`Duplicate corpus id ${item.id}`);
+    }
+    ids.add(item.id);
+  }
+
+  for (const item of messages) {
+    const unknown = (item.labels || []).filter(label => !MESSAGE_CATEGORIES.includes(label));
+    if (unknown.length > 0) {
+      usageError(`${item.id}: unknown label(s) ${unknown.join(', ')} (expected ${MESSAGE_CATEGORIES.join(', ')})`);
+    }
+  }
+
+  return { messages, responses };
+}
+
+/**
+ * Categories the keyword rules assign to a patient message
+ */
+function classifyWithRules(text) {
+  const emergency = detectEmergency(text);
+  const categories = [];
+
+  if (detectSelfHarm(text).isSelfHarm) categories.push('self-harm');
+  if (emergency.isEmergency) categories.push('emergency');
+  if (emergency.isUrgent) categories.push('urgent');
+  if (detectProhibitedTopic(text).isProhibited) categories.push('prohibited');
+
+  return categories;
+}
+
+/**
+ * Rule results for the whole corpus
+ * @returns {Array<{ id, expected: Array<string>, predicted: Array<string> }>}
+ */
+function runRules(corpus) {
+  return [
+    ...corpus.messages.map(item => ({
+      id: item.id,
+      expected: item.labels || [],
+      predicted: classifyWithRules(item.text),
+    })),
+    ...corpus.responses.map(item => ({
+      id: item.id,
+      expected: item.valid === false ? [RESPONSE_CATEGORY] : [],
+      predicted: validateResponse(item.text).isValid ? [] : [RESPONSE_CATEGORY],
+    })),
+  ];
+}
+
+/**
+ * Same corpus through the classifier-combined pipeline, with a generated answer per safe message
+ */
+async function runPipeline(corpus) {
+  const llamaService = require('../services/llama-service');
+  const safetyClassifier = require('../services/safety-classifier');
+
+  if (!(await llamaService.initialize(false))) {
+    usageError('--pipeline needs a running llama-server (npm run mock:llama)');
+  }
+
+  const cases = [];
+  let generated = 0;
+  let generatedUnsafe = 0;
+
+  try {
+    for (const item of corpus.messages) {
+      const review = await safetyClassifier.reviewMessage(item.text, {
+        selfHarmDetection: detectSelfHarm(item.text),
+        emergencyDetection: detectEmergency(item.text),
+        prohibitedDetection: detectProhibitedTopic(item.text),
+      }, { priority: 'urgent' });
+
+      const predicted = [];
+      if (review.selfHarmDetection.isSelfHarm) predicted.push('self-harm');
+      if (review.emergencyDetection.isEmergency) predicted.push('emergency');
+      if (review.emergencyDetection.isUrgent) predicted.push('urgent');
+      if (review.prohibitedDetection.isProhibited) predicted.push('prohibited');
+
+      cases.push({ id: item.id, expected: item.labels || [], predicted });
+
+      // Messages the chat would answer: check what the model actually says
+      if (!review.selfHarmDetection.isSelfHarm && !review.emergencyDetection.isEmergency &&
+        !review.prohibitedDetection.isProhibited) {
+        const answer = await llamaService.generateResponse([{ role: 'user', content: item.text }], {});
+        const validation = await safetyClassifier.validateResponse(answer.content, {});
+        generated++;
+        if (!validation.isValid) generatedUnsafe++;
+      }
+    }
+
+    for (const item of corpus.responses) {
+      const validation = await safetyClassifier.validateResponse(item.text, {});
+      cases.push({
+        id: item.id,
+        expected: item.valid === false ? [RESPONSE_CATEGORY] : [],
+        predicted: validation.isValid ? [] : [RESPONSE_CATEGORY],
+      });
+    }
+  } finally {
+    await llamaService.shutdown();
+  }
+
+  return {
+    classifierEnabled: safetyClassifier.isEnabled(),
+    policy: safetyClassifier.policy,
+    metrics: computeMetrics(cases),
+    generated,
+    generatedUnsafe,
+  };
+}
+
+/**
+ * Precision / recall per category (null when undefined: no predictions / no positives)
+ */
+function computeMetrics(cases) {
+  const metrics = {};
+
+  for (const category of CATEGORIES) {
+    let tp = 0;
+    let fp = 0;
+    let fn = 0;
+
+    for (const item of cases) {
+      const expected = item.expected.includes(category);
+      const predicted = item.predicted.includes(category);
+
+      if (expected && predicted) tp++;
+      else if (predicted) fp++;
+      else if (expected) fn++;
+    }
+
+    metrics[category] = {
+      tp,
+      fp,
+      fn,
+      precision: tp + fp > 0 ? tp / (tp + fp) : null,
+      recall: tp + fn > 0 ? tp / (tp + fn) : null,
+    };
+  }
+
+  return metrics;
+}
+
+/**
+ * Cases whose prediction disagrees with their labels
+ */
+function findMisclassified(cases) {
+  return cases.flatMap(item => CATEGORIES
+    .filter(category => item.expected.includes(category) !== item.predicted.includes(category))
+    .map(category => ({ id: item.id, category, kind: item.expected.includes(category) ? 'missed' : 'false positive' })));
+}
+
+/**
+ * Cases the baseline got right for a category and the current run gets wrong (and the reverse)
+ */
+function compareWithBaseline(cases, baseline) {
+  const regressions = [];
+  const fixed = [];
+
+  for (const item of cases) {
+    const previous = baseline.cases[item.id];
+    if (!previous) continue;
+
+    for (const category of CATEGORIES) {
+      const expected = item.expected.includes(category);
+      const wasCorrect = previous.includes(category) === expected;
+      const isCorrect = item.predicted.includes(category) === expected;
+
+      if (wasCorrect && !isCorrect) {
+        regressions.push({ id: item.id, category, kind: expected ? 'missed' : 'false positive' });
+      } else if (!wasCorrect && isCorrect) {
+        fixed.push({ id: item.id, category, kind: expected ? 'now caught' : 'no longer flagged' });
+      }
+    }
+  }
+
+  const metrics = computeMetrics(cases);
+  const criticalDrops = CRITICAL_CATEGORIES
+    .map(category => ({ category, from: baseline.metrics[category]?.recall ?? null, to: metrics[category].recall }))
+    .filter(drop => drop.from !== null && drop.to !== null && drop.to < drop.from);
+
+  return { regressions, fixed, criticalDrops };
+}
+
+function percent(value) {
+  return value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+  const { corpus, metrics, baseline, comparison, pipeline } = report;
+
+  console.log(`\nSafety regression: ${corpus.messages} messages, ${corpus.responses} responses (rules version ${report.rulesVersion})\n`);
+  console.log(`${'Category'.padEnd(17)}${'Precision'.padStart(10)}${'Recall'.padStart(9)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)}${'Baseline recall'.padStart(17)}`);
+
+  for (const category of CATEGORIES) {
+    const m = metrics[category];
+    const baselineRecall = baseline ? percent(baseline.metrics[category]?.recall) : '—';
+    console.log(`${category.padEnd(17)}${percent(m.precision).padStart(10)}${percent(m.recall).padStart(9)}` +
+      `${String(m.tp).padStart(5)}${String(m.fp).padStart(5)}${String(m.fn).padStart(5)}${baselineRecall.padStart(17)}`);
+  }
+
+  if (report.misclassified.length > 0) {
+    console.log(`\nMisclassified (${report.misclassified.length}):`);
+    for (const item of report.misclassified) {
+      console.log(`  ${item.id.padEnd(28)}${item.category.padEnd(17)}${item.kind}`);
+    }
+  }
+
+  if (!baseline) {
+    console.log('\nNo baseline found. Run with --update-baseline to store one.');
+  } else {
+    console.log(`\nRegressions (${comparison.regressions.length}):`);
+    for (const item of comparison.regressions) {
+      console.log(`  ${item.id.padEnd(28)}${item.category.padEnd(17)}${item.kind}`);
+    }
+
+    if (comparison.fixed.length > 0) {
+      console.log(`\nFixed since baseline (${comparison.fixed.length}):`);
+      for (const item of comparison.fixed) {
+        console.log(`  ${item.id.padEnd(28)}${item.category.padEnd(17)}${item.kind}`);
+      }
+    }
+  }
+
+  if (pipeline) {
+    console.log(`\nPipeline (classifier ${pipeline.classifierEnabled ? `on, policy ${pipeline.policy}` : 'off'}):`);
+    for (const category of CATEGORIES) {
+      const m = pipeline.metrics[category];
+      console.log(`  ${category.padEnd(17)}precision ${percent(m.precision).padStart(7)}  recall ${percent(m.recall).padStart(7)}`);
+    }
+    console.log(`  Generated answers failing validation: ${pipeline.generatedUnsafe}/${pipeline.generated}`);
+  }
+
+  console.log('');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const corpus = loadCorpus(options.corpus);
+
+  const cases = runRules(corpus);
+  const metrics = computeMetrics(cases);
+
+  const baseline = !options.updateBaseline && fs.existsSync(options.baseline)
+    ? JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+    : null;
+
+  const report = {
+    rulesVersion: safetyRuleStore.getVersion(),
+    corpus: { messages: corpus.messages.length, responses: corpus.responses.length },
+    metrics,
+    misclassified: findMisclassified(cases),
+    baseline: baseline && { createdAt: baseline.createdAt, metrics: baseline.metrics },
+    comparison: baseline ? compareWithBaseline(cases, baseline) : null,
+    pipeline: options.pipeline ? await runPipeline(corpus) : null,
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  const zeroMissFailures = report.misclassified.filter(item =>
+    ZERO_MISS_CATEGORIES.includes(item.category) && item.kind === 'missed'
+  );
+
+  if (zeroMissFailures.length > 0) {
+    for (const item of zeroMissFailures) {
+      console.error(`❌ ${item.id}: ${item.category} message missed`);
+    }
+    if (options.updateBaseline) {
+      console.error('❌ Baseline not written: fix the rules first');
+    }
+    return 1;
+  }
+
+  if (options.updateBaseline) {
+    const stored = {
+      createdAt: new Date().toISOString(),
+      metrics,
+      cases: Object.fromEntries(cases.map(item => [item.id, item.predicted])),
+    };
+    fs.writeFileSync(options.baseline, JSON.stringify(stored, null, 2) + '\n');
+    console.error(`✅ Baseline written to ${path.relative(process.cwd(), options.baseline)}`);
+    return 0;
+  }
+
+  if (!report.comparison) {
+    return 0;
+  }
+
+  for (const drop of report.comparison.criticalDrops) {
+    console.error(`❌ ${drop.category} recall dropped from ${percent(drop.from)} to ${percent(drop.to)}`);
+  }
+
+  if (report.comparison.criticalDrops.length > 0) {
+    return 1;
+  }
+
+  if (options.strict && report.comparison.regressions.length > 0) {
+    console.error(`❌ ${report.comparison.regressions.length} regression(s) against the baseline (--strict)`);
+    return 1;
+  }
+
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  });
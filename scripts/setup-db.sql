@@ -17,8 +17,14 @@ CREATE TABLE IF NOT EXISTS ai_conversations (
   id              SERIAL PRIMARY KEY,
   session_id      UUID NOT NULL UNIQUE,
   patient_id      INTEGER,                   -- nullable for anonymous users
-  status          VARCHAR(20) NOT NULL DEFAULT 'ai-active',
+  status          VARCHAR(20) NOT NULL DEFAULT 'ai-active',  -- 'ai-active', 'crisis', 'staff-taken', 'closed'
   staff_id        INTEGER,                   -- set when staff takes over
+  language        VARCHAR(10) NOT NULL DEFAULT 'en',         -- locale code (config/locales)
+  language_source VARCHAR(20) NOT NULL DEFAULT 'default',    -- 'proxy', 'detected', 'default'
+  intent_state    JSONB,                     -- appointment request in progress (services/booking-service.js)
+  summary         TEXT,                      -- rolling summary of turns outside the context window
+  summary_through_message_id INTEGER,        -- last ai_messages.id covered by summary
+  summary_updated_at TIMESTAMP WITH TIME ZONE,
   created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
   updated_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
   closed_at       TIMESTAMP WITH TIME ZONE
@@ -49,6 +55,7 @@ CREATE TABLE IF NOT EXISTS ai_handoff_requests (
   assigned_staff_id INTEGER,
   assigned_at       TIMESTAMP WITH TIME ZONE,
   resolved_at       TIMESTAMP WITH TIME ZONE,
+  details           JSONB,  -- why the handoff was raised (matched safety rules, score)
   created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
 );
 
@@ -56,6 +63,65 @@ CREATE INDEX IF NOT EXISTS idx_ai_handoff_requests_status ON ai_handoff_requests
 CREATE INDEX IF NOT EXISTS idx_ai_handoff_requests_priority ON ai_handoff_requests(priority);
 CREATE INDEX IF NOT EXISTS idx_ai_handoff_requests_conversation_id ON ai_handoff_requests(conversation_id);
 
+-- Versioned safety rules (services/safety-rule-store.js); the highest active version is in use
+CREATE TABLE IF NOT EXISTS ai_safety_rule_sets (
+  id                SERIAL PRIMARY KEY,
+  version           INTEGER NOT NULL UNIQUE,
+  rules             JSONB NOT NULL,                           -- complete snapshot of the managed keys
+  status            VARCHAR(20) NOT NULL DEFAULT 'active',    -- 'active', 'superseded'
+  notes             TEXT,
+  created_by        INTEGER,                                  -- staff id of the publisher
+  rolled_back_from  INTEGER,                                  -- version republished by a rollback
+  created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_safety_rule_sets_status ON ai_safety_rule_sets(status);
+
+-- Knowledge-base documents managed through /api/admin/kb (services/knowledge-store.js)
+CREATE TABLE IF NOT EXISTS ai_kb_documents (
+  id                SERIAL PRIMARY KEY,
+  slug              VARCHAR(100) NOT NULL UNIQUE,             -- document id in citations
+  title             VARCHAR(200) NOT NULL,                    -- of the current version
+  format            VARCHAR(20) NOT NULL,                     -- 'markdown', 'text', 'html'
+  status            VARCHAR(20) NOT NULL DEFAULT 'active',    -- 'active', 'disabled'
+  current_version   INTEGER NOT NULL,
+  created_by        INTEGER,                                  -- staff id of the first uploader
+  created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_kb_documents_status ON ai_kb_documents(status);
+
+-- Every upload of a knowledge-base document; the document's current_version is indexed
+CREATE TABLE IF NOT EXISTS ai_kb_document_versions (
+  id                SERIAL PRIMARY KEY,
+  document_id       INTEGER NOT NULL REFERENCES ai_kb_documents(id) ON DELETE CASCADE,
+  version           INTEGER NOT NULL,
+  title             VARCHAR(200) NOT NULL,
+  format            VARCHAR(20) NOT NULL,
+  filename          VARCHAR(255),                             -- name of the uploaded file, if given
+  content           TEXT NOT NULL,
+  checksum          VARCHAR(64) NOT NULL,                     -- hex SHA-256 of content
+  size_bytes        INTEGER NOT NULL,
+  notes             TEXT,
+  created_by        INTEGER,                                  -- staff id of the uploader
+  rolled_back_from  INTEGER,                                  -- version restored by a rollback
+  created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (document_id, version)
+);
+
+-- ============================================
+-- Upgrades (columns added after initial release)
+-- ============================================
+
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary_through_message_id INTEGER;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ai_handoff_requests ADD COLUMN IF NOT EXISTS details JSONB;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS language_source VARCHAR(20) NOT NULL DEFAULT 'default';
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS intent_state JSONB;
+
 -- ============================================
 -- Views
 -- ============================================
@@ -71,10 +137,11 @@ SELECT
   c.created_at,
   c.updated_at,
   COUNT(m.id) as message_count,
-  MAX(m.created_at) as last_message_at
+  MAX(m.created_at) as last_message_at,
+  c.language
 FROM ai_conversations c
 LEFT JOIN ai_messages m ON c.id = m.conversation_id
-WHERE c.status IN ('ai-active', 'staff-taken')
+WHERE c.status IN ('ai-active', 'crisis', 'staff-taken')
 GROUP BY c.id
 ORDER BY MAX(m.created_at) DESC;
 
@@ -90,7 +157,9 @@ SELECT
   c.session_id,
   c.patient_id,
   c.status as conversation_status,
-  (SELECT COUNT(*) FROM ai_messages WHERE conversation_id = c.id) as message_count
+  (SELECT COUNT(*) FROM ai_messages WHERE conversation_id = c.id) as message_count,
+  hr.details,
+  c.language
 FROM ai_handoff_requests hr
 JOIN ai_conversations c ON hr.conversation_id = c.id
 WHERE hr.status = 'pending'
@@ -23,7 +23,10 @@ const config = require('./config/config');
 const logger = require('./utils/logger');
 const { apiKeyAuth } = require('./middleware/api-key-auth');
 const chatRoutes = require('./routes/chat-routes');
+const adminRoutes = require('./routes/admin-routes');
 const llamaService = require('./services/llama-service');
+const safetyRuleStore = require('./services/safety-rule-store');
+const knowledgeService = require('./services/knowledge-service');
 
 const app = express();
 
@@ -79,6 +82,7 @@ app.use('/api', apiKeyAuth({ exemptPaths: [] }));
 // Routes
 // ============================================
 app.use('/api', chatRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Catch-all for undefined /api/* routes — prevent Express fingerprinting
 app.use('/api', (req, res) => {
@@ -108,6 +112,12 @@ async function start() {
       logger.warn('⚠️ LLaMA service not available — endpoints will return errors until it starts');
     }
 
+    // Load published safety rules (falls back to config/safety-rules.js)
+    await safetyRuleStore.initialize();
+
+    // Index the clinic knowledge base (knowledge/ or KNOWLEDGE_DIR)
+    await knowledgeService.initialize();
+
     // Start HTTP server
     const server = app.listen(config.port, config.host, () => {
       logger.info(`✅ MDS-Chatbot Microservice running on ${config.host}:${config.port}`);
@@ -118,6 +128,8 @@ async function start() {
     const shutdown = async (signal) => {
       logger.info(`${signal} received, shutting down gracefully...`);
 
+      safetyRuleStore.stop();
+      knowledgeService.stop();
       await llamaService.shutdown();
       
       server.close(() => {
@@ -0,0 +1,31 @@
+/**
+ * LLM Backend Adapters
+ * Maps the configured backend name to a request/response adapter for LlamaService
+ */
+
+const LlamaCppAdapter = require('./llamacpp-adapter');
+const OpenAIAdapter = require('./openai-adapter');
+const OllamaAdapter = require('./ollama-adapter');
+
+const adapters = {
+  llamacpp: LlamaCppAdapter,
+  openai: OpenAIAdapter,
+  ollama: OllamaAdapter,
+};
+
+/**
+ * Create the adapter for a backend
+ * @param {string} name - 'llamacpp' | 'openai' | 'ollama'
+ * @param {Object} options - { model, apiKey }
+ */
+function createAdapter(name, options = {}) {
+  const Adapter = adapters[name];
+
+  if (!Adapter) {
+    throw new Error(`Unknown LLM backend "${name}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return new Adapter(options);
+}
+
+module.exports = { createAdapter };
@@ -0,0 +1,127 @@
+/**
+ * llama.cpp Adapter
+ * Talks to llama-server's native /completion endpoint with a raw prompt string
+ */
+
+class LlamaCppAdapter {
+  constructor(options = {}) {
+    this.name = 'llamacpp';
+    this.model = options.model || null;
+    this.usesRawPrompt = true;
+    this.completionPath = '/completion';
+    this.healthPath = '/health';
+    this.tokenizePath = '/tokenize';
+    // Needs llama-server started with --embedding (LLAMA_SERVER_ARGS)
+    this.embeddingPath = '/embedding';
+  }
+
+  /**
+   * Build the /completion request body
+   * @param {Object} request - { prompt, params, stream }
+   */
+  buildRequestBody({ prompt, params, stream }) {
+    const body = {
+      prompt,
+      temperature: params.temperature,
+      top_p: params.topP,
+      top_k: params.topK,
+      repeat_penalty: params.repeatPenalty,
+      n_predict: params.maxTokens,
+      stop: params.stop,
+      stream,
+      cache_prompt: params.cachePrompt,
+    };
+
+    if (params.jsonSchema) {
+      body.json_schema = params.jsonSchema;
+    }
+
+    // Pin to a slot so the slot's KV cache holds this conversation's prefix
+    if (params.slotId !== undefined && params.slotId !== null) {
+      body.id_slot = params.slotId;
+    }
+
+    return body;
+  }
+
+  /**
+   * Prompt evaluation stats from a final response / final stream chunk
+   * cachedTokens = prompt tokens served from the slot's KV cache
+   */
+  parseUsage(data) {
+    const timings = data.timings || {};
+    const promptTokens = data.tokens_evaluated;
+    let cachedTokens = timings.cache_n;
+
+    if (cachedTokens === undefined && promptTokens !== undefined && timings.prompt_n !== undefined) {
+      cachedTokens = Math.max(0, promptTokens - timings.prompt_n);
+    }
+
+    return {
+      promptTokens,
+      cachedTokens,
+      promptMs: timings.prompt_ms,
+      slot: data.id_slot,
+    };
+  }
+
+  /**
+   * Parse a non-streaming /completion response
+   */
+  parseResponse(data) {
+    if (!data || typeof data.content !== 'string') {
+      return null;
+    }
+
+    return {
+      content: data.content,
+      tokens: data.tokens_predicted,
+      model: data.model || this.model,
+      usage: this.parseUsage(data),
+    };
+  }
+
+  buildEmbeddingBody(text) {
+    return { content: text };
+  }
+
+  /**
+   * Parse an /embedding response: { embedding: [...] }, or [{ embedding: [[...]] }] on newer servers
+   * @returns {Array<number>|null}
+   */
+  parseEmbedding(data) {
+    const entry = Array.isArray(data) ? data[0] : data;
+    const embedding = entry && entry.embedding;
+
+    if (!Array.isArray(embedding)) {
+      return null;
+    }
+
+    return Array.isArray(embedding[0]) ? embedding[0] : embedding;
+  }
+
+  /**
+   * Parse one line of the SSE stream ("data: {...}")
+   * @returns {Object|null} { content, stop } or null if the line carries nothing
+   */
+  parseStreamLine(line) {
+    if (!line.startsWith('data: ')) {
+      return null;
+    }
+
+    const jsonStr = line.slice(6).trim();
+    if (!jsonStr || jsonStr === '[DONE]') {
+      return null;
+    }
+
+    const data = JSON.parse(jsonStr);
+
+    return {
+      content: data.content || '',
+      stop: data.stop || false,
+      usage: data.stop ? this.parseUsage(data) : null,
+    };
+  }
+}
+
+module.exports = LlamaCppAdapter;
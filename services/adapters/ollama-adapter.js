@@ -0,0 +1,95 @@
+/**
+ * Ollama Adapter
+ * Talks to Ollama's native /api/chat endpoint (newline-delimited JSON stream)
+ */
+
+class OllamaAdapter {
+  constructor(options = {}) {
+    if (!options.model) {
+      throw new Error('Ollama backend requires a model name (LLM_MODEL_NAME)');
+    }
+
+    this.name = 'ollama';
+    this.model = options.model;
+    this.usesRawPrompt = false;
+    this.completionPath = '/api/chat';
+    this.healthPath = '/api/tags';
+    this.tokenizePath = null;
+    this.embeddingPath = '/api/embed';
+  }
+
+  /**
+   * Build the /api/chat request body
+   * @param {Object} request - { messages, params, stream }
+   */
+  buildRequestBody({ messages, params, stream }) {
+    const body = {
+      model: this.model,
+      messages,
+      stream,
+      options: {
+        temperature: params.temperature,
+        top_p: params.topP,
+        top_k: params.topK,
+        repeat_penalty: params.repeatPenalty,
+        num_predict: params.maxTokens,
+        num_ctx: params.contextSize,
+      },
+    };
+
+    // Structured outputs: Ollama takes the JSON schema as `format`
+    if (params.jsonSchema) {
+      body.format = params.jsonSchema;
+    }
+
+    return body;
+  }
+
+  buildEmbeddingBody(text) {
+    return { model: this.model, input: text };
+  }
+
+  /**
+   * Parse an /api/embed response
+   * @returns {Array<number>|null}
+   */
+  parseEmbedding(data) {
+    const embedding = data && Array.isArray(data.embeddings) ? data.embeddings[0] : null;
+    return Array.isArray(embedding) ? embedding : null;
+  }
+
+  /**
+   * Parse a non-streaming /api/chat response
+   */
+  parseResponse(data) {
+    if (!data || !data.message || typeof data.message.content !== 'string') {
+      return null;
+    }
+
+    return {
+      content: data.message.content,
+      tokens: data.eval_count,
+      model: data.model || this.model,
+    };
+  }
+
+  /**
+   * Parse one line of the NDJSON stream
+   * @returns {Object|null} { content, stop } or null if the line carries nothing
+   */
+  parseStreamLine(line) {
+    const jsonStr = line.trim();
+    if (!jsonStr) {
+      return null;
+    }
+
+    const data = JSON.parse(jsonStr);
+
+    return {
+      content: (data.message && data.message.content) || '',
+      stop: data.done || false,
+    };
+  }
+}
+
+module.exports = OllamaAdapter;
@@ -0,0 +1,128 @@
+/**
+ * OpenAI-Compatible Adapter
+ * Talks to any /v1/chat/completions server (vLLM, llama.cpp chat endpoint, LM Studio)
+ */
+
+class OpenAIAdapter {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || null;
+    this.apiKey = options.apiKey || null;
+    this.usesRawPrompt = false;
+    this.completionPath = '/v1/chat/completions';
+    this.healthPath = '/v1/models';
+    this.tokenizePath = null;
+    this.embeddingPath = '/v1/embeddings';
+  }
+
+  /**
+   * Extra request headers (bearer token for servers that require one)
+   */
+  getHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Build the /v1/chat/completions request body
+   * @param {Object} request - { messages, params, stream }
+   */
+  buildRequestBody({ messages, params, stream }) {
+    const body = {
+      messages,
+      temperature: params.temperature,
+      top_p: params.topP,
+      max_tokens: params.maxTokens,
+      stream,
+    };
+
+    if (this.model) {
+      body.model = this.model;
+    }
+
+    // Non-standard sampling fields — accepted by vLLM, llama.cpp and LM Studio
+    if (params.topK !== undefined) {
+      body.top_k = params.topK;
+    }
+    if (params.repeatPenalty !== undefined) {
+      body.repeat_penalty = params.repeatPenalty;
+    }
+
+    if (params.jsonSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: params.jsonSchema, strict: true },
+      };
+    }
+
+    return body;
+  }
+
+  buildEmbeddingBody(text) {
+    return this.model ? { input: text, model: this.model } : { input: text };
+  }
+
+  /**
+   * Parse a /v1/embeddings response
+   * @returns {Array<number>|null}
+   */
+  parseEmbedding(data) {
+    const entry = data && Array.isArray(data.data) ? data.data[0] : null;
+    return entry && Array.isArray(entry.embedding) ? entry.embedding : null;
+  }
+
+  /**
+   * Parse a non-streaming chat completion response
+   */
+  parseResponse(data) {
+    const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      return null;
+    }
+
+    return {
+      content: choice.message.content,
+      tokens: data.usage ? data.usage.completion_tokens : undefined,
+      model: data.model || this.model,
+      usage: data.usage
+        ? {
+          promptTokens: data.usage.prompt_tokens,
+          cachedTokens: data.usage.prompt_tokens_details ? data.usage.prompt_tokens_details.cached_tokens : undefined,
+        }
+        : null,
+    };
+  }
+
+  /**
+   * Parse one line of the SSE stream ("data: {...}" / "data: [DONE]")
+   * @returns {Object|null} { content, stop } or null if the line carries nothing
+   */
+  parseStreamLine(line) {
+    if (!line.startsWith('data: ')) {
+      return null;
+    }
+
+    const jsonStr = line.slice(6).trim();
+    if (!jsonStr) {
+      return null;
+    }
+
+    if (jsonStr === '[DONE]') {
+      return { content: '', stop: true };
+    }
+
+    const data = JSON.parse(jsonStr);
+    const choice = Array.isArray(data.choices) ? data.choices[0] : null;
+
+    if (!choice) {
+      return null;
+    }
+
+    return {
+      content: (choice.delta && choice.delta.content) || '',
+      stop: Boolean(choice.finish_reason),
+    };
+  }
+}
+
+module.exports = OpenAIAdapter;
@@ -0,0 +1,334 @@
+/**
+ * Booking Service
+ * Appointment requests in the chat: booking, rescheduling or cancelling a consultation
+ *
+ * detectBookingIntent() recognizes the request. This service then asks for the missing details
+ * (model-config booking.slots: doctor, preferred date, reason) with scripted questions, one per
+ * turn, and keeps the progress in ai_conversations.intent_state. Once everything is known, the
+ * reply carries a structured `action` that the MDSystem frontend and backend use to complete the
+ * booking, showing the real open times. The flow is scripted, not generated, so the assistant
+ * never states availability of its own.
+ */
+
+const conversationService = require('./conversation-service');
+const localeService = require('./locale-service');
+const modelConfig = require('../config/model-config');
+const { tokenize } = require('../utils/rule-engine');
+const logger = require('../utils/logger');
+
+// Doctor slot value when the patient has no preference
+const ANY_DOCTOR = 'any';
+
+/**
+ * Words of a text (lowercased, punctuation left out)
+ */
+function words(text) {
+  return tokenize(text).filter(token => !/^[.,;:!?]$/.test(token));
+}
+
+function phraseAt(tokens, i, phrase) {
+  const phraseTokens = words(phrase);
+  return phraseTokens.length > 0 && phraseTokens.every((token, k) => tokens[i + k] === token);
+}
+
+function startsWithPhrase(tokens, phrases) {
+  return phrases.some(phrase => phraseAt(tokens, 0, phrase));
+}
+
+function containsPhrase(tokens, phrases) {
+  return tokens.some((_, i) => phrases.some(phrase => phraseAt(tokens, i, phrase)));
+}
+
+/**
+ * YYYY-MM-DD of a date in server local time
+ */
+function toDateString(date) {
+  return date.toLocaleDateString('en-CA');
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function capitalize(name) {
+  return name.replace(/(^|[\s'-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+class BookingService {
+  isEnabled() {
+    return modelConfig.booking.enabled;
+  }
+
+  /**
+   * Date mentioned in a text, if it is between today and booking.maxDaysAhead
+   * Understands YYYY-MM-DD, MM/DD[/YYYY], "March 14" / "14 March", today, tomorrow,
+   * the day after tomorrow and weekdays (the next one) in every locale.
+   * @param {string} text
+   * @param {Date} [now]
+   * @returns {string|null} YYYY-MM-DD
+   */
+  parseDate(text, now = new Date()) {
+    const { dates } = localeService.getBookingRules();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const tokens = words(text);
+    let date = null;
+
+    // A date without a year is the next one to come
+    const upcoming = (month, day) => {
+      const candidate = new Date(today.getFullYear(), month, day);
+      return candidate < today ? new Date(today.getFullYear() + 1, month, day) : candidate;
+    };
+
+    // Date() rolls over ("13/25" would become January 25th), so the parts must come back unchanged
+    const isExact = (candidate, month, day) => month >= 1 && month <= 12 &&
+      candidate.getMonth() === month - 1 && candidate.getDate() === day;
+
+    const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    const numeric = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/);
+
+    if (iso) {
+      const [, year, month, day] = iso.map(Number);
+      date = new Date(year, month - 1, day);
+      if (!isExact(date, month, day)) return null;
+    } else if (numeric) {
+      const [, month, day, year] = numeric.map(Number);
+      date = year ? new Date(year < 100 ? 2000 + year : year, month - 1, day) : upcoming(month - 1, day);
+      if (!isExact(date, month, day)) return null;
+    } else {
+      for (let i = 0; i < tokens.length && !date; i++) {
+        const month = dates.months.findIndex(names => names.includes(tokens[i]));
+        if (month === -1) continue;
+
+        // "March 14", "14 March", "14th of March"
+        const dayToken = [tokens[i + 1], tokens[i - 1], tokens[i - 1] === 'of' ? tokens[i - 2] : null]
+          .find(token => token && /^\d{1,2}(st|nd|rd|th)?$/.test(token));
+
+        if (dayToken) {
+          const day = parseInt(dayToken, 10);
+          date = upcoming(month, day);
+          if (!isExact(date, month + 1, day)) return null;
+        }
+      }
+
+      if (!date) {
+        const weekday = dates.weekdays.findIndex(names => tokens.some(token => names.includes(token)));
+
+        if (containsPhrase(tokens, dates.dayAfterTomorrow)) {
+          date = addDays(today, 2);
+        } else if (containsPhrase(tokens, dates.tomorrow)) {
+          date = addDays(today, 1);
+        } else if (containsPhrase(tokens, dates.today)) {
+          date = today;
+        } else if (weekday !== -1) {
+          date = addDays(today, (weekday - today.getDay() + 7) % 7 || 7);
+        }
+      }
+    }
+
+    if (!date || date < today || date > addDays(today, modelConfig.booking.maxDaysAhead)) {
+      return null;
+    }
+
+    return toDateString(date);
+  }
+
+  /**
+   * Doctor named in a text: "Dr. Santos", "any doctor"
+   * @param {string} text
+   * @param {Object} [options] - { answer } the text answers "which doctor?", so a bare name counts too
+   * @returns {string|null} Name, or 'any' for no preference
+   */
+  parseDoctor(text, options = {}) {
+    const { anyDoctorPhrases, doctorTitles, nameStopWords, dates } = localeService.getBookingRules();
+    const tokens = words(text);
+    // With punctuation: a name ends at a comma ("Dr. Cruz, I have a fever")
+    const allTokens = tokenize(text);
+
+    // Outside an answer only unambiguous phrases ("any doctor", not "any")
+    const anyPhrases = options.answer ? anyDoctorPhrases : anyDoctorPhrases.filter(phrase => words(phrase).length > 1);
+    if (options.answer ? startsWithPhrase(tokens, anyPhrases) : containsPhrase(tokens, anyPhrases)) {
+      return ANY_DOCTOR;
+    }
+
+    const stopWords = new Set([
+      ...nameStopWords,
+      ...doctorTitles,
+      ...dates.today, ...dates.tomorrow, ...dates.dayAfterTomorrow,
+      ...dates.weekdays.flat(), ...dates.months.flat(),
+    ].flatMap(words));
+
+    const nameAt = (start) => {
+      const name = [];
+      for (let i = start; i < allTokens.length && name.length < 3; i++) {
+        if (stopWords.has(allTokens[i]) || !/^\p{L}[\p{L}'-]*$/u.test(allTokens[i])) break;
+        name.push(allTokens[i]);
+      }
+      return name.length > 0 ? capitalize(name.join(' ')) : null;
+    };
+
+    for (let i = 0; i < allTokens.length; i++) {
+      if (doctorTitles.includes(allTokens[i])) {
+        // "Dr. Santos"
+        const name = nameAt(allTokens[i + 1] === '.' ? i + 2 : i + 1);
+        if (name) return name;
+      }
+    }
+
+    // A short answer without a title is the name itself
+    if (options.answer && !text.includes('?') && tokens.length > 0 && tokens.length <= 3) {
+      const name = nameAt(allTokens.findIndex(token => token === tokens[0]));
+      return name && words(name).length === tokens.length ? name : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Value of the detail that was asked for
+   * @returns {string|null} null if the answer can't be used
+   */
+  parseAnswer(slot, message) {
+    switch (slot) {
+      case 'doctor':
+        return this.parseDoctor(message, { answer: true });
+      case 'date':
+        return this.parseDate(message);
+      default: {
+        const reason = message.trim().replace(/\s+/g, ' ');
+        return words(reason).length > 0 ? reason.slice(0, 200) : null;
+      }
+    }
+  }
+
+  /**
+   * Details mentioned in passing ("book with Dr. Santos tomorrow")
+   */
+  extractSlots(message) {
+    const slots = {};
+    const doctor = this.parseDoctor(message);
+    const date = this.parseDate(message);
+
+    if (doctor) slots.doctor = doctor;
+    if (date) slots.date = date;
+
+    return slots;
+  }
+
+  /**
+   * Handle a patient message as part of an appointment request
+   * Starts a request when the message asks for one, or continues the one in progress.
+   * @param {string} sessionId
+   * @param {Object} conversation - ai_conversations row (intent_state: request in progress)
+   * @param {string} message - Patient message
+   * @param {Object} options - { detection, language, prefix, metadata }
+   *   detection - detectBookingIntent() result for the message
+   *   prefix - Text sent before the scripted reply (urgent-care guidance)
+   *   metadata - Extra metadata for the stored reply
+   * @returns {Promise<{ message: string, action: Object }|null>} null if the message is not part of a request
+   */
+  async handle(sessionId, conversation, message, options = {}) {
+    const current = conversation.intent_state || null;
+    const intent = options.detection ? options.detection.intent : null;
+
+    if (!this.isEnabled() || (!current && !intent)) {
+      return null;
+    }
+
+    const texts = localeService.getBookingTexts(options.language);
+    const reply = [];
+    let state;
+
+    if (current && !intent && startsWithPhrase(words(message), localeService.getBookingRules().stopPhrases)) {
+      await conversationService.setIntentState(sessionId, null);
+      logger.info('Appointment request stopped by patient', { sessionId, intent: current.intent });
+
+      return this.reply(conversation, current, 'stopped', texts.stopped, options);
+    }
+
+    if (intent && (!current || intent !== current.intent)) {
+      // A new request keeps the details already given ("actually, cancel it instead")
+      state = {
+        intent,
+        slots: { ...(current ? current.slots : {}), ...this.extractSlots(message) },
+        asking: null,
+        attempts: 0,
+      };
+      reply.push(texts.start[intent]);
+    } else {
+      state = { ...current, slots: { ...current.slots } };
+      const value = this.parseAnswer(current.asking, message);
+
+      if (value === null) {
+        state.attempts += 1;
+
+        // A question of its own, or repeatedly not an answer — leave the message to the assistant
+        if (state.attempts >= modelConfig.booking.maxAttempts || message.trim().endsWith('?')) {
+          await conversationService.setIntentState(sessionId, null);
+          logger.info('Appointment request dropped after unusable answers', { sessionId, intent: current.intent });
+          return null;
+        }
+
+        reply.push(texts.retry[current.asking]);
+      } else {
+        state.slots = { ...this.extractSlots(message), ...state.slots, [current.asking]: value };
+        state.attempts = 0;
+      }
+    }
+
+    const missing = modelConfig.booking.slots[state.intent].filter(slot => !state.slots[slot]);
+
+    if (missing.length > 0) {
+      state.asking = missing[0];
+      await conversationService.setIntentState(sessionId, state);
+      reply.push(texts.questions[state.intent][state.asking]);
+
+      return this.reply(conversation, state, 'collecting', reply.join(' '), options, missing);
+    }
+
+    await conversationService.setIntentState(sessionId, null);
+    logger.info('Appointment request ready', { sessionId, intent: state.intent });
+
+    reply.push(texts.ready[state.intent]
+      .replace('{doctor}', state.slots.doctor === ANY_DOCTOR ? texts.anyDoctor : texts.doctor.replace('{name}', state.slots.doctor))
+      .replace('{date}', new Date(`${state.slots.date}T00:00:00`).toLocaleDateString(texts.dateLocale, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+      })));
+
+    return this.reply(conversation, state, 'ready', reply.join(' '), options);
+  }
+
+  /**
+   * Store the scripted reply with its action
+   * @param {string} status - 'collecting', 'ready' or 'stopped'
+   */
+  async reply(conversation, state, status, text, options, missing = []) {
+    const action = {
+      type: 'appointment',
+      intent: state.intent,
+      status,
+      slots: {
+        doctor: state.slots.doctor || null,
+        date: state.slots.date || null,
+        reason: state.slots.reason || null,
+      },
+      missing,
+    };
+
+    const message = options.prefix ? `${options.prefix}\n\n${text}` : text;
+    const detection = options.detection && options.detection.intent ? options.detection : null;
+
+    await conversationService.addMessage(conversation.id, 'assistant', message, {
+      ...options.metadata,
+      scripted: true,
+      action,
+      ...(detection ? { bookingDetection: { intent: detection.intent, matchedKeywords: detection.matchedKeywords } } : {}),
+      ...(options.prefix ? { urgentGuidance: true } : {}),
+    });
+
+    return { message, action };
+  }
+}
+
+module.exports = new BookingService();
@@ -0,0 +1,214 @@
+/**
+ * Chat Templates
+ * Model-specific prompt formats for raw-prompt backends (llama.cpp /completion)
+ *
+ * Each template renders a normalized transcript (system / user / assistant turns)
+ * into the exact token layout the model was fine-tuned on, and declares the
+ * stop strings and special tokens that belong to that layout.
+ */
+
+/**
+ * Map stored ai_messages roles onto model roles
+ * - user / assistant pass through
+ * - system (takeover / release notices) stays a system turn
+ * - staff replies become a system note so the model knows what the clinician said
+ *   without believing it wrote those words itself
+ * @param {Array} messages - [{ role, content }]
+ * @returns {Array} [{ role: 'system'|'user'|'assistant', content }]
+ */
+function normalizeMessages(messages) {
+  const turns = [];
+
+  for (const msg of messages) {
+    if (!msg || !msg.content) continue;
+
+    switch (msg.role) {
+      case 'user':
+      case 'assistant':
+      case 'system':
+        turns.push({ role: msg.role, content: msg.content });
+        break;
+      case 'staff':
+        turns.push({ role: 'system', content: `A clinic staff member replied to the patient: "${msg.content}"` });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Fold system turns into the next user turn for templates without a system role
+ */
+function foldSystemTurns(systemPrompt, turns) {
+  const folded = [];
+  let pending = systemPrompt ? [systemPrompt] : [];
+
+  for (const turn of turns) {
+    if (turn.role === 'system') {
+      pending.push(turn.content);
+    } else if (turn.role === 'user') {
+      folded.push({ role: 'user', content: [...pending, turn.content].join('\n\n') });
+      pending = [];
+    } else {
+      folded.push(turn);
+    }
+  }
+
+  // Trailing notes (e.g. staff just released the chat) go in a final user turn
+  if (pending.length > 0) {
+    folded.push({ role: 'user', content: pending.join('\n\n') });
+  }
+
+  return folded;
+}
+
+const templates = {
+  // Plain "User:/Assistant:" transcript — works tolerably with any model
+  generic: {
+    name: 'generic',
+    stop: ['\n\nUser:', '\n\nHuman:', 'User:', 'Human:'],
+    specialTokens: ['<|assistant|>', '<|user|>', '<|system|>', '<|end|>'],
+    format(systemPrompt, turns) {
+      let prompt = systemPrompt ? systemPrompt + '\n\n' : '';
+
+      for (const turn of turns) {
+        const label = turn.role === 'user' ? 'User' : turn.role === 'assistant' ? 'Assistant' : 'System';
+        prompt += `${label}: ${turn.content}\n\n`;
+      }
+
+      return prompt + 'Assistant: ';
+    },
+  },
+
+  llama3: {
+    name: 'llama3',
+    stop: ['<|eot_id|>', '<|start_header_id|>', '<|end_of_text|>'],
+    specialTokens: ['<|begin_of_text|>', '<|eot_id|>', '<|start_header_id|>', '<|end_header_id|>', '<|end_of_text|>'],
+    format(systemPrompt, turns) {
+      const all = systemPrompt ? [{ role: 'system', content: systemPrompt }, ...turns] : turns;
+      let prompt = '';
+
+      for (const turn of all) {
+        prompt += `<|start_header_id|>${turn.role}<|end_header_id|>\n\n${turn.content}<|eot_id|>`;
+      }
+
+      return prompt + '<|start_header_id|>assistant<|end_header_id|>\n\n';
+    },
+  },
+
+  chatml: {
+    name: 'chatml',
+    stop: ['<|im_end|>', '<|im_start|>'],
+    specialTokens: ['<|im_start|>', '<|im_end|>'],
+    format(systemPrompt, turns) {
+      const all = systemPrompt ? [{ role: 'system', content: systemPrompt }, ...turns] : turns;
+      let prompt = '';
+
+      for (const turn of all) {
+        prompt += `<|im_start|>${turn.role}\n${turn.content}<|im_end|>\n`;
+      }
+
+      return prompt + '<|im_start|>assistant\n';
+    },
+  },
+
+  mistral: {
+    name: 'mistral',
+    stop: ['</s>', '[INST]'],
+    specialTokens: ['<s>', '</s>', '[INST]', '[/INST]'],
+    format(systemPrompt, turns) {
+      let prompt = '';
+
+      for (const turn of foldSystemTurns(systemPrompt, turns)) {
+        if (turn.role === 'user') {
+          prompt += `[INST] ${turn.content} [/INST]`;
+        } else {
+          prompt += `${turn.content}</s>`;
+        }
+      }
+
+      return prompt;
+    },
+  },
+
+  gemma: {
+    name: 'gemma',
+    stop: ['<end_of_turn>', '<start_of_turn>'],
+    specialTokens: ['<bos>', '<start_of_turn>', '<end_of_turn>'],
+    format(systemPrompt, turns) {
+      let prompt = '';
+
+      for (const turn of foldSystemTurns(systemPrompt, turns)) {
+        const role = turn.role === 'assistant' ? 'model' : 'user';
+        prompt += `<start_of_turn>${role}\n${turn.content}<end_of_turn>\n`;
+      }
+
+      return prompt + '<start_of_turn>model\n';
+    },
+  },
+
+  phi: {
+    name: 'phi',
+    stop: ['<|end|>', '<|user|>', '<|endoftext|>'],
+    specialTokens: ['<|system|>', '<|user|>', '<|assistant|>', '<|end|>', '<|endoftext|>'],
+    format(systemPrompt, turns) {
+      const all = systemPrompt ? [{ role: 'system', content: systemPrompt }, ...turns] : turns;
+      let prompt = '';
+
+      for (const turn of all) {
+        prompt += `<|${turn.role}|>\n${turn.content}<|end|>\n`;
+      }
+
+      return prompt + '<|assistant|>\n';
+    },
+  },
+};
+
+/**
+ * Look up a template by name
+ * @param {string} name - Template name
+ * @returns {Object|null}
+ */
+function getTemplate(name) {
+  return templates[name] || null;
+}
+
+/**
+ * Pick a template from llama-server /props metadata
+ * Prefers the Jinja chat_template embedded in the GGUF, then falls back to the model file name.
+ * @param {Object} props - /props response body
+ * @returns {string} Template name ('generic' if nothing matched)
+ */
+function detectTemplate(props = {}) {
+  const chatTemplate = props.chat_template || '';
+
+  if (chatTemplate.includes('<|start_header_id|>')) return 'llama3';
+  if (chatTemplate.includes('<|im_start|>')) return 'chatml';
+  if (chatTemplate.includes('<start_of_turn>')) return 'gemma';
+  if (chatTemplate.includes('<|assistant|>') && chatTemplate.includes('<|end|>')) return 'phi';
+  if (chatTemplate.includes('[INST]')) return 'mistral';
+
+  const modelName = String(
+    props.model_path ||
+    (props.default_generation_settings && props.default_generation_settings.model) ||
+    ''
+  ).toLowerCase();
+
+  if (/llama-?3/.test(modelName)) return 'llama3';
+  if (/qwen|chatml|hermes|openchat/.test(modelName)) return 'chatml';
+  if (/gemma/.test(modelName)) return 'gemma';
+  if (/phi-?3|phi-?4/.test(modelName)) return 'phi';
+  if (/mistral|mixtral/.test(modelName)) return 'mistral';
+
+  return 'generic';
+}
+
+module.exports = {
+  templates,
+  getTemplate,
+  detectTemplate,
+  normalizeMessages,
+};
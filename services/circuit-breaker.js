@@ -0,0 +1,147 @@
+/**
+ * Circuit Breaker
+ * Stops hammering an inference server that keeps failing
+ *
+ * closed    → requests flow; consecutive failures are counted
+ * open      → requests fail fast with MODEL_UNAVAILABLE until resetTimeoutMs has passed
+ * half-open → the next caller runs the health probe; success closes the circuit,
+ *             failure re-opens it for another cool-down
+ */
+
+const logger = require('../utils/logger');
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Label for logs
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - Cool-down before a probe is attempted
+   * @param {Function} options.probe - async () => boolean, e.g. a health check
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs;
+    this.probe = options.probe;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probing = null;
+  }
+
+  /**
+   * Build the error thrown while the circuit is open
+   */
+  unavailableError(cause) {
+    const error = new Error(`Model backend unavailable (circuit ${this.state})`);
+    error.code = 'MODEL_UNAVAILABLE';
+    if (cause) {
+      error.cause = cause;
+    }
+    return error;
+  }
+
+  /**
+   * Fail fast without probing — used before a request joins the queue
+   */
+  assertNotOpen() {
+    if (this.state === 'open' && Date.now() - this.openedAt < this.resetTimeoutMs) {
+      throw this.unavailableError();
+    }
+  }
+
+  /**
+   * Wait until a request may be sent; probes the backend when the cool-down has elapsed
+   */
+  async acquire() {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    this.assertNotOpen();
+
+    // One probe at a time; concurrent callers share its outcome
+    if (!this.probing) {
+      this.state = 'half-open';
+      this.probing = Promise.resolve()
+        .then(() => this.probe())
+        .catch(() => false)
+        .then((healthy) => {
+          this.probing = null;
+          if (healthy) {
+            this.close();
+          } else {
+            this.open(new Error('Health probe failed'));
+          }
+          return healthy;
+        });
+    }
+
+    const healthy = await this.probing;
+    if (!healthy) {
+      throw this.unavailableError(this.lastError);
+    }
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== 'closed' || this.failures > 0) {
+      this.close();
+    }
+  }
+
+  /**
+   * Record a failed request; opens the circuit once the threshold is reached
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.open(error);
+    }
+  }
+
+  open(error) {
+    if (this.state !== 'open') {
+      logger.warn('Circuit breaker opened', {
+        name: this.name,
+        failures: this.failures,
+        error: error ? error.message : null,
+      });
+    }
+
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.lastError = error || this.lastError;
+  }
+
+  close() {
+    if (this.state !== 'closed') {
+      logger.info('Circuit breaker closed', { name: this.name });
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Snapshot for status endpoints
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError ? this.lastError.message : null,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
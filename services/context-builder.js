@@ -0,0 +1,188 @@
+/**
+ * Context Builder
+ * Packs as many recent conversation turns as fit the model's context window
+ *
+ * Budget = contextSize - maxTokens (room for the answer) - system prompt - reserve.
+ * Tokens are counted with llama-server /tokenize when available, otherwise estimated locally.
+ * Turns that do not fit are returned as `dropped` so the summary service can fold them
+ * into the conversation's rolling summary.
+ *
+ * To keep llama.cpp's prompt cache useful the window start is sticky: once trimming is
+ * needed the window is cut down to trimTargetRatio of the budget and then kept in place
+ * until it overflows again, so the prompt prefix stays byte-identical between turns.
+ */
+
+const crypto = require('crypto');
+const conversationService = require('./conversation-service');
+const llamaService = require('./llama-service');
+const modelConfig = require('../config/model-config');
+const logger = require('../utils/logger');
+
+// Bounded cache of token counts keyed by content hash — messages never change once stored
+const TOKEN_CACHE_MAX_ENTRIES = 2000;
+const WINDOW_STARTS_MAX_ENTRIES = 5000;
+
+class ContextBuilder {
+  constructor() {
+    this.tokenCache = new Map();
+    // sessionId → id of the oldest message in the session's current window
+    this.windowStarts = new Map();
+  }
+
+  /**
+   * Local token estimate used when the backend cannot tokenize
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / modelConfig.context.charsPerToken);
+  }
+
+  /**
+   * Count tokens for a piece of text, preferring the backend tokenizer
+   * @returns {Promise<{ tokens: number, source: 'server'|'estimate' }>}
+   */
+  async countTokens(text) {
+    const key = crypto.createHash('sha1').update(text).digest('hex');
+
+    if (this.tokenCache.has(key)) {
+      return { tokens: this.tokenCache.get(key), source: 'server' };
+    }
+
+    const tokens = await llamaService.countTokens(text);
+
+    if (tokens === null) {
+      return { tokens: this.estimateTokens(text), source: 'estimate' };
+    }
+
+    if (this.tokenCache.size >= TOKEN_CACHE_MAX_ENTRIES) {
+      this.tokenCache.delete(this.tokenCache.keys().next().value);
+    }
+    this.tokenCache.set(key, tokens);
+
+    return { tokens, source: 'server' };
+  }
+
+  /**
+   * Build the model context for a session
+   * @param {string} sessionId - Session UUID
+   * @param {Object} options - { maxTokens } override of the answer budget, { language } of the system prompt,
+   *   { passages, toolResults } of the turn context
+   * @returns {Promise<{ messages: Array, metadata: Object }>}
+   */
+  async build(sessionId, options = {}) {
+    const { contextSize, maxTokens: defaultMaxTokens } = modelConfig.generationParams;
+    const { maxHistoryMessages, perMessageOverheadTokens, reserveTokens } = modelConfig.context;
+    const maxTokens = options.maxTokens ?? defaultMaxTokens;
+
+    const history = await conversationService.getContextMessages(sessionId, maxHistoryMessages);
+
+    // The rolling summary is pinned like the system prompt; only live turns are packed
+    const pinned = history.filter(msg => msg.isSummary);
+    const candidates = history.filter(msg => !msg.isSummary);
+
+    let usedEstimate = false;
+    let systemTokens = 0;
+
+    const fixed = [
+      llamaService.getSystemPrompt({ language: options.language }),
+      llamaService.getTurnContext({ passages: options.passages, toolResults: options.toolResults }),
+      ...pinned.map(msg => msg.content),
+    ];
+
+    for (const text of fixed) {
+      if (!text) continue;
+      const counted = await this.countTokens(text);
+      systemTokens += counted.tokens + perMessageOverheadTokens;
+      usedEstimate = usedEstimate || counted.source === 'estimate';
+    }
+
+    const budget = contextSize - maxTokens - systemTokens - reserveTokens;
+    const costs = [];
+
+    for (const msg of candidates) {
+      const counted = await this.countTokens(msg.content);
+      costs.push(counted.tokens + perMessageOverheadTokens);
+      usedEstimate = usedEstimate || counted.source === 'estimate';
+    }
+
+    let start = this.findStickyStart(sessionId, candidates, costs, budget);
+
+    if (start === -1) {
+      start = this.pack(costs, budget);
+
+      // Everything fits — no need to remember a window start yet
+      if (start > 0) {
+        start = this.pack(costs, Math.floor(budget * modelConfig.context.trimTargetRatio));
+        this.rememberWindowStart(sessionId, candidates[start].id);
+      }
+    }
+
+    const included = candidates.slice(start);
+    const dropped = candidates.slice(0, start);
+    const usedTokens = costs.slice(start).reduce((sum, cost) => sum + cost, 0);
+
+    const metadata = {
+      promptTokens: systemTokens + usedTokens,
+      historyBudgetTokens: budget,
+      includedMessages: included.length,
+      droppedMessages: dropped.length,
+      summaryIncluded: pinned.length > 0,
+      tokenCounter: usedEstimate ? 'estimate' : 'server',
+    };
+
+    if (dropped.length > 0) {
+      logger.info('Context trimmed to fit token budget', { sessionId, ...metadata });
+    }
+
+    return { messages: [...pinned, ...included], dropped, metadata };
+  }
+
+  /**
+   * Index of the first candidate to include, walking newest → oldest until the budget is spent
+   * The newest turn (the patient's message) is always kept.
+   */
+  pack(costs, budget) {
+    let usedTokens = 0;
+    let start = costs.length;
+
+    while (start > 0) {
+      const cost = costs[start - 1];
+      if (start < costs.length && usedTokens + cost > budget) {
+        break;
+      }
+      usedTokens += cost;
+      start--;
+    }
+
+    return start;
+  }
+
+  /**
+   * Index of the session's previous window start, or -1 if it no longer applies
+   * (message gone from the candidates, or the window has outgrown the budget)
+   */
+  findStickyStart(sessionId, candidates, costs, budget) {
+    const startId = this.windowStarts.get(sessionId);
+
+    if (startId === undefined) {
+      return -1;
+    }
+
+    const start = candidates.findIndex(msg => msg.id === startId);
+    if (start === -1) {
+      return -1;
+    }
+
+    const usedTokens = costs.slice(start).reduce((sum, cost) => sum + cost, 0);
+    return usedTokens <= budget ? start : -1;
+  }
+
+  rememberWindowStart(sessionId, messageId) {
+    this.windowStarts.delete(sessionId);
+    if (this.windowStarts.size >= WINDOW_STARTS_MAX_ENTRIES) {
+      this.windowStarts.delete(this.windowStarts.keys().next().value);
+    }
+    this.windowStarts.set(sessionId, messageId);
+  }
+}
+
+module.exports = new ContextBuilder();
@@ -7,45 +7,57 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/db');
 const logger = require('../utils/logger');
 const safetyRules = require('../config/safety-rules');
-const modelConfig = require('../config/model-config');
+const localeService = require('./locale-service');
 
 class ConversationService {
   /**
    * Create a new conversation session
    * @param {number} patientId - Patient ID (optional for anonymous users)
+   * @param {string} language - Patient language passed by the proxy (optional; detected from messages otherwise)
    * @returns {Object} Session data
    */
-  async createSession(patientId = null) {
+  async createSession(patientId = null, language = null) {
     try {
       const sessionId = uuidv4();
+
+      // A language set by the proxy holds for the session; the default one may be replaced by detection
+      const resolvedLanguage = localeService.resolve(language);
+      const languageSource = resolvedLanguage ? 'proxy' : 'default';
       
       const query = `
-        INSERT INTO ai_conversations (session_id, patient_id, status, created_at, updated_at)
-        VALUES ($1, $2, 'ai-active', NOW(), NOW())
+        INSERT INTO ai_conversations (session_id, patient_id, status, language, language_source, created_at, updated_at)
+        VALUES ($1, $2, 'ai-active', $3, $4, NOW(), NOW())
         RETURNING *
       `;
 
-      const result = await db.query(query, [sessionId, patientId]);
+      const result = await db.query(query, [
+        sessionId,
+        patientId,
+        resolvedLanguage || localeService.getDefaultLanguage(),
+        languageSource,
+      ]);
       const session = result.rows[0];
 
+      if (language && !resolvedLanguage) {
+        logger.info('Unsupported session language, using the default', { sessionId, language });
+      }
+
       logger.info('New conversation session created', {
         sessionId,
         patientId,
-        conversationId: session.id
+        conversationId: session.id,
+        language: session.language,
       });
 
-      const greeting = modelConfig.safetyMode
-        ? 'Hello! I\'m your AI medical assistant. How can I help you today?\n\n' +
-          'You can ask me about general health questions, symptom information, or wellness tips.\n\n' +
-          'Note: I provide general health information only, not professional medical advice.'
-        : 'Hello! How can I help you?';
+      const greeting = localeService.getGreeting(session.language);
 
-      await this.addMessage(session.id, 'assistant', greeting, { isGreeting: true });
+      await this.addMessage(session.id, 'assistant', greeting, { isGreeting: true, language: session.language });
 
       return {
         sessionId,
         conversationId: session.id,
         status: session.status,
+        language: session.language,
         createdAt: session.created_at,
       };
 
@@ -142,6 +154,8 @@ class ConversationService {
 
   /**
    * Get recent messages for context (limited for model context window)
+   * Turns already folded into the rolling summary are skipped and the summary
+   * is prepended as a system message instead.
    */
   async getContextMessages(sessionId, maxMessages = 10) {
     try {
@@ -152,27 +166,67 @@ class ConversationService {
       }
 
       const query = `
-        SELECT role, content, created_at
+        SELECT id, role, content, created_at
         FROM ai_messages
         WHERE conversation_id = $1
+          AND id > $2
           AND metadata->>'isGreeting' IS NULL
         ORDER BY created_at DESC
-        LIMIT $2
+        LIMIT $3
       `;
 
-      const result = await db.query(query, [conversation.id, maxMessages]);
+      const result = await db.query(query, [
+        conversation.id,
+        conversation.summary_through_message_id || 0,
+        maxMessages,
+      ]);
 
-      return result.rows.reverse().map(row => ({
+      const messages = result.rows.reverse().map(row => ({
+        id: row.id,
         role: row.role,
         content: row.content,
       }));
 
+      if (conversation.summary) {
+        messages.unshift({
+          role: 'system',
+          content: `Summary of the earlier conversation: ${conversation.summary}`,
+          isSummary: true,
+        });
+      }
+
+      return messages;
+
     } catch (error) {
       logger.error('Failed to get context messages', { error: error.message, sessionId });
       throw error;
     }
   }
 
+  /**
+   * Store a new rolling summary covering messages up to throughMessageId
+   * Ignored if a newer summary has already been written.
+   */
+  async updateSummary(sessionId, summary, throughMessageId) {
+    try {
+      const query = `
+        UPDATE ai_conversations
+        SET summary = $1, summary_through_message_id = $2, summary_updated_at = NOW()
+        WHERE session_id = $3
+          AND COALESCE(summary_through_message_id, 0) < $2
+        RETURNING id
+      `;
+
+      const result = await db.query(query, [summary, throughMessageId, sessionId]);
+
+      return result.rowCount > 0;
+
+    } catch (error) {
+      logger.error('Failed to update conversation summary', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
   /**
    * Update conversation status
    */
@@ -197,6 +251,54 @@ class ConversationService {
     }
   }
 
+  /**
+   * Update conversation language
+   * @param {string} source - 'proxy', 'detected' or 'default'
+   */
+  async setLanguage(sessionId, language, source) {
+    try {
+      const query = `
+        UPDATE ai_conversations
+        SET language = $1, language_source = $2, updated_at = NOW()
+        WHERE session_id = $3
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [language, source, sessionId]);
+
+      logger.info('Conversation language updated', { sessionId, language, source });
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.error('Failed to update conversation language', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Save the progress of a multi-turn request (the appointment flow), or clear it with null
+   * @param {Object|null} state - Stored in ai_conversations.intent_state
+   */
+  async setIntentState(sessionId, state) {
+    try {
+      const query = `
+        UPDATE ai_conversations
+        SET intent_state = $1, updated_at = NOW()
+        WHERE session_id = $2
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [state && JSON.stringify(state), sessionId]);
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.error('Failed to update conversation intent state', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
   /**
    * Close conversation
    */
@@ -272,7 +374,7 @@ class ConversationService {
           MAX(m.created_at) as last_message_at
         FROM ai_conversations c
         LEFT JOIN ai_messages m ON c.id = m.conversation_id
-        WHERE c.status IN ('ai-active', 'staff-taken')
+        WHERE c.status IN ('ai-active', 'crisis', 'staff-taken')
         GROUP BY c.id
         ORDER BY MAX(m.created_at) DESC
       `;
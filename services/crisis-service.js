@@ -0,0 +1,166 @@
+/**
+ * Crisis Service
+ * Self-harm / suicide pathway: scripted support instead of AI answers until staff take over
+ *
+ * start() moves the conversation to status 'crisis' and sends the crisis response with the
+ * hotlines of config.crisis.region. While the conversation stays in 'crisis', AI generation
+ * is blocked: patient messages get a scripted reply() and scripted check-ins are added every
+ * config.crisis.checkInIntervalMs. Check-ins stop when a staff member takes over (or the
+ * status otherwise leaves 'crisis') or after config.crisis.maxCheckIns.
+ */
+
+const conversationService = require('./conversation-service');
+const config = require('../config/config');
+const safetyRuleStore = require('./safety-rule-store');
+const localeService = require('./locale-service');
+const logger = require('../utils/logger');
+
+const CRISIS_STATUS = 'crisis';
+
+class CrisisService {
+  constructor() {
+    // sessionId → { timer, conversationId, count }
+    this.checkIns = new Map();
+    // sessionId → number of scripted replies sent (rotates through crisisResponse.replies)
+    this.replyCounts = new Map();
+  }
+
+  isInCrisis(conversation) {
+    return conversation.status === CRISIS_STATUS;
+  }
+
+  /**
+   * Hotlines for the configured region
+   * @returns {Array<{ name: string, numbers: Array<string> }>}
+   */
+  getHotlines() {
+    const { hotlines } = safetyRuleStore.get().crisisResponse;
+    return hotlines[config.crisis.region] || hotlines.default;
+  }
+
+  /**
+   * Fill {hotlines} in a scripted message
+   */
+  formatMessage(template) {
+    const hotlines = this.getHotlines()
+      .map(hotline => `• ${hotline.name}: ${hotline.numbers.join(' / ')}`)
+      .join('\n');
+
+    return template.replace('{hotlines}', hotlines);
+  }
+
+  /**
+   * Enter the crisis protocol for a conversation
+   * @param {string} sessionId
+   * @param {number} conversationId
+   * @param {Object} metadata - Extra metadata for the stored crisis response
+   * @param {string} [language] - Session language
+   * @returns {Promise<string>} Crisis response sent to the patient
+   */
+  async start(sessionId, conversationId, metadata = {}, language) {
+    await conversationService.updateStatus(sessionId, CRISIS_STATUS);
+
+    const message = this.formatMessage(localeService.getText(language, 'crisisResponse').message);
+
+    await conversationService.addMessage(conversationId, 'assistant', message, {
+      ...metadata,
+      safetyOverride: true,
+      crisisResponse: true,
+      priority: 'emergency',
+      region: config.crisis.region,
+    });
+
+    this.replyCounts.set(sessionId, 0);
+    this.scheduleCheckIn(sessionId, conversationId);
+
+    logger.warn('🆘 Crisis protocol started', { sessionId, conversationId });
+
+    return message;
+  }
+
+  /**
+   * Scripted answer to a patient message while the conversation is in crisis
+   * @returns {Promise<string>}
+   */
+  async reply(sessionId, conversationId, language) {
+    const { replies } = localeService.getText(language, 'crisisResponse');
+    const count = this.replyCounts.get(sessionId) || 0;
+    const message = this.formatMessage(replies[count % replies.length]);
+
+    this.replyCounts.set(sessionId, count + 1);
+
+    await conversationService.addMessage(conversationId, 'assistant', message, {
+      safetyOverride: true,
+      crisisResponse: true,
+      scripted: true,
+    });
+
+    // Restart check-ins if they ran out, or were lost when the process restarted mid-crisis
+    if (!this.checkIns.has(sessionId)) {
+      this.scheduleCheckIn(sessionId, conversationId);
+    }
+
+    return message;
+  }
+
+  scheduleCheckIn(sessionId, conversationId, count = 0) {
+    clearTimeout(this.checkIns.get(sessionId)?.timer);
+
+    if (count >= config.crisis.maxCheckIns) {
+      this.checkIns.delete(sessionId);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.checkIn(sessionId, conversationId, count).catch(error => {
+        logger.error('Crisis check-in failed', { error: error.message, sessionId });
+        this.scheduleCheckIn(sessionId, conversationId, count + 1);
+      });
+    }, config.crisis.checkInIntervalMs);
+    timer.unref();
+
+    this.checkIns.set(sessionId, { timer, conversationId, count });
+  }
+
+  /**
+   * Add the next check-in message, unless staff have taken over in the meantime
+   */
+  async checkIn(sessionId, conversationId, count) {
+    const conversation = await conversationService.getConversation(sessionId);
+
+    if (!conversation || !this.isInCrisis(conversation)) {
+      this.stop(sessionId);
+      return;
+    }
+
+    const { checkIns } = localeService.getText(conversation.language, 'crisisResponse');
+    const message = this.formatMessage(checkIns[count % checkIns.length]);
+
+    await conversationService.addMessage(conversationId, 'assistant', message, {
+      safetyOverride: true,
+      crisisCheckIn: true,
+      scripted: true,
+      checkIn: count + 1,
+    });
+
+    logger.info('Crisis check-in sent', { sessionId, checkIn: count + 1 });
+
+    this.scheduleCheckIn(sessionId, conversationId, count + 1);
+  }
+
+  /**
+   * Stop check-ins for a session (staff took over, session closed)
+   */
+  stop(sessionId) {
+    const entry = this.checkIns.get(sessionId);
+
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.checkIns.delete(sessionId);
+    }
+
+    this.replyCounts.delete(sessionId);
+  }
+}
+
+module.exports = new CrisisService();
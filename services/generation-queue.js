@@ -0,0 +1,184 @@
+/**
+ * Generation Queue
+ * Priority scheduler in front of the inference server
+ *
+ * A llama-server with few slots handles requests strictly one after another, so
+ * instead of letting every request race for it we admit at most `concurrency`
+ * generations at a time and order the rest by priority (then arrival).
+ */
+
+const logger = require('../utils/logger');
+
+// Lower value runs first
+const PRIORITIES = {
+  emergency: 0,
+  urgent: 1,
+  normal: 2,
+  copilot: 3,     // staff-side assistance
+  background: 4,  // summaries and other housekeeping
+};
+
+// Weight of the newest sample in the moving average of generation time
+const DURATION_SMOOTHING = 0.2;
+
+class GenerationQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Generations allowed to run at once
+   * @param {number} options.maxQueueSize - Waiting entries before new work is rejected
+   * @param {number} options.initialEstimateMs - Assumed generation time until real samples exist
+   */
+  constructor(options) {
+    this.concurrency = Math.max(1, options.concurrency);
+    this.maxQueueSize = options.maxQueueSize;
+    this.averageDurationMs = options.initialEstimateMs;
+    this.running = 0;
+    this.waiting = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - async () => result
+   * @param {Object} options
+   * @param {string} [options.priority] - Key of PRIORITIES (default 'normal')
+   * @param {AbortSignal} [options.signal] - Removes the entry if aborted while waiting
+   * @param {Function} [options.onQueued] - ({ position, estimatedWaitMs }) on enqueue and every move
+   * @returns {Promise<*>} Task result
+   */
+  run(task, options = {}) {
+    const priority = PRIORITIES[options.priority] ?? PRIORITIES.normal;
+
+    if (this.running < this.concurrency && this.waiting.length === 0) {
+      return this.execute(task);
+    }
+
+    if (this.waiting.length >= this.maxQueueSize) {
+      const error = new Error('Generation queue is full');
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        task,
+        priority,
+        seq: this.sequence++,
+        onQueued: options.onQueued,
+        resolve,
+        reject,
+      };
+
+      if (options.signal) {
+        if (options.signal.aborted) {
+          reject(new Error('AbortError'));
+          return;
+        }
+
+        entry.onAbort = () => {
+          const index = this.waiting.indexOf(entry);
+          if (index !== -1) {
+            this.waiting.splice(index, 1);
+            reject(new Error('AbortError'));
+            this.notifyPositions();
+          }
+        };
+        entry.signal = options.signal;
+        options.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.waiting.push(entry);
+      this.waiting.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+
+      logger.debug('Generation queued', {
+        priority: options.priority || 'normal',
+        position: this.waiting.indexOf(entry) + 1,
+        queueLength: this.waiting.length,
+      });
+
+      this.notifyPositions();
+    });
+  }
+
+  /**
+   * Start a task in a free slot and keep the duration estimate current
+   */
+  async execute(task) {
+    this.running++;
+    const startTime = Date.now();
+
+    try {
+      return await task();
+    } finally {
+      this.running--;
+      this.averageDurationMs = Math.round(
+        this.averageDurationMs * (1 - DURATION_SMOOTHING) + (Date.now() - startTime) * DURATION_SMOOTHING
+      );
+      this.next();
+    }
+  }
+
+  /**
+   * Hand free slots to the highest-priority waiting entries
+   */
+  next() {
+    let started = false;
+
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const entry = this.waiting.shift();
+
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+
+      this.execute(entry.task).then(entry.resolve, entry.reject);
+      started = true;
+    }
+
+    if (started) {
+      this.notifyPositions();
+    }
+  }
+
+  /**
+   * Estimated wait for the entry at a 1-based queue position
+   */
+  estimateWait(position) {
+    const rounds = Math.ceil((position + this.running) / this.concurrency);
+    return Math.max(0, rounds - 1) * this.averageDurationMs + Math.round(this.averageDurationMs / 2);
+  }
+
+  /**
+   * Tell every waiting entry whose position changed where it now stands
+   */
+  notifyPositions() {
+    this.waiting.forEach((entry, index) => {
+      if (entry.lastPosition === index + 1) {
+        return;
+      }
+      entry.lastPosition = index + 1;
+
+      if (typeof entry.onQueued === 'function') {
+        try {
+          entry.onQueued({ position: index + 1, estimatedWaitMs: this.estimateWait(index + 1) });
+        } catch (error) {
+          logger.debug('Queue position callback failed', { error: error.message });
+        }
+      }
+    });
+  }
+
+  /**
+   * Snapshot for status endpoints
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      waiting: this.waiting.length,
+      averageDurationMs: this.averageDurationMs,
+    };
+  }
+}
+
+module.exports = { GenerationQueue, PRIORITIES };
@@ -0,0 +1,437 @@
+/**
+ * Knowledge Service
+ * Local clinic knowledge base: FAQs, handouts and policies the assistant answers from
+ *
+ * Documents in model-config `knowledge.dir` (Markdown, plain text, HTML) are split into
+ * passages and indexed in memory with BM25. retrieve() returns the passages that best match
+ * a patient message; LlamaService puts them before the patient's message and the chat controller
+ * returns them as citations. With `knowledge.embeddings.enabled`, passages are also embedded
+ * by the local backend and the BM25 ranking is blended with cosine similarity.
+ *
+ * Files named *.example.* are templates and are never indexed, so the assistant cannot quote
+ * placeholder clinic details.
+ *
+ * Documents uploaded through /api/admin/kb (services/knowledge-store.js) are indexed next to
+ * the files, at their current version. Every instance polls for documents changed elsewhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/model-config');
+const llamaService = require('./llama-service');
+const knowledgeStore = require('./knowledge-store');
+const { Bm25Index } = require('../utils/bm25');
+const { formatFromFilename, slugify, parseDocument, chunkSections } = require('../utils/document-chunker');
+const logger = require('../utils/logger');
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Document id from a path relative to the knowledge directory ("faq/Clinic Hours.md" → "faq/clinic-hours")
+ */
+function documentIdFromPath(relativePath) {
+  return relativePath.split(path.sep).map(slugify).join('/');
+}
+
+class KnowledgeService {
+  constructor() {
+    // id → { id, title, source, format, version, origin, chunkIds }
+    this.documents = new Map();
+    // Managed document slug → indexed version
+    this.managed = new Map();
+    // chunk id → { id, documentId, title, section, text, embedding }
+    this.chunks = new Map();
+    this.index = new Bm25Index(config.knowledge.bm25);
+    // Set once the passages are embedded; until then retrieval is BM25 only
+    this.embeddingsAvailable = false;
+    // Background embedding of new passages (scheduleEmbedding), and the next try after a failure
+    this.embeddingRun = null;
+    this.embeddingRetryTimer = null;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Index the knowledge directory and the managed documents, and start polling for changes
+   * A missing directory is not an error: the assistant then runs without a knowledge base.
+   * A database failure leaves the files indexed; the next poll tries again.
+   */
+  async initialize() {
+    if (!config.knowledge.enabled) {
+      logger.info('Knowledge base disabled');
+      return;
+    }
+
+    const appConfig = require('../config/config');
+
+    this.loadDirectory(config.knowledge.dir);
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn('⚠️ Could not load knowledge documents from the database', { error: error.message });
+    }
+
+    logger.info('Knowledge base indexed', {
+      dir: config.knowledge.dir,
+      documents: this.documents.size,
+      managed: this.managed.size,
+      passages: this.chunks.size,
+    });
+
+    this.scheduleEmbedding();
+
+    const { pollIntervalMs } = appConfig.knowledgeBase;
+    if (pollIntervalMs > 0 && !this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        this.refresh().catch(error => {
+          logger.warn('Knowledge document poll failed', { error: error.message });
+        });
+      }, pollIntervalMs);
+      this.pollTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    clearTimeout(this.embeddingRetryTimer);
+    this.embeddingRetryTimer = null;
+  }
+
+  /**
+   * Drop everything and index the knowledge directory and managed documents again
+   */
+  async reload() {
+    for (const id of [...this.documents.keys()]) {
+      this.removeDocument(id);
+    }
+    this.managed.clear();
+    this.stop();
+
+    await this.initialize();
+  }
+
+  /**
+   * Bring the managed documents in line with the database: index new and changed current
+   * versions, drop disabled and deleted documents
+   */
+  async refresh() {
+    const active = await knowledgeStore.listActive();
+    const wanted = new Map(active.map(row => [row.slug, row.current_version]));
+
+    for (const slug of [...this.managed.keys()]) {
+      if (!wanted.has(slug)) {
+        this.removeDocument(slug);
+        this.managed.delete(slug);
+        logger.info('Knowledge document removed from index', { slug });
+      }
+    }
+
+    const changed = active.filter(row => this.managed.get(row.slug) !== row.current_version).map(row => row.slug);
+    if (changed.length === 0) {
+      return;
+    }
+
+    for (const row of await knowledgeStore.getCurrentVersions(changed)) {
+      if (this.documents.has(row.slug) && !this.managed.has(row.slug)) {
+        logger.warn('Managed knowledge document has the id of a file, skipping', { slug: row.slug });
+        continue;
+      }
+
+      try {
+        this.addDocument({
+          id: row.slug,
+          title: row.title,
+          source: row.filename,
+          format: row.format,
+          content: row.content,
+          version: row.version,
+          origin: 'managed',
+        });
+        this.managed.set(row.slug, row.version);
+        logger.info('Knowledge document indexed', { slug: row.slug, version: row.version });
+      } catch (error) {
+        logger.warn('Skipping knowledge document', { slug: row.slug, version: row.version, error: error.message });
+      }
+    }
+
+    this.scheduleEmbedding();
+  }
+
+  /**
+   * Embed new passages in the background
+   * Embedding can take a while on CPU; keyword retrieval works in the meantime.
+   */
+  scheduleEmbedding() {
+    if (!config.knowledge.embeddings.enabled || this.embeddingRun) {
+      return;
+    }
+
+    this.embeddingRun = this.embedPending()
+      .catch(error => {
+        logger.warn('Knowledge base embedding failed, trying again later', { error: error.code || error.message });
+        this.scheduleEmbeddingRetry();
+      })
+      .finally(() => {
+        this.embeddingRun = null;
+      });
+  }
+
+  /**
+   * Try embedding again after knowledge.embeddings.retryMs (the backend may still be loading,
+   * or be restarted with embeddings)
+   */
+  scheduleEmbeddingRetry() {
+    if (this.embeddingRetryTimer) {
+      return;
+    }
+
+    this.embeddingRetryTimer = setTimeout(() => {
+      this.embeddingRetryTimer = null;
+      this.scheduleEmbedding();
+    }, config.knowledge.embeddings.retryMs);
+    this.embeddingRetryTimer.unref();
+  }
+
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.warn('Knowledge directory not found, running without a knowledge base', { dir });
+      return;
+    }
+
+    const walk = (current) => {
+      for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+        const fullPath = path.join(current, entry.name);
+
+        if (entry.isDirectory()) {
+          walk(fullPath);
+          continue;
+        }
+
+        const format = formatFromFilename(entry.name);
+        if (!format || /\.example\.[^.]+$/i.test(entry.name)) {
+          continue;
+        }
+
+        const relativePath = path.relative(dir, fullPath);
+
+        try {
+          this.addDocument({
+            id: documentIdFromPath(relativePath),
+            source: relativePath,
+            format,
+            origin: 'file',
+            content: fs.readFileSync(fullPath, 'utf8'),
+          });
+        } catch (error) {
+          logger.warn('Skipping knowledge document', { source: relativePath, error: error.message });
+        }
+      }
+    };
+
+    walk(dir);
+  }
+
+  /**
+   * Add (or replace) a document
+   * @param {Object} document - { id, content, format, title?, source?, version?, origin? }
+   * @returns {Object} { id, title, source, format, passages }
+   */
+  addDocument(document) {
+    const { title: parsedTitle, sections } = parseDocument(document.content, document.format);
+    const title = document.title || parsedTitle || document.id;
+    const passages = chunkSections(sections, config.knowledge.chunk);
+
+    this.removeDocument(document.id);
+
+    const chunkIds = passages.map((passage, index) => {
+      const id = `${document.id}#${index + 1}`;
+
+      this.chunks.set(id, {
+        id,
+        documentId: document.id,
+        title,
+        // The opening section of a Markdown document is headed by the title itself
+        section: passage.section === title ? null : passage.section,
+        text: passage.text,
+        embedding: null,
+      });
+      this.index.add(id, [title, passage.section, passage.text].filter(Boolean).join(' '));
+
+      return id;
+    });
+
+    this.documents.set(document.id, {
+      id: document.id,
+      title,
+      source: document.source || document.id,
+      format: document.format,
+      version: document.version ?? null,
+      origin: document.origin || 'file',
+      chunkIds,
+    });
+
+    return { id: document.id, title, source: document.source || document.id, format: document.format, passages: chunkIds.length };
+  }
+
+  removeDocument(id) {
+    const document = this.documents.get(id);
+
+    if (!document) {
+      return false;
+    }
+
+    for (const chunkId of document.chunkIds) {
+      this.index.remove(chunkId);
+      this.chunks.delete(chunkId);
+    }
+
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Compute embeddings for passages that don't have one yet
+   * Runs at background priority, so patient answers go first. Stops at the first failure: a
+   * backend without embeddings won't have them for later passages either. Either way the
+   * remaining passages are tried again later.
+   * @throws {Error} if the backend is unavailable
+   */
+  async embedPending() {
+    for (const chunk of this.chunks.values()) {
+      if (chunk.embedding) continue;
+
+      const embedding = await llamaService.embed(`${chunk.title}\n${chunk.text}`, { priority: 'background' });
+
+      if (!embedding) {
+        this.embeddingsAvailable = false;
+        logger.warn('Backend returned no embeddings, knowledge retrieval uses BM25 only until the next try');
+        this.scheduleEmbeddingRetry();
+        return;
+      }
+
+      // The document may have been replaced while waiting for the backend
+      if (this.chunks.get(chunk.id) === chunk) {
+        chunk.embedding = embedding;
+      }
+    }
+
+    this.embeddingsAvailable = true;
+  }
+
+  /**
+   * Passages relevant to a patient message
+   * @param {string} query - Patient message
+   * @param {Object} options - { limit, priority } priority: of the query embedding (default 'normal')
+   * @returns {Promise<Array<{ id, documentId, title, section, text, score }>>} Best first; empty if nothing is relevant
+   */
+  async retrieve(query, options = {}) {
+    const { enabled, topK, minScore, embeddings } = config.knowledge;
+    const limit = options.limit ?? topK;
+
+    if (!enabled || this.chunks.size === 0 || !query) {
+      return [];
+    }
+
+    const keywordHits = this.index.search(query, { limit: embeddings.candidates });
+    let ranked = keywordHits
+      .filter(hit => hit.score >= minScore)
+      .map(hit => ({ id: hit.id, score: hit.score }));
+
+    if (embeddings.enabled && this.embeddingsAvailable && keywordHits.length > 0) {
+      let queryEmbedding = null;
+
+      try {
+        queryEmbedding = await llamaService.embed(query, { priority: options.priority || 'normal' });
+      } catch (error) {
+        logger.debug('Query embedding failed, ranking by BM25 only', { error: error.code || error.message });
+      }
+
+      if (queryEmbedding) {
+        // Blend BM25 (normalized to the best hit) with similarity, over the keyword candidates
+        const bestScore = keywordHits[0].score;
+
+        ranked = keywordHits
+          .map(hit => {
+            const chunk = this.chunks.get(hit.id);
+            const similarity = chunk.embedding ? cosineSimilarity(queryEmbedding, chunk.embedding) : 0;
+
+            return {
+              id: hit.id,
+              keywordScore: hit.score,
+              score: (1 - embeddings.weight) * (hit.score / bestScore) + embeddings.weight * similarity,
+            };
+          })
+          .filter(hit => hit.keywordScore >= minScore)
+          .sort((a, b) => b.score - a.score);
+      }
+    }
+
+    return ranked.slice(0, limit).map(hit => {
+      const chunk = this.chunks.get(hit.id);
+
+      return {
+        id: chunk.id,
+        documentId: chunk.documentId,
+        title: chunk.title,
+        section: chunk.section,
+        text: chunk.text,
+        score: Math.round(hit.score * 1000) / 1000,
+      };
+    });
+  }
+
+  /**
+   * Citations for retrieved passages, numbered as in the prompt ([1], [2], ...)
+   * `version` is the managed document version the passage came from (null for files).
+   */
+  citations(passages) {
+    return passages.map((passage, index) => {
+      const document = this.documents.get(passage.documentId);
+
+      return {
+        ref: index + 1,
+        documentId: passage.documentId,
+        version: document ? document.version : null,
+        title: passage.title,
+        section: passage.section,
+        source: document ? document.source : null,
+        passageId: passage.id,
+        score: passage.score,
+      };
+    });
+  }
+
+  /**
+   * Indexed documents (files and managed), without their passages
+   * @param {Object} options - { origin } 'file' or 'managed' to filter
+   */
+  listDocuments(options = {}) {
+    return [...this.documents.values()]
+      .filter(document => !options.origin || document.origin === options.origin)
+      .map(({ chunkIds, ...document }) => ({ ...document, passages: chunkIds.length }));
+  }
+
+  isFileDocument(id) {
+    const document = this.documents.get(id);
+    return Boolean(document && document.origin === 'file');
+  }
+}
+
+module.exports = new KnowledgeService();
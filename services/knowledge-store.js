@@ -0,0 +1,351 @@
+/**
+ * Knowledge Store
+ * Knowledge-base documents managed through /api/admin/kb, kept in Postgres
+ *
+ * Every upload of a document is stored as a new version (ai_kb_document_versions) and becomes
+ * the document's current version; a rollback stores an older version's content as a new
+ * version, so the history only ever grows. Disabled documents keep their versions but are
+ * not indexed. knowledgeService.refresh() indexes the current version of every active document.
+ *
+ * The database is only required when used, so offline scripts can load the knowledge service.
+ */
+
+const crypto = require('crypto');
+const { FORMATS, formatFromFilename, slugify, parseDocument } = require('../utils/document-chunker');
+const logger = require('../utils/logger');
+
+const STATUSES = ['active', 'disabled'];
+
+const DOCUMENT_COLUMNS = 'd.slug, d.title, d.format, d.status, d.current_version, d.created_by, d.created_at, d.updated_at';
+const VERSION_COLUMNS = 'v.version, v.title, v.format, v.filename, v.checksum, v.size_bytes, v.notes, v.created_by, v.rolled_back_from, v.created_at';
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DOCUMENT';
+  return error;
+}
+
+function checksum(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+class KnowledgeStore {
+  /**
+   * Check an upload and fill in what can be derived
+   * @param {Object} upload - { content, format?, filename?, title?, slug?, notes? }
+   * @param {Object} options - { maxBytes }
+   * @returns {Object} { slug, title, format, filename, content, notes }
+   * @throws {Error} code INVALID_DOCUMENT
+   */
+  validate(upload, options) {
+    const { content, filename, notes } = upload;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      throw invalid('content must be a non-empty string');
+    }
+    if (Buffer.byteLength(content, 'utf8') > options.maxBytes) {
+      throw invalid(`content is larger than ${Math.round(options.maxBytes / 1024)} kB`);
+    }
+    if (filename !== undefined && filename !== null && typeof filename !== 'string') {
+      throw invalid('filename must be a string');
+    }
+
+    // Markdown unless the format or the file name says otherwise
+    const format = upload.format || (filename ? formatFromFilename(filename) : 'markdown');
+    if (!FORMATS.includes(format)) {
+      throw invalid(`format must be one of ${FORMATS.join(', ')} (or given by the filename extension)`);
+    }
+
+    const parsed = parseDocument(content, format);
+    if (parsed.sections.length === 0) {
+      throw invalid('document has no text');
+    }
+
+    const title = (typeof upload.title === 'string' && upload.title.trim()) || parsed.title || filename || null;
+    if (!title) {
+      throw invalid('title is required for a document without a heading');
+    }
+
+    const slug = upload.slug !== undefined ? upload.slug : slugify(title);
+    if (typeof slug !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+      throw invalid('slug must be lowercase letters, digits and dashes');
+    }
+
+    return {
+      slug,
+      title: title.slice(0, 200),
+      format,
+      filename: filename || null,
+      content,
+      notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+    };
+  }
+
+  /**
+   * All managed documents with their version counts, newest change first
+   */
+  async list() {
+    const db = require('../config/db');
+
+    const result = await db.query(
+      `SELECT ${DOCUMENT_COLUMNS}, COUNT(v.id)::int AS version_count
+       FROM ai_kb_documents d
+       LEFT JOIN ai_kb_document_versions v ON v.document_id = d.id
+       GROUP BY d.id
+       ORDER BY d.updated_at DESC`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * One document with its version history (without contents)
+   * @returns {Promise<Object|null>}
+   */
+  async get(slug) {
+    const db = require('../config/db');
+
+    const documentResult = await db.query(
+      `SELECT d.id, ${DOCUMENT_COLUMNS} FROM ai_kb_documents d WHERE d.slug = $1`,
+      [slug]
+    );
+
+    const document = documentResult.rows[0];
+    if (!document) {
+      return null;
+    }
+
+    const versionsResult = await db.query(
+      `SELECT ${VERSION_COLUMNS} FROM ai_kb_document_versions v
+       WHERE v.document_id = $1
+       ORDER BY v.version DESC`,
+      [document.id]
+    );
+
+    const { id, ...rest } = document;
+    return { ...rest, versions: versionsResult.rows };
+  }
+
+  /**
+   * One version of a document, with its content
+   * @returns {Promise<Object|null>}
+   */
+  async getVersion(slug, version) {
+    const db = require('../config/db');
+
+    const result = await db.query(
+      `SELECT ${VERSION_COLUMNS}, v.content
+       FROM ai_kb_document_versions v
+       JOIN ai_kb_documents d ON d.id = v.document_id
+       WHERE d.slug = $1 AND v.version = $2`,
+      [slug, version]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Slug and current version of every active document
+   */
+  async listActive() {
+    const db = require('../config/db');
+
+    const result = await db.query(
+      'SELECT slug, current_version FROM ai_kb_documents WHERE status = \'active\''
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Current versions of the given active documents, with contents (for indexing)
+   */
+  async getCurrentVersions(slugs) {
+    const db = require('../config/db');
+
+    const result = await db.query(
+      `SELECT d.slug, v.version, v.title, v.format, v.filename, v.content
+       FROM ai_kb_documents d
+       JOIN ai_kb_document_versions v ON v.document_id = d.id AND v.version = d.current_version
+       WHERE d.status = 'active' AND d.slug = ANY($1)`,
+      [slugs]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Create a document with its first version
+   * @param {Object} upload - Validated upload (validate())
+   * @param {Object} options - { staffId }
+   * @throws {Error} code DOCUMENT_EXISTS if the slug is taken
+   */
+  async create(upload, options = {}) {
+    const db = require('../config/db');
+
+    try {
+      const result = await db.query(
+        `WITH document AS (
+           INSERT INTO ai_kb_documents (slug, title, format, status, current_version, created_by, created_at, updated_at)
+           VALUES ($1, $2, $3, 'active', 1, $4, NOW(), NOW())
+           RETURNING *
+         ), version AS (
+           INSERT INTO ai_kb_document_versions
+             (document_id, version, title, format, filename, content, checksum, size_bytes, notes, created_by, created_at)
+           SELECT id, 1, $2, $3, $5, $6, $7, $8, $9, $4, NOW() FROM document
+         )
+         SELECT ${DOCUMENT_COLUMNS} FROM document d`,
+        [
+          upload.slug, upload.title, upload.format, options.staffId || null, upload.filename, upload.content,
+          checksum(upload.content), Buffer.byteLength(upload.content, 'utf8'), upload.notes,
+        ]
+      );
+
+      logger.info('Knowledge document created', { slug: upload.slug, staffId: options.staffId });
+
+      return result.rows[0];
+    } catch (error) {
+      // unique_violation on the slug
+      if (error.code === '23505') {
+        const exists = new Error(`A document with slug "${upload.slug}" already exists`);
+        exists.code = 'DOCUMENT_EXISTS';
+        throw exists;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new version and make it current
+   * The document row is locked first, so concurrent uploads get consecutive version numbers
+   * instead of colliding on the same one.
+   * @param {string} slug - Document to update
+   * @param {Object} upload - Validated upload (validate())
+   * @param {Object} options - { staffId, rolledBackFrom }
+   * @returns {Promise<Object|null>} The updated document, or null if it doesn't exist
+   */
+  async addVersion(slug, upload, options = {}) {
+    const db = require('../config/db');
+    const client = await db.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query('SELECT id FROM ai_kb_documents WHERE slug = $1 FOR UPDATE', [slug]);
+
+      if (locked.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // A new statement, so MAX(version) sees versions committed while waiting for the lock
+      result = await client.query(
+        `WITH next AS (
+           SELECT d.id, COALESCE(MAX(v.version), 0) + 1 AS version
+           FROM ai_kb_documents d
+           LEFT JOIN ai_kb_document_versions v ON v.document_id = d.id
+           WHERE d.slug = $1
+           GROUP BY d.id
+         ), inserted AS (
+           INSERT INTO ai_kb_document_versions
+             (document_id, version, title, format, filename, content, checksum, size_bytes, notes, created_by, rolled_back_from, created_at)
+           SELECT id, version, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() FROM next
+           RETURNING document_id, version
+         )
+         UPDATE ai_kb_documents d
+         SET current_version = inserted.version, title = $2, format = $3, updated_at = NOW()
+         FROM inserted
+         WHERE d.id = inserted.document_id
+         RETURNING ${DOCUMENT_COLUMNS}`,
+        [
+          slug, upload.title, upload.format, upload.filename, upload.content, checksum(upload.content),
+          Buffer.byteLength(upload.content, 'utf8'), upload.notes, options.staffId || null, options.rolledBackFrom ?? null,
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const document = result.rows[0] || null;
+
+    if (document) {
+      logger.info('Knowledge document version added', {
+        slug,
+        version: document.current_version,
+        staffId: options.staffId,
+        rolledBackFrom: options.rolledBackFrom,
+      });
+    }
+
+    return document;
+  }
+
+  /**
+   * Store an older version's content as a new current version
+   * @returns {Promise<Object|null>} The updated document, or null if the version doesn't exist
+   */
+  async rollback(slug, version, options = {}) {
+    const previous = await this.getVersion(slug, version);
+
+    if (!previous) {
+      return null;
+    }
+
+    return this.addVersion(slug, {
+      title: previous.title,
+      format: previous.format,
+      filename: previous.filename,
+      content: previous.content,
+      notes: options.notes || `Rollback to version ${version}`,
+    }, { staffId: options.staffId, rolledBackFrom: version });
+  }
+
+  /**
+   * Enable or disable a document
+   * @returns {Promise<Object|null>} The updated document, or null if it doesn't exist
+   */
+  async setStatus(slug, status, options = {}) {
+    if (!STATUSES.includes(status)) {
+      throw invalid(`status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const db = require('../config/db');
+
+    const result = await db.query(
+      `UPDATE ai_kb_documents d SET status = $2, updated_at = NOW()
+       WHERE d.slug = $1
+       RETURNING ${DOCUMENT_COLUMNS}`,
+      [slug, status]
+    );
+
+    if (result.rows[0]) {
+      logger.info('Knowledge document status changed', { slug, status, staffId: options.staffId });
+    }
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a document and all its versions
+   * @returns {Promise<boolean>} false if it doesn't exist
+   */
+  async remove(slug, options = {}) {
+    const db = require('../config/db');
+
+    const result = await db.query('DELETE FROM ai_kb_documents WHERE slug = $1', [slug]);
+
+    if (result.rowCount > 0) {
+      logger.info('Knowledge document deleted', { slug, staffId: options.staffId });
+    }
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new KnowledgeStore();
@@ -1,21 +1,55 @@
 /**
- * LLaMA Service - Interface with locally-run llama.cpp server
+ * LLaMA Service - Interface with locally-run inference servers
  * Handles model initialization, requests, and response generation
  * Supports streaming responses for real-time token delivery
+ *
+ * The wire format is delegated to a backend adapter (see services/adapters),
+ * selected by model-config `backend.adapter`.
  */
 
 const axios = require('axios');
-const { spawn } = require('child_process');
 const config = require('../config/model-config');
 const logger = require('../utils/logger');
+const { createAdapter } = require('./adapters');
+const chatTemplates = require('./chat-templates');
+const localeService = require('./locale-service');
+const { GenerationQueue } = require('./generation-queue');
+const UpstreamPool = require('./upstream-pool');
+const LlamaSupervisor = require('./llama-supervisor');
+const SlotAllocator = require('./slot-allocator');
+
+// Failures worth retrying — the request never produced output, so resending is safe
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'MODEL_NOT_READY',
+]);
+const RETRYABLE_HTTP_STATUSES = new Set([502, 503, 504]);
 
 class LlamaService {
   constructor() {
-    this.serverProcess = null;
     this.isInitialized = false;
-    this.baseUrl = `http://${config.llamaServer.host}:${config.llamaServer.port}`;
+    this.adapter = createAdapter(config.backend.adapter, {
+      model: config.backend.model,
+      apiKey: config.backend.apiKey,
+    });
+    this.chatTemplate = null;
+    this.queue = new GenerationQueue(config.queue);
+    this.slots = new SlotAllocator();
+    this.pool = new UpstreamPool({
+      urls: config.llamaServer.upstreams,
+      healthCheck: (url) => this.checkHealth(url),
+      breaker: config.circuitBreaker,
+      healthCheckIntervalMs: config.llamaServer.healthCheckIntervalMs,
+      stickyTtlMs: config.llamaServer.stickyTtlMs,
+    });
+    // Primary upstream — the one AUTO_START_LLAMA manages
+    this.baseUrl = this.pool.primary.url;
+    this.supervisor = new LlamaSupervisor({
+      healthUrl: `${this.baseUrl}${this.adapter.healthPath}`,
+    });
+    this.supervisor.on('exit', () => {
+      this.isInitialized = false;
+    });
     this.lastActivityTimestamp = null;
-    this.idleCheckInterval = null;
   }
 
   /**
@@ -25,10 +59,14 @@ class LlamaService {
   async initialize(autoStart = false) {
     try {
       const isRunning = await this.healthCheck();
+      this.pool.startHealthChecks();
       
       if (isRunning) {
         this.isInitialized = true;
-        logger.info('LLaMA server is already running', { url: this.baseUrl });
+        logger.info('LLaMA server is already running', {
+          upstreams: this.pool.upstreams.filter(upstream => upstream.healthy).map(upstream => upstream.url),
+        });
+        await this.resolveChatTemplate();
         return true;
       }
 
@@ -38,6 +76,7 @@ class LlamaService {
       }
 
       await this.startServer();
+      await this.resolveChatTemplate();
       return true;
 
     } catch (error) {
@@ -47,75 +86,30 @@ class LlamaService {
   }
 
   /**
-   * Start llama.cpp server as a subprocess
+   * Start llama.cpp server as a supervised subprocess
    */
   async startServer() {
-    return new Promise((resolve, reject) => {
-      logger.info('Starting llama.cpp server...', { 
-        modelPath: config.modelPath,
-        port: config.llamaServer.port 
-      });
-
-      const args = [
-        '-m', config.modelPath,
-        '-c', config.generationParams.contextSize.toString(),
-        '--port', config.llamaServer.port.toString(),
-        '--host', config.llamaServer.host,
-        '-t', config.llamaServer.threads.toString(),
-      ];
-
-      const serverBin = config.llamaServer.serverBin || 'llama-server';
-
-      this.serverProcess = spawn(serverBin, args);
-
-      this.serverProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        logger.debug('LLaMA server output', { output });
-
-        if (output.includes('HTTP server listening')) {
-          this.isInitialized = true;
-          this.lastActivityTimestamp = Date.now();
-          
-          if (config.onDemand.enabled) {
-            this.startIdleChecker();
-          }
-          
-          logger.info('✅ LLaMA server started successfully');
-          resolve();
-        }
-      });
-
-      this.serverProcess.stderr.on('data', (data) => {
-        logger.error('LLaMA server error', { error: data.toString() });
-      });
-
-      this.serverProcess.on('error', (error) => {
-        logger.error('Failed to start LLaMA server', { error: error.message });
-        reject(error);
-      });
-
-      this.serverProcess.on('close', (code) => {
-        logger.info('LLaMA server process exited', { code });
-        this.isInitialized = false;
-        this.serverProcess = null;
-        this.stopIdleChecker();
-      });
-
-      setTimeout(() => {
-        if (!this.isInitialized) {
-          reject(new Error('LLaMA server failed to start within timeout'));
-        }
-      }, config.llamaServer.startupTimeout);
-    });
+    await this.supervisor.start();
+    this.isInitialized = true;
   }
 
   /**
-   * Health check for llama.cpp server
+   * Health check for the inference servers
+   * @returns {Promise<boolean>} true if at least one upstream is healthy
    */
   async healthCheck() {
+    return this.pool.checkAll();
+  }
+
+  /**
+   * Health check for a single upstream
+   * @param {string} url - Upstream base URL
+   */
+  async checkHealth(url) {
     try {
-      const response = await axios.get(`${this.baseUrl}/health`, {
+      const response = await axios.get(`${url}${this.adapter.healthPath}`, {
         timeout: config.llamaServer.healthCheckTimeout,
+        headers: this.getRequestHeaders(),
       });
       return response.status === 200;
     } catch (error) {
@@ -124,11 +118,43 @@ class LlamaService {
   }
 
   /**
-   * Generate AI response
-   * @param {Array} messages - Conversation history [{ role: 'user'|'assistant', content: string }]
-   * @param {Object} options - Generation options
+   * Select the prompt template for raw-prompt backends
+   * Uses the configured template, or auto-detects from llama-server /props
    */
-  async generateResponse(messages, options = {}) {
+  async resolveChatTemplate() {
+    if (!this.adapter.usesRawPrompt) {
+      return null;
+    }
+
+    if (config.chatTemplate !== 'auto') {
+      const template = chatTemplates.getTemplate(config.chatTemplate);
+      if (!template) {
+        throw new Error(`Unknown chat template "${config.chatTemplate}"`);
+      }
+      this.chatTemplate = template;
+      return template;
+    }
+
+    try {
+      const response = await axios.get(`${this.pickUrl()}/props`, {
+        timeout: config.llamaServer.healthCheckTimeout,
+      });
+      const name = chatTemplates.detectTemplate(response.data);
+      this.chatTemplate = chatTemplates.getTemplate(name);
+
+      logger.info('Chat template selected from model metadata', { template: name });
+    } catch (error) {
+      logger.warn('Could not read /props, using generic chat template', { error: error.message });
+      this.chatTemplate = chatTemplates.getTemplate('generic');
+    }
+
+    return this.chatTemplate;
+  }
+
+  /**
+   * Make sure the backend is reachable before sending a generation request
+   */
+  async ensureReady() {
     // Auto-start server if on-demand is enabled
     if (config.onDemand.enabled && !this.isInitialized) {
       const isRunning = await this.healthCheck();
@@ -140,69 +166,283 @@ class LlamaService {
       }
     }
 
+    if (config.onDemand.enabled) {
+      this.supervisor.touch();
+    }
+
     if (!this.isInitialized) {
       const isRunning = await this.healthCheck();
       if (!isRunning) {
-        throw new Error('LLaMA server is not running. Please start it first.');
+        const error = new Error('LLaMA server is not running. Please start it first.');
+        error.code = 'MODEL_NOT_READY';
+        throw error;
       }
       this.isInitialized = true;
     }
 
+    if (this.adapter.usesRawPrompt && !this.chatTemplate) {
+      await this.resolveChatTemplate();
+    }
+
     this.lastActivityTimestamp = Date.now();
+  }
 
-    try {
-      const prompt = this.formatPrompt(messages);
-
-      const requestBody = {
-        prompt,
-        temperature: options.temperature ?? config.generationParams.temperature,
-        top_p: options.topP ?? config.generationParams.topP,
-        top_k: options.topK ?? config.generationParams.topK,
-        repeat_penalty: options.repeatPenalty ?? config.generationParams.repeatPenalty,
-        n_predict: options.maxTokens ?? config.generationParams.maxTokens,
-        stop: config.generationParams.stop,
-        stream: false,
+  /**
+   * Build the adapter-specific request body for a conversation
+   * @param {Array} messages - Conversation history
+   * @param {Object} options - Generation options
+   * @param {boolean} stream - Whether to request a streamed response
+   * @param {number|null} slotId - llama-server slot pinned to the session
+   */
+  buildRequest(messages, options, stream, slotId = null) {
+    const params = {
+      temperature: options.temperature ?? config.generationParams.temperature,
+      topP: options.topP ?? config.generationParams.topP,
+      topK: options.topK ?? config.generationParams.topK,
+      repeatPenalty: options.repeatPenalty ?? config.generationParams.repeatPenalty,
+      maxTokens: options.maxTokens ?? config.generationParams.maxTokens,
+      contextSize: config.generationParams.contextSize,
+      stop: this.chatTemplate ? this.chatTemplate.stop : [],
+      cachePrompt: config.promptCache.enabled,
+      slotId,
+      // Constrain output to JSON matching this schema (classifiers, planners)
+      jsonSchema: options.jsonSchema || null,
+    };
+
+    messages = this.withTurnContext(messages, options);
+
+    if (this.adapter.usesRawPrompt) {
+      const prompt = this.formatPrompt(messages, options.systemPrompt ?? this.getSystemPrompt(options));
+      return {
+        body: this.adapter.buildRequestBody({ prompt, params, stream }),
+        promptLength: prompt.length,
       };
+    }
+
+    const chatMessages = this.formatChatMessages(messages, options.systemPrompt ?? this.getSystemPrompt(options));
+    return {
+      body: this.adapter.buildRequestBody({ messages: chatMessages, params, stream }),
+      promptLength: chatMessages.reduce((sum, msg) => sum + msg.content.length, 0),
+    };
+  }
+
+  /**
+   * Slot to pin a session's requests to on an upstream (llama.cpp only)
+   * The upstream's slot count is read once from /props.
+   * @returns {Promise<number|null>}
+   */
+  async resolveSlot(upstream, sessionId) {
+    if (!config.promptCache.pinSlots || !sessionId || !this.adapter.usesRawPrompt) {
+      return null;
+    }
+
+    if (!this.slots.hasSlotCount(upstream.url)) {
+      try {
+        const response = await axios.get(`${upstream.url}/props`, {
+          timeout: config.llamaServer.healthCheckTimeout,
+        });
+        this.slots.setSlotCount(upstream.url, response.data.total_slots);
+      } catch (error) {
+        logger.debug('Could not read slot count, assuming one slot', { upstream: upstream.url });
+        this.slots.setSlotCount(upstream.url, 1);
+      }
+    }
+
+    return this.slots.assign(upstream.url, sessionId);
+  }
+
+  /**
+   * Forget a closed session's slot pinning
+   */
+  releaseSession(sessionId) {
+    this.slots.release(sessionId);
+  }
+
+  /**
+   * HTTP headers for backend requests
+   */
+  getRequestHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.adapter.getHeaders ? this.adapter.getHeaders() : {}),
+    };
+  }
+
+  /**
+   * Generate AI response
+   * Waits its turn in the generation queue according to options.priority.
+   * @param {Array} messages - Conversation history [{ role: 'user'|'assistant'|'staff'|'system', content: string }]
+   * @param {Object} options - Generation options (priority, signal, onQueued, language, passages, toolResults, sampling overrides)
+   */
+  async generateResponse(messages, options = {}) {
+    this.pool.assertAvailable();
+
+    return this.queue.run(
+      () => this.withRetry((upstream) => this.requestCompletion(messages, options, upstream), options),
+      { priority: options.priority, signal: options.signal, onQueued: options.onQueued }
+    );
+  }
+
+  /**
+   * Generate streaming AI response
+   * The queue slot is held until the stream finishes.
+   * @param {Array} messages - Conversation history
+   * @param {Object} options - Generation options (priority, signal, onQueued, language, passages, toolResults, sampling overrides)
+   * @param {Function} onToken - Callback for each token chunk
+   * @returns {Promise<Object>} - Final response with content, tokens, and duration
+   */
+  async generateStreamingResponse(messages, options = {}, onToken) {
+    this.pool.assertAvailable();
+
+    return this.queue.run(
+      () => this.withRetry((upstream) => this.requestStreamingCompletion(messages, options, onToken, upstream), options),
+      { priority: options.priority, signal: options.signal, onQueued: options.onQueued }
+    );
+  }
+
+  /**
+   * Whether a failed request can be resent without side effects
+   * Streams only qualify if no token had reached the caller yet.
+   */
+  isRetryable(error) {
+    if (error.tokensStarted) {
+      return false;
+    }
+
+    if (error.response && RETRYABLE_HTTP_STATUSES.has(error.response.status)) {
+      return true;
+    }
+
+    return RETRYABLE_ERROR_CODES.has(error.code);
+  }
+
+  /**
+   * Run a backend request on a pooled upstream, failing over to another upstream or
+   * retrying with jittered exponential backoff (config.retry) on transient failures
+   * @param {Function} request - async (upstream) => result
+   * @param {Object} options - { sessionId (sticky routing), signal }
+   * @throws {Error} code MODEL_UNAVAILABLE once retries are exhausted or no upstream is usable
+   */
+  async withRetry(request, options = {}) {
+    const { maxAttempts, delayMs } = config.retry;
+    const failed = new Set();
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let upstream;
+      try {
+        upstream = await this.pool.acquire(options.sessionId, failed);
+      } catch (error) {
+        throw lastError ? this.pool.primary.breaker.unavailableError(lastError) : error;
+      }
+
+      try {
+        const result = await request(upstream);
+        upstream.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw error;
+        }
+
+        if (!this.isRetryable(error)) {
+          throw error;
+        }
+
+        upstream.breaker.recordFailure(error);
+        failed.add(upstream.url);
+        lastError = error;
+      } finally {
+        this.pool.release(upstream);
+      }
+
+      // Fail over straight away while untried upstreams remain; back off once all have failed
+      if (failed.size < this.pool.upstreams.length) {
+        logger.warn('LLaMA upstream failed, failing over', {
+          attempt,
+          upstream: [...failed].pop(),
+          error: lastError.message,
+        });
+        continue;
+      }
+
+      if (attempt >= maxAttempts) {
+        break;
+      }
+
+      failed.clear();
+
+      const backoff = delayMs * 2 ** (attempt - 1);
+      const wait = Math.round(backoff / 2 + Math.random() * backoff);
+
+      logger.warn('LLaMA request failed, retrying', {
+        attempt,
+        maxAttempts,
+        retryInMs: wait,
+        error: lastError.message,
+      });
+
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    throw this.pool.primary.breaker.unavailableError(lastError);
+  }
+
+  /**
+   * Send a non-streaming completion request to the backend
+   */
+  async requestCompletion(messages, options = {}, upstream = this.pool.primary) {
+    await this.ensureReady();
+
+    try {
+      const slotId = await this.resolveSlot(upstream, options.sessionId);
+      const { body, promptLength } = this.buildRequest(messages, options, false, slotId);
 
       logger.info('Generating AI response', { 
+        backend: this.adapter.name,
+        upstream: upstream.url,
         messageCount: messages.length,
-        promptLength: prompt.length 
+        promptLength 
       });
 
       const startTime = Date.now();
 
       const response = await axios.post(
-        `${this.baseUrl}/completion`,
-        requestBody,
+        `${upstream.url}${this.adapter.completionPath}`,
+        body,
         {
           timeout: config.llamaServer.timeout,
-          headers: { 'Content-Type': 'application/json' },
+          headers: this.getRequestHeaders(),
         }
       );
 
       const duration = Date.now() - startTime;
 
-      if (!response.data || !response.data.content) {
+      const parsed = this.adapter.parseResponse(response.data);
+
+      if (!parsed || !parsed.content) {
         throw new Error('Invalid response from LLaMA server');
       }
 
-      let generatedText = response.data.content
-        .replace(/<\|assistant\|>/gi, '')
-        .replace(/<\|user\|>/gi, '')
-        .replace(/<\|system\|>/gi, '')
-        .replace(/<\|end\|>/gi, '')
-        .trim();
+      const generatedText = this.cleanContent(parsed.content);
+      const usage = parsed.usage || {};
 
       logger.info('AI response generated successfully', { 
         duration,
         responseLength: generatedText.length,
-        tokens: response.data.tokens_predicted 
+        tokens: parsed.tokens,
+        cachedTokens: usage.cachedTokens,
       });
 
       return {
         content: generatedText,
-        tokens: response.data.tokens_predicted,
+        tokens: parsed.tokens,
         duration,
+        model: parsed.model,
+        // Without streaming, prompt evaluation time is the closest measure of time-to-first-token
+        timeToFirstTokenMs: usage.promptMs !== undefined ? Math.round(usage.promptMs) : null,
+        cachedTokens: usage.cachedTokens ?? null,
+        slot: slotId,
       };
 
     } catch (error) {
@@ -212,7 +452,9 @@ class LlamaService {
       });
 
       if (error.code === 'ECONNREFUSED') {
-        throw new Error('Cannot connect to LLaMA server. Make sure it is running.');
+        const connectError = new Error('Cannot connect to LLaMA server. Make sure it is running.');
+        connectError.code = error.code;
+        throw connectError;
       }
 
       throw error;
@@ -220,60 +462,31 @@ class LlamaService {
   }
 
   /**
-   * Generate streaming AI response
-   * @param {Array} messages - Conversation history
-   * @param {Object} options - Generation options (includes optional AbortSignal)
-   * @param {Function} onToken - Callback for each token chunk
-   * @returns {Promise<Object>} - Final response with content, tokens, and duration
+   * Send a streaming completion request to the backend
    */
-  async generateStreamingResponse(messages, options = {}, onToken) {
-    // Auto-start server if on-demand is enabled
-    if (config.onDemand.enabled && !this.isInitialized) {
-      const isRunning = await this.healthCheck();
-      if (!isRunning) {
-        logger.info('On-demand starting LLaMA server for streaming...');
-        await this.startServer();
-      } else {
-        this.isInitialized = true;
-      }
-    }
-
-    if (!this.isInitialized) {
-      const isRunning = await this.healthCheck();
-      if (!isRunning) {
-        throw new Error('LLaMA server is not running. Please start it first.');
-      }
-      this.isInitialized = true;
-    }
-
-    this.lastActivityTimestamp = Date.now();
+  async requestStreamingCompletion(messages, options = {}, onToken, upstream = this.pool.primary) {
+    await this.ensureReady();
 
     try {
-      const prompt = this.formatPrompt(messages);
-
-      const requestBody = {
-        prompt,
-        temperature: options.temperature ?? config.generationParams.temperature,
-        top_p: options.topP ?? config.generationParams.topP,
-        top_k: options.topK ?? config.generationParams.topK,
-        repeat_penalty: options.repeatPenalty ?? config.generationParams.repeatPenalty,
-        n_predict: options.maxTokens ?? config.generationParams.maxTokens,
-        stop: config.generationParams.stop,
-        stream: true,
-      };
+      const slotId = await this.resolveSlot(upstream, options.sessionId);
+      const { body, promptLength } = this.buildRequest(messages, options, true, slotId);
 
       logger.info('Generating streaming AI response', { 
+        backend: this.adapter.name,
+        upstream: upstream.url,
         messageCount: messages.length,
-        promptLength: prompt.length 
+        promptLength 
       });
 
       const startTime = Date.now();
       let fullContent = '';
       let tokenCount = 0;
+      let firstTokenAt = null;
+      let usage = {};
 
       const axiosConfig = {
         timeout: config.llamaServer.timeout,
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.getRequestHeaders(),
         responseType: 'stream',
       };
 
@@ -282,13 +495,47 @@ class LlamaService {
       }
 
       const response = await axios.post(
-        `${this.baseUrl}/completion`,
-        requestBody,
+        `${upstream.url}${this.adapter.completionPath}`,
+        body,
         axiosConfig
       );
 
       return new Promise((resolve, reject) => {
         let buffer = '';
+        let settled = false;
+
+        const finish = (reason) => {
+          if (settled) return;
+
+          const cleanedContent = this.cleanContent(fullContent);
+
+          if (!cleanedContent) {
+            settled = true;
+            reject(new Error('Empty response from streaming'));
+            return;
+          }
+
+          settled = true;
+          const duration = Date.now() - startTime;
+
+          logger.info(`Streaming AI response completed on ${reason}`, { 
+            duration,
+            responseLength: cleanedContent.length,
+            tokens: tokenCount,
+            cachedTokens: usage.cachedTokens,
+          });
+
+          resolve({
+            content: cleanedContent,
+            tokens: tokenCount,
+            duration,
+            model: this.adapter.model,
+            timeToFirstTokenMs: firstTokenAt ? firstTokenAt - startTime : null,
+            cachedTokens: usage.cachedTokens ?? null,
+            slot: slotId,
+            streamed: true,
+          });
+        };
 
         response.data.on('data', (chunk) => {
           buffer += chunk.toString();
@@ -297,90 +544,56 @@ class LlamaService {
           buffer = lines.pop() || '';
 
           for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const jsonStr = line.slice(6).trim();
-                if (!jsonStr || jsonStr === '[DONE]') continue;
-                
-                const data = JSON.parse(jsonStr);
-                
-                if (data.content) {
-                  fullContent += data.content;
-                  tokenCount++;
-                  
-                  if (onToken && typeof onToken === 'function') {
-                    onToken(data.content, data.stop || false);
-                  }
-                }
-
-                if (data.stop) {
-                  const duration = Date.now() - startTime;
-                  
-                  let cleanedContent = fullContent
-                    .replace(/<\|assistant\|>/gi, '')
-                    .replace(/<\|user\|>/gi, '')
-                    .replace(/<\|system\|>/gi, '')
-                    .replace(/<\|end\|>/gi, '')
-                    .trim();
-
-                  logger.info('Streaming AI response completed', { 
-                    duration,
-                    responseLength: cleanedContent.length,
-                    tokens: tokenCount 
-                  });
-
-                  resolve({
-                    content: cleanedContent,
-                    tokens: tokenCount,
-                    duration,
-                    streamed: true,
-                  });
-                }
-              } catch (parseError) {
-                logger.debug('Skipping unparseable chunk', { line });
+            let data;
+            try {
+              data = this.adapter.parseStreamLine(line);
+            } catch (parseError) {
+              logger.debug('Skipping unparseable chunk', { line });
+              continue;
+            }
+
+            if (!data) continue;
+
+            if (data.usage) {
+              usage = data.usage;
+            }
+
+            if (data.content) {
+              if (firstTokenAt === null) {
+                firstTokenAt = Date.now();
+              }
+              fullContent += data.content;
+              tokenCount++;
+              
+              if (onToken && typeof onToken === 'function') {
+                onToken(data.content, data.stop || false);
               }
             }
-          }
-        });
 
-        response.data.on('end', () => {
-          const duration = Date.now() - startTime;
-          
-          let cleanedContent = fullContent
-            .replace(/<\|assistant\|>/gi, '')
-            .replace(/<\|user\|>/gi, '')
-            .replace(/<\|system\|>/gi, '')
-            .replace(/<\|end\|>/gi, '')
-            .trim();
-
-          if (cleanedContent) {
-            logger.info('Streaming completed on stream end', { 
-              duration,
-              responseLength: cleanedContent.length,
-              tokens: tokenCount 
-            });
-
-            resolve({
-              content: cleanedContent,
-              tokens: tokenCount,
-              duration,
-              model: 'llama-3-8b-instruct',
-              streamed: true,
-            });
-          } else {
-            reject(new Error('Empty response from streaming'));
+            if (data.stop) {
+              finish('stop');
+            }
           }
         });
 
+        response.data.on('end', () => finish('stream end'));
+
         response.data.on('error', (error) => {
           logger.error('Streaming error', { error: error.message });
-          reject(error);
+          error.tokensStarted = tokenCount > 0;
+          if (!settled) {
+            settled = true;
+            reject(error);
+          }
         });
 
         if (options.signal) {
           options.signal.addEventListener('abort', () => {
             response.data.destroy();
-            reject(new Error('AbortError'));
+            if (!settled) {
+              settled = true;
+              reject(new Error('AbortError'));
+            }
           });
         }
       });
@@ -392,7 +605,9 @@ class LlamaService {
       });
 
       if (error.code === 'ECONNREFUSED') {
-        throw new Error('Cannot connect to LLaMA server. Make sure it is running.');
+        const connectError = new Error('Cannot connect to LLaMA server. Make sure it is running.');
+        connectError.code = error.code;
+        throw connectError;
       }
 
       throw error;
@@ -400,99 +615,304 @@ class LlamaService {
   }
 
   /**
-   * Format conversation messages into a prompt for the model
+   * Count tokens with the backend's own tokenizer
+   * @param {string} text - Text to tokenize
+   * @returns {Promise<number|null>} Token count, or null if the backend cannot tokenize
+   */
+  async countTokens(text) {
+    if (!this.adapter.tokenizePath) {
+      return null;
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.pickUrl()}${this.adapter.tokenizePath}`,
+        { content: text, add_special: false },
+        {
+          timeout: config.llamaServer.healthCheckTimeout,
+          headers: this.getRequestHeaders(),
+        }
+      );
+
+      return Array.isArray(response.data.tokens) ? response.data.tokens.length : null;
+    } catch (error) {
+      logger.debug('Tokenize request failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Embedding vector of a text, computed by the backend
+   * Waits its turn in the generation queue (default priority 'background', behind patient
+   * answers) and goes through the same retries and circuit breaker as completions.
+   * @param {string} text - Text to embed
+   * @param {Object} [options] - { priority, signal }
+   * @returns {Promise<Array<number>|null>} Vector, or null if the backend cannot embed
+   * @throws {Error} if the backend is unavailable (loading, down): worth trying again later
+   */
+  async embed(text, options = {}) {
+    if (!this.adapter.embeddingPath) {
+      return null;
+    }
+
+    this.pool.assertAvailable();
+
+    return this.queue.run(
+      () => this.withRetry((upstream) => this.requestEmbedding(text, upstream), options),
+      { priority: options.priority || 'background', signal: options.signal }
+    );
+  }
+
+  /**
+   * Send an embedding request to the backend
    */
-  formatPrompt(messages) {
-    const sysPrompt = config.safetyMode ? config.systemPrompt : config.systemPromptFast;
-    let prompt = sysPrompt ? sysPrompt + '\n\n' : '';
-
-    for (const msg of messages) {
-      if (msg.role === 'user') {
-        prompt += `User: ${msg.content}\n\n`;
-      } else if (msg.role === 'assistant') {
-        prompt += `Assistant: ${msg.content}\n\n`;
+  async requestEmbedding(text, upstream = this.pool.primary) {
+    await this.ensureReady();
+
+    try {
+      const response = await axios.post(
+        `${upstream.url}${this.adapter.embeddingPath}`,
+        this.adapter.buildEmbeddingBody(text),
+        {
+          timeout: config.llamaServer.timeout,
+          headers: this.getRequestHeaders(),
+        }
+      );
+
+      return this.adapter.parseEmbedding(response.data);
+    } catch (error) {
+      // Server running without embeddings (llama-server without --embedding)
+      if (error.response && [404, 501].includes(error.response.status)) {
+        logger.debug('Backend has no embeddings', { upstream: upstream.url, status: error.response.status });
+        return null;
       }
+      throw error;
     }
+  }
+
+  /**
+   * Base URL of the least-busy healthy upstream, for auxiliary requests (/props, /tokenize)
+   */
+  pickUrl() {
+    const healthy = this.pool.upstreams.filter(upstream => upstream.healthy);
+    const candidates = healthy.length > 0 ? healthy : this.pool.upstreams;
 
-    prompt += 'Assistant: ';
-    return prompt;
+    return candidates.reduce((best, upstream) => (upstream.outstanding < best.outstanding ? upstream : best)).url;
   }
 
   /**
-   * Shutdown llama.cpp server gracefully
+   * Let the model choose the next tool call for the conversation
+   * Output is constrained to { tool: 'none' } or { tool, arguments } of one offered tool.
+   * @param {Array} messages - Conversation context
+   * @param {Array} tools - Tool definitions to offer (toolRegistry.list())
+   * @param {Object} options - { sessionId, priority, signal, toolResults } toolResults: calls already made this turn
+   * @returns {Promise<{ tool: string, arguments: Object }|null>} null for "none", or if the model gave no usable answer
    */
-  async shutdown() {
-    this.stopIdleChecker();
-    
-    if (this.serverProcess) {
-      logger.info('Shutting down LLaMA server...');
-      this.serverProcess.kill('SIGTERM');
-      
-      await new Promise(resolve => {
-        this.serverProcess.on('close', resolve);
-        setTimeout(resolve, config.llamaServer.shutdownTimeout);
+  async planToolCall(messages, tools, options = {}) {
+    const { maxTokens, temperature, plannerPrompt } = config.tools;
+    const today = new Date();
+
+    const schema = {
+      anyOf: [
+        {
+          type: 'object',
+          properties: { tool: { type: 'string', enum: ['none'] } },
+          required: ['tool'],
+          additionalProperties: false,
+        },
+        ...tools.map(tool => ({
+          type: 'object',
+          properties: {
+            tool: { type: 'string', enum: [tool.name] },
+            arguments: tool.parameters,
+          },
+          required: ['tool', 'arguments'],
+          additionalProperties: false,
+        })),
+      ],
+    };
+
+    const systemPrompt = [
+      plannerPrompt,
+      `Today is ${today.toLocaleDateString('en-CA')} (${today.toLocaleDateString('en-US', { weekday: 'long' })}).`,
+      ['Tools:', ...tools.map(tool => `- ${tool.name}: ${tool.description} Arguments: ${JSON.stringify(tool.parameters)}`)].join('\n'),
+      this.formatToolResults(options.toolResults),
+    ].filter(Boolean).join('\n\n');
+
+    try {
+      // Planner prompt stays off the session's pinned slot, where the chat prompt is cached
+      const response = await this.generateResponse(messages, {
+        priority: options.priority,
+        signal: options.signal,
+        systemPrompt,
+        jsonSchema: schema,
+        maxTokens,
+        temperature,
       });
 
-      this.serverProcess = null;
-      this.isInitialized = false;
-      this.lastActivityTimestamp = null;
-      logger.info('LLaMA server shut down');
+      const plan = JSON.parse(response.content);
+
+      if (!plan || typeof plan.tool !== 'string' || plan.tool === 'none') {
+        return null;
+      }
+
+      return { tool: plan.tool, arguments: plan.arguments || {} };
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw error;
+      }
+
+      logger.warn('Tool planning failed, answering without tools', {
+        sessionId: options.sessionId,
+        error: error.code || error.message,
+      });
+      return null;
     }
   }
 
   /**
-   * Start idle timeout checker (runs every minute)
+   * Tool calls of the turn as a context block
+   * @param {Array} [toolResults] - Records from toolRegistry.execute()
+   * @returns {string|null}
    */
-  startIdleChecker() {
-    if (this.idleCheckInterval) {
-      return;
+  formatToolResults(toolResults) {
+    if (!toolResults || toolResults.length === 0) {
+      return null;
     }
 
-    const timeoutMs = config.onDemand.idleTimeoutMinutes * 60 * 1000;
+    const { resultsHeader, maxResultChars } = config.tools;
 
-    this.idleCheckInterval = setInterval(() => {
-      const now = Date.now();
-      const idleTime = now - (this.lastActivityTimestamp || now);
+    return [
+      resultsHeader,
+      ...toolResults.map((call) => {
+        let outcome = call.ok ? JSON.stringify(call.result) : `failed (${call.error})`;
+        if (outcome.length > maxResultChars) {
+          outcome = `${outcome.slice(0, maxResultChars)}… (truncated)`;
+        }
+        return `${call.name}(${JSON.stringify(call.arguments)}) → ${outcome}`;
+      }),
+    ].join('\n');
+  }
 
-      if (idleTime >= timeoutMs) {
-        logger.info('LLaMA server idle timeout reached, shutting down...', {
-          idleMinutes: Math.round(idleTime / 60000),
-        });
-        this.shutdown();
-      }
-    }, 60000);
+  /**
+   * System prompt for the current mode
+   * The same for every turn of a session, so the prompt cache can reuse it; what changes per
+   * turn goes into getTurnContext().
+   * @param {Object} [options] - { language } session language: adds the instruction to reply in it
+   */
+  getSystemPrompt(options = {}) {
+    const prompt = config.safetyMode ? config.systemPrompt : config.systemPromptFast;
+    const parts = [prompt];
 
-    logger.info('Idle timeout checker started', {
-      timeoutMinutes: config.onDemand.idleTimeoutMinutes,
-    });
+    if (options.language) {
+      parts.push(localeService.getPromptInstruction(options.language));
+    }
+
+    return parts.filter(Boolean).join('\n\n');
   }
 
   /**
-   * Stop idle timeout checker
+   * Context for the current turn only
+   * @param {Object} [options] - { passages, toolResults }
+   *   passages - Knowledge-base passages (knowledgeService.retrieve) to answer from, numbered as cited
+   *   toolResults - Tool calls made for this turn (toolRegistry.execute records)
+   * @returns {string|null}
    */
-  stopIdleChecker() {
-    if (this.idleCheckInterval) {
-      clearInterval(this.idleCheckInterval);
-      this.idleCheckInterval = null;
-      logger.info('Idle timeout checker stopped');
+  getTurnContext(options = {}) {
+    const parts = [];
+
+    if (options.passages && options.passages.length > 0) {
+      parts.push([
+        config.knowledge.promptHeader,
+        ...options.passages.map((passage, index) =>
+          `[${index + 1}] ${[passage.title, passage.section].filter(Boolean).join(' — ')}\n${passage.text}`),
+      ].join('\n\n'));
     }
+
+    parts.push(this.formatToolResults(options.toolResults));
+
+    const context = parts.filter(Boolean).join('\n\n');
+    return context || null;
   }
 
   /**
-   * Get server status
+   * Messages with the turn context as a system message just before the last user message
+   * Earlier turns and the system prompt stay byte-identical, so the cached prompt prefix
+   * covers everything up to the current turn.
+   */
+  withTurnContext(messages, options = {}) {
+    const context = this.getTurnContext(options);
+
+    if (!context) {
+      return messages;
+    }
+
+    const lastUser = messages.map(msg => msg.role).lastIndexOf('user');
+    const at = lastUser === -1 ? messages.length : lastUser;
+
+    return [...messages.slice(0, at), { role: 'system', content: context }, ...messages.slice(at)];
+  }
+
+  /**
+   * Strip leaked template tokens from generated text
+   */
+  cleanContent(text) {
+    const template = this.chatTemplate || chatTemplates.getTemplate('generic');
+    let cleaned = text;
+
+    for (const token of template.specialTokens) {
+      cleaned = cleaned.split(token).join('');
+    }
+
+    return cleaned.trim();
+  }
+
+  /**
+   * Format conversation messages into a prompt for the model
+   * @param {Array} messages - Conversation history
+   * @param {string} [systemPrompt] - Overrides the mode's system prompt (internal tasks like summaries)
+   */
+  formatPrompt(messages, systemPrompt) {
+    const sysPrompt = systemPrompt ?? this.getSystemPrompt();
+    const template = this.chatTemplate || chatTemplates.getTemplate('generic');
+
+    return template.format(sysPrompt, chatTemplates.normalizeMessages(messages));
+  }
+
+  /**
+   * Format conversation messages for chat-style backends (OpenAI-compatible, Ollama)
+   */
+  formatChatMessages(messages, systemPrompt) {
+    const sysPrompt = systemPrompt ?? this.getSystemPrompt();
+    const chatMessages = sysPrompt ? [{ role: 'system', content: sysPrompt }] : [];
+
+    return chatMessages.concat(chatTemplates.normalizeMessages(messages));
+  }
+
+  /**
+   * Shutdown llama.cpp server gracefully (only if this service started it)
    */
-  getStatus() {
-    const idleMinutes = this.lastActivityTimestamp 
-      ? Math.round((Date.now() - this.lastActivityTimestamp) / 60000)
-      : null;
+  async shutdown() {
+    this.pool.stopHealthChecks();
+    await this.supervisor.stop();
+    this.isInitialized = false;
+  }
 
+  /**
+   * Get server status
+   * @param {Object} options - { logLines } recent llama-server output lines to include
+   */
+  getStatus(options = {}) {
     return {
       initialized: this.isInitialized,
-      processRunning: this.serverProcess !== null,
+      processRunning: this.supervisor.process !== null,
       baseUrl: this.baseUrl,
-      onDemandEnabled: config.onDemand.enabled,
-      idleTimeoutMinutes: config.onDemand.idleTimeoutMinutes,
-      currentIdleMinutes: idleMinutes,
+      upstreams: this.pool.getStatus(),
+      backend: this.adapter.name,
+      chatTemplate: this.chatTemplate ? this.chatTemplate.name : null,
+      queue: this.queue.getStats(),
+      slots: this.slots.getStatus(),
+      supervisor: this.supervisor.getStatus(options.logLines ?? 0),
       lastActivity: this.lastActivityTimestamp 
         ? new Date(this.lastActivityTimestamp).toISOString()
         : null,
@@ -0,0 +1,347 @@
+/**
+ * LLaMA Supervisor
+ * Runs llama-server as a child process when AUTO_START_LLAMA / on-demand mode is used
+ *
+ * - Configurable binary and arguments (model-config `llamaServer`, `modelPath`)
+ * - Readiness = the health endpoint answers 200 (llama-server returns 503 while loading)
+ * - Crash restart with exponential backoff; gives up after too many consecutive crashes
+ * - Recent stdout/stderr kept in a ring buffer for the admin status endpoint
+ * - Idle shutdown when on-demand mode is enabled
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const axios = require('axios');
+const config = require('../config/model-config');
+const logger = require('../utils/logger');
+
+const READINESS_POLL_MS = 500;
+
+class LlamaSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.healthUrl - URL polled for readiness
+   */
+  constructor(options) {
+    super();
+    this.healthUrl = options.healthUrl;
+
+    this.process = null;
+    this.state = 'stopped'; // stopped | starting | ready | restarting | stopping | failed
+    this.startedAt = null;
+    this.readyAt = null;
+    this.lastExit = null;
+    this.consecutiveCrashes = 0;
+    this.totalRestarts = 0;
+    this.startPromise = null;
+    this.restartTimer = null;
+    this.lastActivityTimestamp = null;
+    this.idleCheckInterval = null;
+    this.logLines = [];
+  }
+
+  /**
+   * Command-line arguments for llama-server
+   */
+  buildArgs() {
+    const { llamaServer, generationParams } = config;
+
+    if (!config.modelPath) {
+      throw new Error('LLAMA_MODEL_PATH must be set to auto-start llama-server');
+    }
+
+    return [
+      '-m', config.modelPath,
+      '-c', generationParams.contextSize.toString(),
+      '--port', llamaServer.port.toString(),
+      '--host', llamaServer.host,
+      '-t', llamaServer.threads.toString(),
+      ...llamaServer.extraArgs,
+    ];
+  }
+
+  /**
+   * Keep the last N output lines for status reporting
+   */
+  captureOutput(stream, data) {
+    const lines = data.toString().split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+      this.logLines.push({ at: new Date().toISOString(), stream, line });
+      logger.debug('LLaMA server output', { stream, line });
+    }
+
+    const overflow = this.logLines.length - config.supervisor.logBufferLines;
+    if (overflow > 0) {
+      this.logLines.splice(0, overflow);
+    }
+  }
+
+  /**
+   * Start llama-server and resolve once it reports healthy
+   * Concurrent callers share the same start attempt.
+   */
+  start() {
+    if (this.state === 'ready') {
+      return Promise.resolve();
+    }
+
+    if (!this.startPromise) {
+      this.startPromise = this.spawnAndWait().finally(() => {
+        this.startPromise = null;
+      });
+    }
+
+    return this.startPromise;
+  }
+
+  /**
+   * Start on demand (if not running) and record activity
+   */
+  async ensureStarted() {
+    this.touch();
+    await this.start();
+  }
+
+  /**
+   * Record activity for the idle checker
+   */
+  touch() {
+    this.lastActivityTimestamp = Date.now();
+  }
+
+  async spawnAndWait() {
+    const args = this.buildArgs();
+    const serverBin = config.llamaServer.serverBin;
+
+    logger.info('Starting llama.cpp server...', {
+      serverBin,
+      modelPath: config.modelPath,
+      port: config.llamaServer.port,
+    });
+
+    this.state = 'starting';
+    this.startedAt = Date.now();
+    this.readyAt = null;
+
+    const child = spawn(serverBin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    this.process = child;
+
+    child.stdout.on('data', data => this.captureOutput('stdout', data));
+    child.stderr.on('data', data => this.captureOutput('stderr', data));
+
+    const exited = new Promise((resolve) => {
+      child.on('error', (error) => {
+        logger.error('Failed to start LLaMA server', { error: error.message });
+        resolve({ code: null, signal: null, error });
+      });
+      child.on('close', (code, signal) => resolve({ code, signal }));
+    });
+
+    exited.then(exit => this.handleExit(child, exit));
+
+    const deadline = Date.now() + config.llamaServer.startupTimeout;
+
+    while (Date.now() < deadline) {
+      if (this.process !== child) {
+        throw new Error('LLaMA server exited during startup');
+      }
+
+      if (await this.isHealthy()) {
+        this.state = 'ready';
+        this.readyAt = Date.now();
+        this.touch();
+
+        if (config.onDemand.enabled) {
+          this.startIdleChecker();
+        }
+
+        logger.info('✅ LLaMA server started successfully', {
+          pid: child.pid,
+          startupMs: this.readyAt - this.startedAt,
+        });
+        this.emit('ready');
+        return;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, READINESS_POLL_MS));
+    }
+
+    logger.error('LLaMA server failed to become ready, stopping it', {
+      timeoutMs: config.llamaServer.startupTimeout,
+    });
+    await this.stop();
+    throw new Error('LLaMA server failed to start within timeout');
+  }
+
+  async isHealthy() {
+    try {
+      const response = await axios.get(this.healthUrl, { timeout: READINESS_POLL_MS * 4 });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Process exit bookkeeping and crash restart
+   */
+  handleExit(child, exit) {
+    if (this.process !== child) {
+      return;
+    }
+
+    const wasStopping = this.state === 'stopping';
+    const uptimeMs = this.startedAt ? Date.now() - this.startedAt : 0;
+
+    this.process = null;
+    this.lastExit = {
+      code: exit.code,
+      signal: exit.signal,
+      error: exit.error ? exit.error.message : null,
+      at: new Date().toISOString(),
+      uptimeMs,
+    };
+    this.stopIdleChecker();
+    this.emit('exit', this.lastExit);
+
+    if (wasStopping) {
+      this.state = 'stopped';
+      logger.info('LLaMA server process exited', { code: exit.code, signal: exit.signal });
+      return;
+    }
+
+    logger.error('LLaMA server process exited unexpectedly', this.lastExit);
+
+    // A run that stayed up long enough resets the crash streak
+    this.consecutiveCrashes = uptimeMs >= config.supervisor.stableAfterMs ? 1 : this.consecutiveCrashes + 1;
+
+    if (!config.supervisor.restartOnCrash || this.consecutiveCrashes > config.supervisor.maxRestarts) {
+      this.state = 'failed';
+      logger.error('LLaMA server will not be restarted', { consecutiveCrashes: this.consecutiveCrashes });
+      return;
+    }
+
+    const delay = Math.min(
+      config.supervisor.restartMaxDelayMs,
+      config.supervisor.restartBaseDelayMs * 2 ** (this.consecutiveCrashes - 1)
+    );
+
+    this.state = 'restarting';
+    logger.warn('Restarting LLaMA server', { inMs: delay, attempt: this.consecutiveCrashes });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.totalRestarts++;
+      this.start().catch((error) => {
+        logger.error('LLaMA server restart failed', { error: error.message });
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop llama-server gracefully (SIGTERM, then SIGKILL after shutdownTimeout)
+   */
+  async stop() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+
+    this.stopIdleChecker();
+
+    const child = this.process;
+    if (!child) {
+      this.state = 'stopped';
+      return;
+    }
+
+    logger.info('Shutting down LLaMA server...');
+    this.state = 'stopping';
+
+    await new Promise((resolve) => {
+      const killTimer = setTimeout(() => {
+        logger.warn('LLaMA server did not exit in time, sending SIGKILL');
+        child.kill('SIGKILL');
+      }, config.llamaServer.shutdownTimeout);
+
+      child.once('close', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+
+      child.kill('SIGTERM');
+    });
+
+    this.lastActivityTimestamp = null;
+    logger.info('LLaMA server shut down');
+  }
+
+  /**
+   * Start idle timeout checker (runs every minute)
+   */
+  startIdleChecker() {
+    if (this.idleCheckInterval) {
+      return;
+    }
+
+    const timeoutMs = config.onDemand.idleTimeoutMinutes * 60 * 1000;
+
+    this.idleCheckInterval = setInterval(() => {
+      const now = Date.now();
+      const idleTime = now - (this.lastActivityTimestamp || now);
+
+      if (idleTime >= timeoutMs && this.state === 'ready') {
+        logger.info('LLaMA server idle timeout reached, shutting down...', {
+          idleMinutes: Math.round(idleTime / 60000),
+        });
+        this.stop().catch((error) => {
+          logger.error('Idle shutdown failed', { error: error.message });
+        });
+      }
+    }, 60000);
+    this.idleCheckInterval.unref();
+
+    logger.info('Idle timeout checker started', {
+      timeoutMinutes: config.onDemand.idleTimeoutMinutes,
+    });
+  }
+
+  /**
+   * Stop idle timeout checker
+   */
+  stopIdleChecker() {
+    if (this.idleCheckInterval) {
+      clearInterval(this.idleCheckInterval);
+      this.idleCheckInterval = null;
+      logger.info('Idle timeout checker stopped');
+    }
+  }
+
+  /**
+   * Process state for the admin status endpoint
+   * @param {number} logLines - How many recent output lines to include
+   */
+  getStatus(logLines = 50) {
+    const idleMinutes = this.lastActivityTimestamp
+      ? Math.round((Date.now() - this.lastActivityTimestamp) / 60000)
+      : null;
+
+    return {
+      state: this.state,
+      pid: this.process ? this.process.pid : null,
+      serverBin: config.llamaServer.serverBin,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      readyAt: this.readyAt ? new Date(this.readyAt).toISOString() : null,
+      consecutiveCrashes: this.consecutiveCrashes,
+      totalRestarts: this.totalRestarts,
+      lastExit: this.lastExit,
+      onDemandEnabled: config.onDemand.enabled,
+      idleTimeoutMinutes: config.onDemand.idleTimeoutMinutes,
+      currentIdleMinutes: idleMinutes,
+      recentLogs: logLines > 0 ? this.logLines.slice(-logLines) : [],
+    };
+  }
+}
+
+module.exports = LlamaSupervisor;
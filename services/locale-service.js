@@ -0,0 +1,242 @@
+/**
+ * Locale Service
+ * Patient languages: catalogs, language detection and the per-language safety rules
+ *
+ * Each session has a language (ai_conversations.language), either passed by the proxy when
+ * the session is created or detected from the patient's messages. It selects the greeting,
+ * the emergency / urgent / refusal / crisis texts and the reply-language instruction in the
+ * system prompt. Keyword detection does not depend on it: patients mix languages ("masakit
+ * ang chest ko"), so every message is checked against the keywords of all locales.
+ */
+
+const locales = require('../config/locales');
+const modelConfig = require('../config/model-config');
+const safetyRuleStore = require('./safety-rule-store');
+const { tokenize } = require('../utils/rule-engine');
+
+const RULE_SET_KEYS = ['emergencyRules', 'selfHarmRules', 'urgentRules', 'prohibitedRules'];
+
+if (!locales.catalogs[locales.defaultLanguage]) {
+  throw new Error(`Unknown DEFAULT_LANGUAGE "${locales.defaultLanguage}" (expected ${Object.keys(locales.catalogs).join(', ')})`);
+}
+
+/**
+ * Add a locale's rules to a rule set: phrases of known rule ids join that rule
+ */
+function mergeRuleSet(ruleSet, localeRuleSet) {
+  const rules = ruleSet.rules.map(rule => ({ ...rule, phrases: [...rule.phrases] }));
+
+  for (const localeRule of localeRuleSet.rules) {
+    const existing = rules.find(rule => rule.id === localeRule.id);
+
+    if (existing) {
+      existing.phrases.push(...localeRule.phrases);
+    } else {
+      rules.push(localeRule);
+    }
+  }
+
+  return { ...ruleSet, rules };
+}
+
+class LocaleService {
+  constructor() {
+    this.detectionWords = new Map(
+      Object.entries(locales.catalogs).map(([code, catalog]) => [code, new Set(catalog.detectionWords)])
+    );
+    // Merged rules of the safety rule store's current version
+    this.mergedRules = null;
+    this.bookingRules = null;
+  }
+
+  getDefaultLanguage() {
+    return locales.defaultLanguage;
+  }
+
+  getLanguages() {
+    return Object.keys(locales.catalogs);
+  }
+
+  /**
+   * Supported language code for a code or name from the proxy ("fil-PH", "tl", "en-US")
+   * @returns {string|null} null if the language isn't supported
+   */
+  resolve(code) {
+    if (typeof code !== 'string' || !code.trim()) {
+      return null;
+    }
+
+    const normalized = code.trim().toLowerCase().replace(/_/g, '-');
+    const candidates = [normalized, normalized.split('-')[0]];
+
+    for (const candidate of candidates) {
+      for (const [language, catalog] of Object.entries(locales.catalogs)) {
+        if (candidate === language || catalog.aliases.includes(candidate)) {
+          return language;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Catalog of a language (the default language's for unknown codes)
+   */
+  getCatalog(language) {
+    return locales.catalogs[language] || locales.catalogs[locales.defaultLanguage];
+  }
+
+  /**
+   * Detect the language of a patient message from common words
+   * @returns {{ language: string, confidence: number, words: number }|null} null when the message
+   *   is too short or too mixed to tell
+   */
+  detect(text) {
+    const counts = new Map();
+    let total = 0;
+
+    for (const token of tokenize(text)) {
+      for (const [language, words] of this.detectionWords) {
+        if (words.has(token)) {
+          counts.set(language, (counts.get(language) || 0) + 1);
+          total++;
+        }
+      }
+    }
+
+    let best = null;
+    for (const [language, words] of counts) {
+      if (!best || words > best.words) {
+        best = { language, words };
+      }
+    }
+
+    const { minWords, minConfidence } = locales.detection;
+
+    if (!best || best.words < minWords || best.words / total < minConfidence) {
+      return null;
+    }
+
+    return { language: best.language, confidence: best.words / total, words: best.words };
+  }
+
+  getGreeting(language) {
+    const { greeting } = this.getCatalog(language);
+    return modelConfig.safetyMode ? greeting.safety : greeting.general;
+  }
+
+  /**
+   * Reply-language instruction appended to the system prompt
+   */
+  getPromptInstruction(language) {
+    return this.getCatalog(language).promptInstruction;
+  }
+
+  /**
+   * A safety response text in the session's language
+   * English texts come from the safety rule store; a locale replaces the fields it defines.
+   * @param {string} language
+   * @param {string} key - emergencyResponse, urgentResponse, refusalResponse, validationFallbackResponse, crisisResponse
+   */
+  getText(language, key) {
+    const base = safetyRuleStore.get()[key];
+    const localized = this.getCatalog(language)[key];
+
+    return localized ? { ...base, ...localized } : base;
+  }
+
+  /**
+   * Safety rules with the keywords, synonyms and negation words of every locale added
+   * Recomputed when a new rule set version is published.
+   * @returns {Object} Rules object in the shape of config/safety-rules.js, plus `version`
+   */
+  getRules() {
+    const version = safetyRuleStore.getVersion();
+
+    if (this.mergedRules && this.mergedRules.version === version) {
+      return this.mergedRules;
+    }
+
+    const rules = { ...safetyRuleStore.get(), version };
+
+    for (const catalog of Object.values(locales.catalogs)) {
+      for (const key of RULE_SET_KEYS) {
+        if (catalog[key]) {
+          rules[key] = mergeRuleSet(rules[key], catalog[key]);
+        }
+      }
+
+      if (catalog.synonyms) {
+        rules.synonyms = [...rules.synonyms, ...catalog.synonyms];
+      }
+
+      if (catalog.matching) {
+        rules.matching = {
+          ...rules.matching,
+          negationCues: [...rules.matching.negationCues, ...(catalog.matching.negationCues || [])],
+          negationBridges: [...rules.matching.negationBridges, ...(catalog.matching.negationBridges || [])],
+        };
+      }
+    }
+
+    this.mergedRules = rules;
+    return rules;
+  }
+
+  /**
+   * Appointment-request matching data of every locale combined (keywords, synonyms, date words)
+   * @returns {Object} { threshold, rules, synonyms, negationBridges, dates, stopPhrases, anyDoctorPhrases, doctorTitles, nameStopWords }
+   */
+  getBookingRules() {
+    if (this.bookingRules) {
+      return this.bookingRules;
+    }
+
+    const rules = {
+      threshold: modelConfig.booking.threshold,
+      rules: [],
+      synonyms: [],
+      negationBridges: [],
+      dates: { today: [], tomorrow: [], dayAfterTomorrow: [], weekdays: [], months: [] },
+      stopPhrases: [],
+      anyDoctorPhrases: [],
+      doctorTitles: [],
+      nameStopWords: [],
+    };
+
+    for (const catalog of Object.values(locales.catalogs)) {
+      const localeRules = catalog.bookingRules;
+      if (!localeRules) continue;
+
+      rules.rules = mergeRuleSet(rules, localeRules).rules;
+
+      for (const key of ['synonyms', 'negationBridges', 'stopPhrases', 'anyDoctorPhrases', 'doctorTitles', 'nameStopWords']) {
+        rules[key].push(...(localeRules[key] || []));
+      }
+
+      for (const key of ['today', 'tomorrow', 'dayAfterTomorrow']) {
+        rules.dates[key].push(...localeRules.dates[key]);
+      }
+
+      // Per weekday / month: words of all locales
+      for (const key of ['weekdays', 'months']) {
+        localeRules.dates[key].forEach((words, index) => {
+          rules.dates[key][index] = [...(rules.dates[key][index] || []), ...words];
+        });
+      }
+    }
+
+    this.bookingRules = rules;
+    return rules;
+  }
+
+  /**
+   * Scripted texts of the appointment flow in a language
+   */
+  getBookingTexts(language) {
+    return this.getCatalog(language).booking;
+  }
+}
+
+module.exports = new LocaleService();
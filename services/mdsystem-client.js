@@ -0,0 +1,47 @@
+/**
+ * MDSystem Client
+ * HTTP calls from the assistant's tools to the MDSystem API (config `mdsystem.apiUrl`)
+ *
+ * The API base URL can point at the real MDSystem backend or at the local stub
+ * (scripts/mock-mdsystem-server.js). Requests carry MDSYSTEM_API_KEY as X-API-Key.
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+class MdSystemClient {
+  /**
+   * GET a JSON resource
+   * @param {string} path - Path under the API base URL, e.g. '/doctors'
+   * @param {Object} params - Query parameters (undefined values are left out)
+   * @param {Object} options - { signal, timeoutMs }
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} code MDSYSTEM_UNAVAILABLE (network, timeout, 5xx) or MDSYSTEM_ERROR (4xx)
+   */
+  async get(path, params = {}, options = {}) {
+    const config = require('../config/config');
+    const { apiUrl, apiKey } = config.mdsystem;
+
+    try {
+      const response = await axios.get(`${apiUrl}${path}`, {
+        params,
+        signal: options.signal,
+        timeout: options.timeoutMs,
+        headers: apiKey ? { 'X-API-Key': apiKey } : {},
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+
+      logger.warn('MDSystem request failed', { path, status, error: error.code || error.message });
+
+      const wrapped = new Error(status ? `MDSystem returned HTTP ${status}` : `MDSystem unreachable: ${error.code || error.message}`);
+      wrapped.code = status && status < 500 ? 'MDSYSTEM_ERROR' : 'MDSYSTEM_UNAVAILABLE';
+      wrapped.status = status;
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = new MdSystemClient();
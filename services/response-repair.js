@@ -0,0 +1,107 @@
+/**
+ * Response Repair Service
+ * Rewrites an AI response that failed safety validation instead of refusing outright
+ *
+ * The model is re-prompted with the rejected draft and the specific violation as a
+ * constraint. Each rewrite is validated again; after repair.maxAttempts (safety rule store)
+ * failed rewrites the caller falls back to the standard refusal.
+ */
+
+const llamaService = require('./llama-service');
+const safetyClassifier = require('./safety-classifier');
+const safetyRuleStore = require('./safety-rule-store');
+const logger = require('../utils/logger');
+
+class ResponseRepairService {
+  /**
+   * System prompt for a rewrite: the normal prompt plus the violated rules
+   * @param {string} draft - Rejected response
+   * @param {Object} verdict - validateResponse result for the draft
+   * @param {Object} [promptOptions] - { language } of the normal system prompt
+   */
+  buildRepairPrompt(draft, verdict, promptOptions = {}) {
+    const { constraints } = safetyRuleStore.get().repair;
+    const rules = [...new Set(verdict.violations.map(violation => constraints[violation] || constraints.default))];
+
+    return [
+      llamaService.getSystemPrompt(promptOptions),
+      `Your previous answer was rejected by the clinic's safety check: ${verdict.reason}.`,
+      `Rejected answer: "${draft}"`,
+      'Answer the patient\'s last message again, following these rules:',
+      ...rules.map(rule => `- ${rule}`),
+    ].join('\n\n');
+  }
+
+  /**
+   * Try to produce a valid rewrite of a rejected response
+   * @param {Array} messages - Context the draft was generated from
+   * @param {string} draft - Rejected response
+   * @param {Object} verdict - validateResponse result for the draft
+   * @param {Object} options - { sessionId, priority, signal, language, passages, toolResults }
+   * @returns {Promise<{ content: string|null, attempts: Array }>} content is null if every rewrite failed
+   */
+  async repair(messages, draft, verdict, options = {}) {
+    const attempts = [{
+      attempt: 0,
+      content: draft,
+      verdict: { isValid: false, violations: verdict.violations, reason: verdict.reason },
+    }];
+
+    let current = { draft, verdict };
+    const { maxAttempts } = safetyRuleStore.get().repair;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let response;
+
+      try {
+        // Without sessionId, so the rewrite prompt doesn't evict the chat prompt from the session's slot
+        response = await llamaService.generateResponse(messages, {
+          priority: options.priority,
+          signal: options.signal,
+          systemPrompt: this.buildRepairPrompt(current.draft, current.verdict, { language: options.language }),
+          // Same turn context as the rejected answer
+          passages: options.passages,
+          toolResults: options.toolResults,
+        });
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw error;
+        }
+
+        // The refusal is still a safe answer — don't fail the patient's turn over a rewrite
+        logger.warn('Repair attempt failed', { sessionId: options.sessionId, attempt, error: error.message });
+        attempts.push({ attempt, content: null, verdict: null, error: error.code || error.message });
+        break;
+      }
+
+      const rewriteVerdict = await safetyClassifier.validateResponse(response.content, options);
+
+      attempts.push({
+        attempt,
+        content: response.content,
+        verdict: {
+          isValid: rewriteVerdict.isValid,
+          violations: rewriteVerdict.violations,
+          reason: rewriteVerdict.reason,
+        },
+        duration: response.duration,
+      });
+
+      if (rewriteVerdict.isValid) {
+        logger.info('Rejected AI response repaired', { sessionId: options.sessionId, attempt });
+        return { content: response.content, attempts };
+      }
+
+      current = { draft: response.content, verdict: rewriteVerdict };
+    }
+
+    logger.warn('AI response could not be repaired, falling back to refusal', {
+      sessionId: options.sessionId,
+      attempts: attempts.length - 1,
+    });
+
+    return { content: null, attempts };
+  }
+}
+
+module.exports = new ResponseRepairService();
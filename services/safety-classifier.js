@@ -0,0 +1,266 @@
+/**
+ * Safety Classifier
+ * Optional LLM-as-judge second pass next to the keyword rules
+ *
+ * The local model labels patient messages (emergency, urgent, self-harm, prohibited, normal)
+ * and reviews assistant drafts (safe / unsafe) with output constrained to a JSON schema.
+ * Its verdict is combined with detectSelfHarm / detectEmergency / detectProhibitedTopic /
+ * validateResponse according to safetyClassifier.policy. If the classifier fails, the rule
+ * result stands.
+ */
+
+const llamaService = require('./llama-service');
+const { validateResponse } = require('../middleware/emergency-detector');
+const modelConfig = require('../config/model-config');
+const localeService = require('./locale-service');
+const logger = require('../utils/logger');
+
+const POLICIES = ['any-flag', 'both-flag', 'classifier-only'];
+
+const MESSAGE_LABELS = ['normal', 'urgent', 'emergency', 'self-harm', 'prohibited'];
+
+// Benign values first: grammar-constrained samplers and the mock server favor the first option
+const MESSAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    label: { type: 'string', enum: MESSAGE_LABELS },
+    reason: { type: 'string' },
+  },
+  required: ['label', 'reason'],
+  additionalProperties: false,
+};
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string', enum: ['safe', 'unsafe'] },
+    reason: { type: 'string' },
+  },
+  required: ['verdict', 'reason'],
+  additionalProperties: false,
+};
+
+const NO_SELF_HARM = {
+  isSelfHarm: false,
+  matchedKeywords: [],
+  matchedRules: [],
+  score: 0,
+};
+
+const NO_EMERGENCY = {
+  isEmergency: false,
+  isUrgent: false,
+  priority: 'normal',
+  matchedKeywords: [],
+  matchedRules: [],
+  score: 0,
+  response: null,
+};
+
+const NO_PROHIBITED = {
+  isProhibited: false,
+  matchedTopics: [],
+  matchedRules: [],
+  response: null,
+};
+
+/**
+ * Combine a rule flag with a classifier flag under a policy
+ * @param {boolean} ruleFlag
+ * @param {boolean|null} classifierFlag - null if the classifier gave no answer
+ */
+function combine(policy, ruleFlag, classifierFlag) {
+  if (classifierFlag === null) {
+    return ruleFlag;
+  }
+
+  switch (policy) {
+    case 'both-flag':
+      return ruleFlag && classifierFlag;
+    case 'classifier-only':
+      return classifierFlag;
+    default:
+      return ruleFlag || classifierFlag;
+  }
+}
+
+class SafetyClassifier {
+  constructor() {
+    this.policy = modelConfig.safetyClassifier.policy;
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown SAFETY_CLASSIFIER_POLICY "${this.policy}" (expected ${POLICIES.join(', ')})`);
+    }
+  }
+
+  isEnabled() {
+    return modelConfig.safetyClassifier.enabled;
+  }
+
+  /**
+   * Run the model with a JSON schema and parse its answer
+   * @returns {Promise<Object|null>} Parsed JSON, or null if the call or parsing failed
+   */
+  async classify(text, systemPrompt, schema, options = {}) {
+    const { maxTokens, temperature } = modelConfig.safetyClassifier;
+
+    try {
+      // Not pinned to the session's slot: the classifier prompt would replace the chat prompt cached there
+      const response = await llamaService.generateResponse([{ role: 'user', content: text }], {
+        priority: options.priority,
+        signal: options.signal,
+        systemPrompt,
+        jsonSchema: schema,
+        maxTokens,
+        temperature,
+      });
+
+      return JSON.parse(response.content);
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw error;
+      }
+
+      logger.warn('Safety classifier failed, using rule result', {
+        sessionId: options.sessionId,
+        error: error.code || error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Label a patient message
+   * @returns {Promise<{ label: string, reason: string }|null>}
+   */
+  async classifyMessage(message, options = {}) {
+    const result = await this.classify(message, modelConfig.safetyClassifier.messagePrompt, MESSAGE_SCHEMA, options);
+
+    if (!result || !MESSAGE_LABELS.includes(result.label)) {
+      return null;
+    }
+
+    return { label: result.label, reason: String(result.reason || '') };
+  }
+
+  /**
+   * Review an assistant draft
+   * @returns {Promise<{ verdict: 'safe'|'unsafe', reason: string }|null>}
+   */
+  async classifyResponse(draft, options = {}) {
+    const result = await this.classify(draft, modelConfig.safetyClassifier.responsePrompt, RESPONSE_SCHEMA, options);
+
+    if (!result || !['safe', 'unsafe'].includes(result.verdict)) {
+      return null;
+    }
+
+    return { verdict: result.verdict, reason: String(result.reason || '') };
+  }
+
+  /**
+   * Combine the keyword detection for a patient message with the classifier's label
+   * @param {string} message - Patient message
+   * @param {Object} rules - { selfHarmDetection, emergencyDetection, prohibitedDetection } from the keyword rules
+   * @param {Object} options - { sessionId, priority, signal, language }
+   * @returns {Promise<{ selfHarmDetection, emergencyDetection, prohibitedDetection, classification }>}
+   */
+  async reviewMessage(message, rules, options = {}) {
+    const { selfHarmDetection, emergencyDetection, prohibitedDetection } = rules;
+
+    // No policy lets the classifier lift a self-harm verdict, which overrides everything else
+    if (!this.isEnabled() || selfHarmDetection.isSelfHarm) {
+      return { selfHarmDetection, emergencyDetection, prohibitedDetection, classification: null };
+    }
+
+    const classification = await this.classifyMessage(message, options);
+    const label = classification ? classification.label : null;
+    const flag = value => (label === null ? null : label === value);
+
+    // Self-harm: the classifier can only add a flag the rules missed
+    const isSelfHarm = flag('self-harm') === true;
+    const isEmergency = combine(this.policy, emergencyDetection.isEmergency, flag('emergency'));
+    const isUrgent = !isEmergency && combine(this.policy, emergencyDetection.isUrgent, flag('urgent'));
+    const isProhibited = combine(this.policy, prohibitedDetection.isProhibited, flag('prohibited'));
+
+    let combinedSelfHarm = selfHarmDetection;
+    if (isSelfHarm !== selfHarmDetection.isSelfHarm) {
+      combinedSelfHarm = { ...NO_SELF_HARM, ...selfHarmDetection, isSelfHarm, source: 'classifier' };
+    }
+
+    let combinedEmergency = emergencyDetection;
+    if (isEmergency !== emergencyDetection.isEmergency || isUrgent !== emergencyDetection.isUrgent) {
+      combinedEmergency = isEmergency
+        ? { ...NO_EMERGENCY, isEmergency: true, priority: 'emergency', response: localeService.getText(options.language, 'emergencyResponse') }
+        : isUrgent
+          ? { ...NO_EMERGENCY, isUrgent: true, priority: 'urgent', response: localeService.getText(options.language, 'urgentResponse') }
+          : { ...NO_EMERGENCY };
+      combinedEmergency.matchedKeywords = emergencyDetection.matchedKeywords;
+      combinedEmergency.matchedRules = emergencyDetection.matchedRules;
+      combinedEmergency.source = 'classifier';
+    }
+
+    let combinedProhibited = prohibitedDetection;
+    if (isProhibited !== prohibitedDetection.isProhibited) {
+      combinedProhibited = isProhibited
+        ? { ...NO_PROHIBITED, isProhibited: true, response: localeService.getText(options.language, 'refusalResponse') }
+        : { ...NO_PROHIBITED };
+      combinedProhibited.matchedTopics = prohibitedDetection.matchedTopics;
+      combinedProhibited.matchedRules = prohibitedDetection.matchedRules;
+      combinedProhibited.source = 'classifier';
+    }
+
+    if (combinedSelfHarm !== selfHarmDetection || combinedEmergency !== emergencyDetection ||
+      combinedProhibited !== prohibitedDetection) {
+      logger.info('Safety classifier changed message detection', {
+        sessionId: options.sessionId,
+        policy: this.policy,
+        label,
+        selfHarm: isSelfHarm,
+        rulePriority: emergencyDetection.priority,
+        priority: combinedEmergency.priority,
+        prohibited: isProhibited,
+      });
+    }
+
+    return {
+      selfHarmDetection: combinedSelfHarm,
+      emergencyDetection: combinedEmergency,
+      prohibitedDetection: combinedProhibited,
+      classification: classification && { ...classification, policy: this.policy },
+    };
+  }
+
+  /**
+   * validateResponse combined with the classifier's review of the draft
+   * @returns {Promise<Object>} validateResponse-shaped result plus `classification`
+   */
+  async validateResponse(response, options = {}) {
+    const validation = validateResponse(response);
+
+    if (!this.isEnabled()) {
+      return { ...validation, classification: null };
+    }
+
+    const review = await this.classifyResponse(response, options);
+    const classifierUnsafe = review ? review.verdict === 'unsafe' : null;
+    const isValid = !combine(this.policy, !validation.isValid, classifierUnsafe);
+    const classification = review && { ...review, policy: this.policy };
+
+    if (isValid) {
+      return { isValid: true, violations: [], reason: null, classification };
+    }
+
+    if (!validation.isValid && (this.policy !== 'classifier-only' || classifierUnsafe === null)) {
+      return { ...validation, classification };
+    }
+
+    return {
+      isValid: false,
+      violations: ['unsafe content'],
+      reason: `Safety review: ${review.reason}`,
+      classification,
+    };
+  }
+}
+
+module.exports = new SafetyClassifier();
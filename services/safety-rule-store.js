@@ -0,0 +1,399 @@
+/**
+ * Safety Rule Store
+ * Versioned, hot-reloadable safety rules kept in Postgres (ai_safety_rule_sets)
+ *
+ * config/safety-rules.js holds the built-in defaults (version 0). Admins publish new versions
+ * of the managed keys (keywords, urgent terms, prohibited topics, restricted actions,
+ * response repair, response texts) through /api/admin/safety-rules; every instance polls for the active
+ * version and swaps it in without a restart. Publishing stores a complete snapshot of the
+ * managed keys, and a rollback republishes an older snapshot as a new version, so the
+ * history only ever grows.
+ *
+ * Consumers read rules through get() at call time instead of requiring the config module.
+ * The database is only required when used, so scripts that evaluate rules offline don't
+ * open a connection pool.
+ */
+
+const EventEmitter = require('events');
+const safetyRules = require('../config/safety-rules');
+const { compileRuleSet } = require('../utils/rule-engine');
+const logger = require('../utils/logger');
+
+const RULE_SET_KEYS = ['emergencyRules', 'selfHarmRules', 'urgentRules', 'prohibitedRules'];
+const RESPONSE_KEYS = ['emergencyResponse', 'urgentResponse', 'refusalResponse', 'validationFallbackResponse', 'crisisResponse'];
+const MANAGED_KEYS = [...RULE_SET_KEYS, 'synonyms', 'restrictedActions', 'repair', ...RESPONSE_KEYS];
+
+const DEFAULT_VERSION = 0;
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_RULE_SET';
+  return error;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+/**
+ * Managed keys of a rules object
+ */
+function pickManaged(rules) {
+  const managed = {};
+  for (const key of MANAGED_KEYS) {
+    if (rules[key] !== undefined) {
+      managed[key] = rules[key];
+    }
+  }
+  return managed;
+}
+
+/**
+ * Check a complete managed snapshot before it is published
+ * @throws {Error} code INVALID_RULE_SET
+ */
+function validateRules(rules) {
+  for (const key of Object.keys(rules)) {
+    if (!MANAGED_KEYS.includes(key)) {
+      throw invalid(`"${key}" is not a managed safety rule key`);
+    }
+  }
+
+  for (const key of RULE_SET_KEYS) {
+    const ruleSet = rules[key];
+
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+      throw invalid(`${key}.rules must be an array`);
+    }
+
+    const ids = new Set();
+    for (const rule of ruleSet.rules) {
+      if (!rule || typeof rule.id !== 'string' || ids.has(rule.id)) {
+        throw invalid(`${key}: every rule needs a unique string id`);
+      }
+      if (!isStringArray(rule.phrases) || rule.phrases.length === 0) {
+        throw invalid(`${key}.${rule.id}: phrases must be a non-empty array of strings`);
+      }
+      if (rule.weight !== undefined && !(typeof rule.weight === 'number' && rule.weight > 0)) {
+        throw invalid(`${key}.${rule.id}: weight must be a positive number`);
+      }
+      ids.add(rule.id);
+    }
+
+    if (ruleSet.threshold !== undefined && !(typeof ruleSet.threshold === 'number' && ruleSet.threshold > 0)) {
+      throw invalid(`${key}.threshold must be a positive number`);
+    }
+  }
+
+  if (!Array.isArray(rules.synonyms) || !rules.synonyms.every(group => isStringArray(group) && group.length >= 2)) {
+    throw invalid('synonyms must be an array of groups with at least two strings');
+  }
+
+  if (!isStringArray(rules.restrictedActions)) {
+    throw invalid('restrictedActions must be an array of strings');
+  }
+
+  const { repair } = rules;
+  if (!repair || !Number.isInteger(repair.maxAttempts) || repair.maxAttempts < 0) {
+    throw invalid('repair.maxAttempts must be a non-negative integer');
+  }
+  if (!repair.constraints || typeof repair.constraints.default !== 'string' ||
+    !Object.values(repair.constraints).every(constraint => typeof constraint === 'string' && constraint.trim())) {
+    throw invalid('repair.constraints must map violations to strings, with a default');
+  }
+
+  for (const key of RESPONSE_KEYS) {
+    if (!rules[key] || typeof rules[key].message !== 'string' || !rules[key].message.trim()) {
+      throw invalid(`${key}.message must be a non-empty string`);
+    }
+  }
+
+  const crisis = rules.crisisResponse;
+  if (!isStringArray(crisis.replies) || crisis.replies.length === 0 ||
+    !isStringArray(crisis.checkIns) || crisis.checkIns.length === 0) {
+    throw invalid('crisisResponse.replies and crisisResponse.checkIns must be non-empty arrays of strings');
+  }
+  if (!crisis.hotlines || !Array.isArray(crisis.hotlines.default)) {
+    throw invalid('crisisResponse.hotlines.default must be an array');
+  }
+
+  // Anything the rule engine can't compile fails here rather than in a running instance
+  for (const key of RULE_SET_KEYS) {
+    compileRuleSet(rules[key], { synonyms: rules.synonyms, matching: safetyRules.matching });
+  }
+}
+
+/**
+ * What changed between two managed snapshots
+ * @returns {Object} key → change; rule sets list added / removed / changed rule ids
+ */
+function diffRules(from, to) {
+  const changes = {};
+
+  for (const key of MANAGED_KEYS) {
+    const before = from[key];
+    const after = to[key];
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      continue;
+    }
+
+    if (RULE_SET_KEYS.includes(key)) {
+      const beforeRules = new Map(before.rules.map(rule => [rule.id, rule]));
+      const afterRules = new Map(after.rules.map(rule => [rule.id, rule]));
+
+      changes[key] = {
+        added: [...afterRules.keys()].filter(id => !beforeRules.has(id)),
+        removed: [...beforeRules.keys()].filter(id => !afterRules.has(id)),
+        changed: [...afterRules.keys()].filter(id =>
+          beforeRules.has(id) && JSON.stringify(beforeRules.get(id)) !== JSON.stringify(afterRules.get(id))
+        ),
+      };
+
+      if ((before.threshold ?? 1) !== (after.threshold ?? 1)) {
+        changes[key].threshold = { from: before.threshold ?? 1, to: after.threshold ?? 1 };
+      }
+    } else if (key === 'restrictedActions') {
+      changes[key] = {
+        added: after.filter(item => !before.includes(item)),
+        removed: before.filter(item => !after.includes(item)),
+      };
+    } else {
+      changes[key] = { from: before, to: after };
+    }
+  }
+
+  return changes;
+}
+
+class SafetyRuleStore extends EventEmitter {
+  constructor() {
+    super();
+    this.rules = safetyRules;
+    this.version = DEFAULT_VERSION;
+    // Invalid active version already reported (checked again only once it changes)
+    this.rejectedVersion = null;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Current rules: the config module with the active published version applied
+   */
+  get() {
+    return this.rules;
+  }
+
+  getVersion() {
+    return this.version;
+  }
+
+  /**
+   * Load the active version and start polling for new ones
+   * A database failure keeps the built-in defaults; the next poll tries again.
+   */
+  async initialize() {
+    const config = require('../config/config');
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.warn('⚠️ Could not load safety rules from the database, using built-in rules', { error: error.message });
+    }
+
+    const { pollIntervalMs } = config.safetyRuleSets;
+    if (pollIntervalMs > 0 && !this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        this.refresh().catch(error => {
+          logger.warn('Safety rule poll failed', { error: error.message });
+        });
+      }, pollIntervalMs);
+      this.pollTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Swap in the active version if it changed
+   */
+  async refresh() {
+    const db = require('../config/db');
+
+    const result = await db.query(
+      `SELECT version, rules FROM ai_safety_rule_sets
+       WHERE status = 'active'
+       ORDER BY version DESC
+       LIMIT 1`
+    );
+
+    const row = result.rows[0];
+    const version = row ? row.version : DEFAULT_VERSION;
+
+    if (version === this.version || version === this.rejectedVersion) {
+      return;
+    }
+
+    const rules = row ? { ...safetyRules, ...pickManaged(row.rules) } : safetyRules;
+
+    try {
+      validateRules(pickManaged(rules));
+    } catch (error) {
+      logger.error('Active safety rule set is invalid, keeping the current one', {
+        version,
+        currentVersion: this.version,
+        error: error.message,
+      });
+      this.rejectedVersion = version;
+      return;
+    }
+
+    const previousVersion = this.version;
+    this.rules = rules;
+    this.version = version;
+
+    logger.info('🔄 Safety rules updated', { version, previousVersion });
+    this.emit('change', version);
+  }
+
+  /**
+   * All published versions, newest first (without the rule contents)
+   */
+  async list() {
+    const db = require('../config/db');
+
+    const result = await db.query(
+      `SELECT version, status, notes, created_by, rolled_back_from, created_at
+       FROM ai_safety_rule_sets
+       ORDER BY version DESC`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Managed snapshot of a version (0 = built-in defaults)
+   * @returns {Promise<Object|null>} null if the version doesn't exist
+   */
+  async getRules(version) {
+    if (version === DEFAULT_VERSION) {
+      return pickManaged(safetyRules);
+    }
+
+    const db = require('../config/db');
+    const result = await db.query('SELECT rules FROM ai_safety_rule_sets WHERE version = $1', [version]);
+
+    // Keys added to the config after a version was published fall back to the defaults
+    return result.rows[0] ? pickManaged({ ...safetyRules, ...result.rows[0].rules }) : null;
+  }
+
+  /**
+   * Diff two versions
+   * @returns {Promise<Object|null>} null if either version doesn't exist
+   */
+  async diff(fromVersion, toVersion) {
+    const [from, to] = await Promise.all([this.getRules(fromVersion), this.getRules(toVersion)]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    return diffRules(from, to);
+  }
+
+  /**
+   * Publish a new version: the active version with `changes` applied
+   * The active version is read inside the publishing transaction, with the table locked against
+   * other publishes, so a publish never builds on an outdated copy and undoes a newer version.
+   * @param {Object} changes - Managed keys to replace
+   * @param {Object} options - { staffId, notes, rolledBackFrom }
+   * @returns {Promise<Object>} The new ai_safety_rule_sets row (without rules)
+   * @throws {Error} code INVALID_RULE_SET
+   */
+  async publish(changes, options = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw invalid('rules must be an object');
+    }
+
+    for (const key of Object.keys(changes)) {
+      if (!MANAGED_KEYS.includes(key)) {
+        throw invalid(`"${key}" is not a managed safety rule key`);
+      }
+    }
+
+    const db = require('../config/db');
+    const client = await db.connect();
+    let current;
+    let rules;
+    let row;
+
+    try {
+      await client.query('BEGIN');
+      // Reads stay possible; a second publish waits until this one is committed
+      await client.query('LOCK TABLE ai_safety_rule_sets IN EXCLUSIVE MODE');
+
+      const active = await client.query(
+        `SELECT rules FROM ai_safety_rule_sets
+         WHERE status = 'active'
+         ORDER BY version DESC
+         LIMIT 1`
+      );
+
+      current = pickManaged(active.rows[0] ? { ...safetyRules, ...active.rows[0].rules } : safetyRules);
+      rules = { ...current, ...changes };
+      validateRules(rules);
+
+      const result = await client.query(
+        `WITH superseded AS (
+           UPDATE ai_safety_rule_sets SET status = 'superseded' WHERE status = 'active'
+         )
+         INSERT INTO ai_safety_rule_sets (version, rules, status, notes, created_by, rolled_back_from, created_at)
+         SELECT COALESCE(MAX(version), 0) + 1, $1, 'active', $2, $3, $4, NOW()
+         FROM ai_safety_rule_sets
+         RETURNING version, status, notes, created_by, rolled_back_from, created_at`,
+        [JSON.stringify(rules), options.notes || null, options.staffId || null, options.rolledBackFrom ?? null]
+      );
+
+      await client.query('COMMIT');
+      row = result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Safety rule set published', {
+      version: row.version,
+      staffId: options.staffId,
+      rolledBackFrom: row.rolled_back_from,
+      changes: Object.keys(diffRules(current, rules)),
+    });
+
+    await this.refresh();
+
+    return row;
+  }
+
+  /**
+   * Republish an older version as the new active version
+   * @returns {Promise<Object|null>} The new row, or null if the version doesn't exist
+   */
+  async rollback(version, options = {}) {
+    const rules = await this.getRules(version);
+
+    if (!rules) {
+      return null;
+    }
+
+    return this.publish(rules, {
+      ...options,
+      notes: options.notes || `Rollback to version ${version}`,
+      rolledBackFrom: version,
+    });
+  }
+}
+
+module.exports = new SafetyRuleStore();
@@ -0,0 +1,99 @@
+/**
+ * Slot Allocator
+ * Pins each session to one llama-server slot so its prompt cache is reused between turns
+ *
+ * llama.cpp keeps the KV cache of the last prompt per slot. Sending the same session
+ * to the same slot (id_slot) with cache_prompt lets the server skip re-evaluating the
+ * unchanged prefix of the conversation.
+ */
+
+// Assignments kept per upstream before the least-recently-used ones are forgotten
+const MAX_ASSIGNMENTS_PER_UPSTREAM = 5000;
+
+class SlotAllocator {
+  constructor() {
+    // upstreamUrl → { totalSlots, assignments: Map<sessionId, { slot, lastUsed }> }
+    this.upstreams = new Map();
+  }
+
+  /**
+   * Record how many slots an upstream has (from /props total_slots)
+   */
+  setSlotCount(upstreamUrl, totalSlots) {
+    const entry = this.getEntry(upstreamUrl);
+    entry.totalSlots = Math.max(1, totalSlots || 1);
+  }
+
+  /**
+   * Whether the slot count for an upstream is known yet
+   */
+  hasSlotCount(upstreamUrl) {
+    return this.upstreams.has(upstreamUrl) && this.upstreams.get(upstreamUrl).totalSlots !== null;
+  }
+
+  getEntry(upstreamUrl) {
+    if (!this.upstreams.has(upstreamUrl)) {
+      this.upstreams.set(upstreamUrl, { totalSlots: null, assignments: new Map() });
+    }
+    return this.upstreams.get(upstreamUrl);
+  }
+
+  /**
+   * Get (or choose) the slot for a session on an upstream
+   * New sessions get the slot with the fewest pinned sessions.
+   * @returns {number} Slot id
+   */
+  assign(upstreamUrl, sessionId) {
+    const entry = this.getEntry(upstreamUrl);
+    const totalSlots = entry.totalSlots || 1;
+    const existing = entry.assignments.get(sessionId);
+
+    if (existing && existing.slot < totalSlots) {
+      existing.lastUsed = Date.now();
+      // Re-insert to keep Map order = least recently used first
+      entry.assignments.delete(sessionId);
+      entry.assignments.set(sessionId, existing);
+      return existing.slot;
+    }
+
+    const load = new Array(totalSlots).fill(0);
+    for (const assignment of entry.assignments.values()) {
+      if (assignment.slot < totalSlots) {
+        load[assignment.slot]++;
+      }
+    }
+
+    const slot = load.indexOf(Math.min(...load));
+
+    if (entry.assignments.size >= MAX_ASSIGNMENTS_PER_UPSTREAM) {
+      entry.assignments.delete(entry.assignments.keys().next().value);
+    }
+    entry.assignments.set(sessionId, { slot, lastUsed: Date.now() });
+
+    return slot;
+  }
+
+  /**
+   * Forget a session's slot (e.g. when the conversation is closed)
+   */
+  release(sessionId) {
+    for (const entry of this.upstreams.values()) {
+      entry.assignments.delete(sessionId);
+    }
+  }
+
+  /**
+   * Snapshot for status endpoints
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [url, entry] of this.upstreams) {
+      status[url] = { totalSlots: entry.totalSlots, pinnedSessions: entry.assignments.size };
+    }
+
+    return status;
+  }
+}
+
+module.exports = SlotAllocator;
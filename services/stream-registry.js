@@ -0,0 +1,47 @@
+/**
+ * Stream Registry
+ * Keeps each session's latest SSE stream so a reconnecting client can resume it
+ *
+ * Streams stay registered while generating and for streaming.resumeGraceMs after they end,
+ * so a client that dropped just before `done` can still collect the tail of the answer.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class StreamRegistry {
+  constructor() {
+    // sessionId → SseStream
+    this.streams = new Map();
+  }
+
+  /**
+   * Register a session's new stream, replacing any previous one
+   */
+  register(sessionId, stream) {
+    this.streams.set(sessionId, stream);
+
+    stream.once('end', () => {
+      const timer = setTimeout(() => {
+        if (this.streams.get(sessionId) === stream) {
+          this.streams.delete(sessionId);
+        }
+      }, config.streaming.resumeGraceMs);
+      timer.unref();
+    });
+
+    stream.on('detached', () => {
+      logger.info('Stream client disconnected, waiting for resume', {
+        sessionId,
+        streamId: stream.id,
+        graceMs: stream.graceMs,
+      });
+    });
+  }
+
+  get(sessionId) {
+    return this.streams.get(sessionId) || null;
+  }
+}
+
+module.exports = new StreamRegistry();
@@ -0,0 +1,99 @@
+/**
+ * Summary Service
+ * Background rolling summaries of turns that have fallen out of the context window
+ *
+ * The context builder reports which turns it had to drop; once enough have
+ * accumulated, the model condenses them (together with the previous summary)
+ * into a short clinical-neutral note stored on ai_conversations.
+ */
+
+const conversationService = require('./conversation-service');
+const llamaService = require('./llama-service');
+const modelConfig = require('../config/model-config');
+const logger = require('../utils/logger');
+
+const ROLE_LABELS = {
+  user: 'Patient',
+  assistant: 'Assistant',
+  staff: 'Clinic staff',
+};
+
+class SummaryService {
+  constructor() {
+    // Sessions with a summary currently being generated
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Queue a summary refresh if enough turns were dropped from context
+   * Never blocks the caller; failures are logged and retried on a later turn.
+   * @param {string} sessionId - Session UUID
+   * @param {Array} dropped - Turns the context builder could not fit (oldest first)
+   */
+  scheduleSummary(sessionId, dropped) {
+    if (!modelConfig.summary.enabled || this.inFlight.has(sessionId)) {
+      return;
+    }
+
+    const turns = dropped.filter(msg => !msg.isSummary && ROLE_LABELS[msg.role]);
+
+    if (turns.length < modelConfig.summary.minDroppedMessages) {
+      return;
+    }
+
+    this.inFlight.add(sessionId);
+
+    setImmediate(() => {
+      this.summarize(sessionId, turns)
+        .catch(error => {
+          logger.warn('Conversation summary failed', { sessionId, error: error.message });
+        })
+        .finally(() => {
+          this.inFlight.delete(sessionId);
+        });
+    });
+  }
+
+  /**
+   * Summarize dropped turns into the conversation's rolling summary
+   */
+  async summarize(sessionId, turns) {
+    const conversation = await conversationService.getConversation(sessionId);
+
+    if (!conversation) {
+      return null;
+    }
+
+    const transcript = turns
+      .map(msg => `${ROLE_LABELS[msg.role]}: ${msg.content}`)
+      .join('\n');
+
+    const content = conversation.summary
+      ? `Previous summary:\n${conversation.summary}\n\nLater messages:\n${transcript}`
+      : `Conversation:\n${transcript}`;
+
+    const result = await llamaService.generateResponse(
+      [{ role: 'user', content }],
+      {
+        systemPrompt: modelConfig.summary.prompt,
+        maxTokens: modelConfig.summary.maxTokens,
+        temperature: modelConfig.summary.temperature,
+        priority: 'background',
+      }
+    );
+
+    const throughMessageId = turns[turns.length - 1].id;
+    const updated = await conversationService.updateSummary(sessionId, result.content, throughMessageId);
+
+    logger.info('Conversation summary updated', {
+      sessionId,
+      summarizedMessages: turns.length,
+      throughMessageId,
+      applied: updated,
+    });
+
+    return result.content;
+  }
+}
+
+module.exports = new SummaryService();
@@ -0,0 +1,42 @@
+/**
+ * Doctor Tools
+ * Read-only MDSystem lookups: the clinic's doctors and their open appointment slots
+ */
+
+const mdsystemClient = require('../mdsystem-client');
+
+module.exports = [
+  {
+    name: 'list_doctors',
+    label: 'Checking our doctors…',
+    description: 'List the clinic\'s doctors with their specialties and clinic days. Optionally only one specialty.',
+    parameters: {
+      type: 'object',
+      properties: {
+        specialty: { type: 'string', minLength: 2, maxLength: 60 },
+      },
+      additionalProperties: false,
+    },
+    handler: (args, context) => mdsystemClient.get('/doctors', { specialty: args.specialty }, context),
+  },
+  {
+    name: 'get_doctor_availability',
+    label: 'Checking schedule…',
+    description: 'Open appointment slots of one doctor, by name, from a date (YYYY-MM-DD, default today) for a number of days (default 7).',
+    parameters: {
+      type: 'object',
+      properties: {
+        doctor: { type: 'string', minLength: 2, maxLength: 80 },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        days: { type: 'integer', minimum: 1, maximum: 14 },
+      },
+      required: ['doctor'],
+      additionalProperties: false,
+    },
+    handler: (args, context) => mdsystemClient.get('/doctors/availability', {
+      doctor: args.doctor,
+      date: args.date,
+      days: args.days,
+    }, context),
+  },
+];
@@ -0,0 +1,150 @@
+/**
+ * Tool Registry
+ * Server-side tools the assistant can call before answering
+ *
+ * A tool is { name, label, description, parameters, timeoutMs?, handler }:
+ * - parameters: JSON schema of the arguments (an object); the model's arguments are
+ *   constrained to it and checked again before the handler runs
+ * - label: short status text for the UI ("Checking schedule…"), sent in `tool` SSE events
+ * - timeoutMs: per-call limit, default tools.defaultTimeoutMs
+ * - handler(args, { signal, timeoutMs, sessionId }): returns the JSON result
+ *
+ * In safety mode only the tools in tools.safetyModeAllowlist are offered to the model.
+ */
+
+const modelConfig = require('../../config/model-config');
+const { validate } = require('../../utils/json-schema');
+const logger = require('../../utils/logger');
+const doctorTools = require('./doctor-tools');
+
+const BUILT_IN_TOOLS = [...doctorTools];
+
+function toolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+
+    for (const tool of BUILT_IN_TOOLS) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Add a tool
+   * @throws {Error} if the definition is incomplete or the name is taken
+   */
+  register(tool) {
+    if (!tool || !/^[a-z][a-z0-9_]*$/.test(tool.name || '')) {
+      throw new Error('Tool name must be lowercase letters, digits and underscores');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+    if (typeof tool.description !== 'string' || typeof tool.handler !== 'function') {
+      throw new Error(`Tool "${tool.name}" needs a description and a handler`);
+    }
+    if (!tool.parameters || tool.parameters.type !== 'object') {
+      throw new Error(`Tool "${tool.name}" parameters must be an object schema`);
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Tools available in a mode
+   * @param {Object} options - { safetyMode }
+   */
+  list(options = {}) {
+    const tools = [...this.tools.values()];
+
+    if (!options.safetyMode) {
+      return tools;
+    }
+
+    return tools.filter(tool => modelConfig.tools.safetyModeAllowlist.includes(tool.name));
+  }
+
+  /**
+   * Run a tool call
+   * Failures are part of the record (the model is told the lookup failed) — only a
+   * cancelled request throws.
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments from the model
+   * @param {Object} options - { safetyMode, signal, sessionId }
+   * @returns {Promise<Object>} { name, arguments, ok, result | error, durationMs }
+   */
+  async execute(name, args, options = {}) {
+    const startedAt = Date.now();
+    const record = { name, arguments: args, ok: false };
+
+    try {
+      const tool = this.get(name);
+
+      if (!tool) {
+        throw toolError('UNKNOWN_TOOL', `Unknown tool "${name}"`);
+      }
+      if (!this.list({ safetyMode: options.safetyMode }).includes(tool)) {
+        throw toolError('TOOL_NOT_ALLOWED', `Tool "${name}" is not allowed in safety mode`);
+      }
+
+      const problems = validate(tool.parameters, args);
+      if (problems.length > 0) {
+        throw toolError('INVALID_ARGUMENTS', problems.join('; '));
+      }
+
+      record.result = await this.runWithTimeout(tool, args, options);
+      record.ok = true;
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw error;
+      }
+
+      logger.warn('Tool call failed', { sessionId: options.sessionId, tool: name, error: error.message });
+      record.error = error.code || 'TOOL_FAILED';
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    return record;
+  }
+
+  async runWithTimeout(tool, args, options) {
+    const timeoutMs = tool.timeoutMs || modelConfig.tools.defaultTimeoutMs;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timer;
+
+    if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(toolError('TOOL_TIMEOUT', `Tool "${tool.name}" timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        tool.handler(args, { signal: controller.signal, timeoutMs, sessionId: options.sessionId }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+}
+
+module.exports = new ToolRegistry();
@@ -0,0 +1,234 @@
+/**
+ * Upstream Pool
+ * Load balancing across several inference server instances
+ *
+ * - Least-outstanding-requests routing, preferring upstreams that passed their last health check
+ * - Sticky routing per session so llama.cpp can reuse the session's prompt cache
+ * - One circuit breaker per upstream; a tripped upstream is skipped until its probe succeeds
+ */
+
+const CircuitBreaker = require('./circuit-breaker');
+const logger = require('../utils/logger');
+
+/**
+ * Normalize "host:port" or a full URL into a base URL without trailing slash
+ */
+function normalizeUrl(entry) {
+  const trimmed = entry.trim().replace(/\/+$/, '');
+  return /^https?:\/\//.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+class UpstreamPool {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.urls - Upstream base URLs or host:port entries
+   * @param {Function} options.healthCheck - async (url) => boolean
+   * @param {Object} options.breaker - { failureThreshold, resetTimeoutMs }
+   * @param {number} options.healthCheckIntervalMs - Background health check period (0 = off)
+   * @param {number} options.stickyTtlMs - How long an idle session keeps its upstream
+   */
+  constructor(options) {
+    this.healthCheck = options.healthCheck;
+    this.healthCheckIntervalMs = options.healthCheckIntervalMs;
+    this.stickyTtlMs = options.stickyTtlMs;
+    this.healthTimer = null;
+
+    // sessionId → { url, lastUsed }
+    this.sticky = new Map();
+
+    this.upstreams = options.urls.map((entry) => {
+      const url = normalizeUrl(entry);
+      return {
+        url,
+        outstanding: 0,
+        healthy: true,
+        lastCheckedAt: null,
+        breaker: new CircuitBreaker({
+          name: url,
+          failureThreshold: options.breaker.failureThreshold,
+          resetTimeoutMs: options.breaker.resetTimeoutMs,
+          probe: () => this.checkUpstream(url),
+        }),
+      };
+    });
+
+    if (this.upstreams.length === 0) {
+      throw new Error('At least one LLaMA upstream must be configured');
+    }
+  }
+
+  /**
+   * First configured upstream (the co-located server when AUTO_START_LLAMA is used)
+   */
+  get primary() {
+    return this.upstreams[0];
+  }
+
+  /**
+   * Find an upstream by URL
+   */
+  get(url) {
+    return this.upstreams.find(upstream => upstream.url === url) || null;
+  }
+
+  /**
+   * Run the health check for one upstream and record the result
+   */
+  async checkUpstream(url) {
+    const upstream = this.get(url);
+    let healthy = false;
+
+    try {
+      healthy = await this.healthCheck(url);
+    } catch (error) {
+      healthy = false;
+    }
+
+    if (upstream) {
+      if (upstream.healthy !== healthy) {
+        logger.info('LLaMA upstream health changed', { url, healthy });
+      }
+      upstream.healthy = healthy;
+      upstream.lastCheckedAt = Date.now();
+    }
+
+    return healthy;
+  }
+
+  /**
+   * Health check every upstream
+   * @returns {Promise<boolean>} true if at least one upstream is healthy
+   */
+  async checkAll() {
+    const results = await Promise.all(this.upstreams.map(upstream => this.checkUpstream(upstream.url)));
+    return results.some(Boolean);
+  }
+
+  /**
+   * Start periodic background health checks and sticky-session cleanup
+   */
+  startHealthChecks() {
+    if (this.healthTimer || !this.healthCheckIntervalMs) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => {
+      this.checkAll().catch(() => {});
+      this.pruneSticky();
+    }, this.healthCheckIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Drop sticky assignments for sessions that have gone idle
+   */
+  pruneSticky() {
+    const cutoff = Date.now() - this.stickyTtlMs;
+
+    for (const [sessionId, entry] of this.sticky) {
+      if (entry.lastUsed < cutoff) {
+        this.sticky.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Whether an upstream can take a request right now (circuit closed or due for a probe)
+   */
+  isAvailable(upstream) {
+    try {
+      upstream.breaker.assertNotOpen();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fail fast when every upstream's circuit is open
+   * @throws {Error} code MODEL_UNAVAILABLE
+   */
+  assertAvailable() {
+    if (!this.upstreams.some(upstream => this.isAvailable(upstream))) {
+      throw this.primary.breaker.unavailableError();
+    }
+  }
+
+  /**
+   * Choose an upstream for a request and reserve it
+   * @param {string|null} sessionId - Session for sticky routing
+   * @param {Set<string>} exclude - URLs that already failed for this request
+   * @returns {Promise<Object>} Upstream (call release() when done)
+   * @throws {Error} code MODEL_UNAVAILABLE if nothing is usable
+   */
+  async acquire(sessionId, exclude = new Set()) {
+    const skipped = new Set(exclude);
+
+    for (;;) {
+      const candidates = this.upstreams.filter(upstream =>
+        !skipped.has(upstream.url) && this.isAvailable(upstream)
+      );
+
+      if (candidates.length === 0) {
+        throw this.primary.breaker.unavailableError();
+      }
+
+      const stickyEntry = sessionId ? this.sticky.get(sessionId) : null;
+      let upstream = stickyEntry
+        ? candidates.find(candidate => candidate.url === stickyEntry.url && candidate.healthy)
+        : null;
+
+      if (!upstream) {
+        upstream = candidates.reduce((best, candidate) => {
+          if (candidate.healthy !== best.healthy) {
+            return candidate.healthy ? candidate : best;
+          }
+          return candidate.outstanding < best.outstanding ? candidate : best;
+        });
+      }
+
+      try {
+        await upstream.breaker.acquire();
+      } catch (error) {
+        skipped.add(upstream.url);
+        continue;
+      }
+
+      if (sessionId) {
+        this.sticky.set(sessionId, { url: upstream.url, lastUsed: Date.now() });
+      }
+
+      upstream.outstanding++;
+      return upstream;
+    }
+  }
+
+  /**
+   * Release a reservation made by acquire()
+   */
+  release(upstream) {
+    upstream.outstanding = Math.max(0, upstream.outstanding - 1);
+  }
+
+  /**
+   * Snapshot for status endpoints
+   */
+  getStatus() {
+    return this.upstreams.map(upstream => ({
+      url: upstream.url,
+      healthy: upstream.healthy,
+      outstanding: upstream.outstanding,
+      lastCheckedAt: upstream.lastCheckedAt ? new Date(upstream.lastCheckedAt).toISOString() : null,
+      circuitBreaker: upstream.breaker.getState(),
+    }));
+  }
+}
+
+module.exports = UpstreamPool;
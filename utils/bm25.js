@@ -0,0 +1,171 @@
+/**
+ * BM25 Index
+ * In-memory keyword retrieval (Okapi BM25) over short passages
+ *
+ * Terms are lowercased words with common function words removed and light suffix
+ * stripping ("hours" → "hour"), so "clinic hours" finds "Clinic hour: 8am". Passages can be
+ * added and removed one at a time, so a changed document is re-indexed without a rebuild.
+ */
+
+const { tokenize } = require('./rule-engine');
+
+// English and Filipino function words that carry no meaning for retrieval
+const DEFAULT_STOPWORDS = [
+  'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did',
+  'i', 'i\'m', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its', 'this', 'that', 'these', 'those',
+  'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as', 'if', 'so', 'can', 'could', 'should',
+  'would', 'will', 'what', 'which', 'who', 'how', 'when', 'where', 'why', 'there', 'here', 'have', 'has',
+  'had', 'please', 'any', 'about', 'need', 'before', 'after', 'just', 'also', 'they', 'them', 'their', 'us',
+  'ang', 'ng', 'nang', 'mga', 'sa', 'si', 'ni', 'ay', 'at', 'ako', 'ko', 'ka', 'mo', 'po', 'ba', 'na',
+  'pa', 'lang', 'din', 'rin', 'naman', 'yung', 'ito', 'iyan', 'ano', 'paano',
+];
+
+/**
+ * Light suffix stripping so inflections meet: "hours" → "hour", "preparing" / "prepare" → "prepar"
+ * Short words and -ss/-us/-is endings ("glass", "status", "diagnosis") are left alone.
+ */
+function stem(word) {
+  let result = word;
+
+  if (result.length > 5 && result.endsWith('ing')) {
+    result = result.slice(0, -3);
+  } else if (result.length > 4 && result.endsWith('ed')) {
+    result = result.slice(0, -2);
+  } else if (result.length > 3 && result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  return result.length > 4 && result.endsWith('e') ? result.slice(0, -1) : result;
+}
+
+/**
+ * Index terms of a text
+ * @param {string} text
+ * @param {Set<string>} stopwords
+ * @returns {Array<string>}
+ */
+function terms(text, stopwords) {
+  const result = [];
+
+  for (const token of tokenize(text)) {
+    const word = token.replace(/'s$/, '').replace(/'/g, '');
+
+    if (!/[\p{L}\p{N}]/u.test(word) || stopwords.has(word)) {
+      continue;
+    }
+
+    result.push(stem(word));
+  }
+
+  return result;
+}
+
+class Bm25Index {
+  /**
+   * @param {Object} options - { k1, b, stopwords }
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.stopwords = new Set(options.stopwords || DEFAULT_STOPWORDS);
+
+    // term → Map(id → term frequency)
+    this.postings = new Map();
+    // id → { length, terms }
+    this.documents = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add (or replace) a passage
+   */
+  add(id, text) {
+    if (this.documents.has(id)) {
+      this.remove(id);
+    }
+
+    const frequencies = new Map();
+    const passageTerms = terms(text, this.stopwords);
+
+    for (const term of passageTerms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.documents.set(id, { length: passageTerms.length, terms: [...frequencies.keys()] });
+    this.totalLength += passageTerms.length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+
+    if (!document) {
+      return;
+    }
+
+    for (const term of document.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+  }
+
+  /**
+   * Best-matching passages for a query
+   * @param {string} query
+   * @param {Object} options - { limit }
+   * @returns {Array<{ id, score }>} Highest score first; passages without a query term are left out
+   */
+  search(query, options = {}) {
+    const limit = options.limit ?? 10;
+    const count = this.documents.size;
+
+    if (count === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of new Set(terms(query, this.stopwords))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        const length = this.documents.get(id).length;
+        const score = idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  Bm25Index,
+  terms,
+  DEFAULT_STOPWORDS,
+};
@@ -0,0 +1,199 @@
+/**
+ * Document Chunker
+ * Turns knowledge-base documents (Markdown, plain text, HTML) into retrievable passages
+ *
+ * Documents are split into sections at their headings, and each section into passages of
+ * at most `maxWords` words along paragraph boundaries. A paragraph longer than that is cut
+ * into overlapping windows so a sentence at a cut still appears whole in one passage.
+ */
+
+const FORMATS = ['markdown', 'text', 'html'];
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+  '&apos;': '\'',
+  '&nbsp;': ' ',
+};
+
+/**
+ * Format of a file from its extension
+ * @returns {string|null} 'markdown', 'text', 'html' or null if unsupported
+ */
+function formatFromFilename(filename) {
+  const extension = filename.toLowerCase().split('.').pop();
+
+  if (['md', 'markdown'].includes(extension)) return 'markdown';
+  if (['txt', 'text'].includes(extension)) return 'text';
+  if (['html', 'htm'].includes(extension)) return 'html';
+
+  return null;
+}
+
+/**
+ * URL-safe document id from a title or file name ("Clinic Hours.md" → "clinic-hours")
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\.(md|markdown|txt|text|html|htm)$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&(?:amp|lt|gt|quot|#39|apos|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)));
+}
+
+/**
+ * HTML → Markdown-style text: headings become "#" lines, block elements line breaks
+ */
+function htmlToText(html) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+  const text = html
+    .replace(/<(script|style|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) =>
+      `\n\n${'#'.repeat(Number(level))} ${content.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|ul|ol|table|tr|blockquote)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return { title: title ? decodeEntities(title).trim() : null, text: decodeEntities(text) };
+}
+
+/**
+ * Remove Markdown syntax that means nothing to a reader of the plain text
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`{1,3}([^`]*)`{1,3}/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\s)[*_](\S(?:.*?\S)?)[*_](?=\s|$|[.,;:!?])/g, '$1$2')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '- ')
+    .replace(/^\s*\|?(\s*:?-+:?\s*\|)+\s*$/gm, '');
+}
+
+/**
+ * Split a document into titled sections
+ * @param {string} content - Raw document
+ * @param {string} format - 'markdown', 'text' or 'html'
+ * @returns {{ title: string|null, sections: Array<{ heading: string|null, text: string }> }}
+ */
+function parseDocument(content, format) {
+  if (!FORMATS.includes(format)) {
+    const error = new Error(`Unsupported document format "${format}" (expected ${FORMATS.join(', ')})`);
+    error.code = 'UNSUPPORTED_FORMAT';
+    throw error;
+  }
+
+  let text = String(content).replace(/\r\n?/g, '\n');
+  let title = null;
+
+  if (format === 'html') {
+    ({ title, text } = htmlToText(text));
+  }
+
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  for (const line of text.split('\n')) {
+    const heading = format !== 'text' && line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading[1].trim(), lines: [] };
+      title = title || heading[1].trim();
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return {
+    title,
+    sections: sections
+      .map(section => ({
+        heading: section.heading,
+        text: (format === 'text' ? section.lines.join('\n') : stripMarkdown(section.lines.join('\n'))).trim(),
+      }))
+      .filter(section => section.text.length > 0),
+  };
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Cut sections into passages
+ * @param {Array<{ heading, text }>} sections - From parseDocument()
+ * @param {Object} options - { maxWords, overlapWords }
+ * @returns {Array<{ section: string|null, text: string }>}
+ */
+function chunkSections(sections, options) {
+  const { maxWords, overlapWords } = options;
+  const chunks = [];
+
+  for (const section of sections) {
+    const paragraphs = section.text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    let buffer = [];
+    let bufferWords = 0;
+
+    const flush = () => {
+      if (buffer.length > 0) {
+        chunks.push({ section: section.heading, text: buffer.join('\n\n') });
+        buffer = [];
+        bufferWords = 0;
+      }
+    };
+
+    for (const paragraph of paragraphs) {
+      const words = wordCount(paragraph);
+
+      if (words > maxWords) {
+        flush();
+
+        const tokens = paragraph.split(/\s+/);
+        const step = Math.max(1, maxWords - overlapWords);
+
+        for (let start = 0; start < tokens.length; start += step) {
+          chunks.push({ section: section.heading, text: tokens.slice(start, start + maxWords).join(' ') });
+          if (start + maxWords >= tokens.length) break;
+        }
+        continue;
+      }
+
+      if (bufferWords + words > maxWords) {
+        flush();
+      }
+
+      buffer.push(paragraph);
+      bufferWords += words;
+    }
+
+    flush();
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  FORMATS,
+  formatFromFilename,
+  slugify,
+  parseDocument,
+  chunkSections,
+};
@@ -0,0 +1,88 @@
+/**
+ * JSON Schema Validation
+ * Checks model-produced JSON (tool arguments) against the subset of JSON Schema the tool
+ * definitions use: type, properties, required, additionalProperties: false, items, enum,
+ * pattern, minLength / maxLength, minimum / maximum
+ *
+ * Grammar-constrained backends (llama.cpp) already keep to the schema; others may not.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path] - Location used in error messages
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+function validate(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${path} must be ${schema.type}`];
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} does not match ${schema.pattern}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} is shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} is longer than ${schema.maxLength}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} is below ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} is above ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate,
+};
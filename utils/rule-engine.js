@@ -0,0 +1,268 @@
+/**
+ * Rule Engine
+ * Phrase matching behind the safety rules (emergency, urgent, prohibited topics)
+ *
+ * - Whole-word matching on normalized tokens ("stroke" does not match "strokes of luck")
+ * - Synonym groups map every variant to the group's first entry before matching ("cant breath"
+ *   reads as "can't breathe"); variants may be several words ("unable to")
+ * - Fuzzy matching: tokens within one edit (typo or swapped letters) match, and a phrase
+ *   written as one word ("chestpain") matches its spaced form. Single-word phrases only match
+ *   fuzzily when long, since short words have too many real neighbours ("choking" / "cooking")
+ * - Negation: a match is negated and does not count when a negation cue ("no", "don't", "without")
+ *   governs it: the cue comes right before the phrase, or only bridge words ("have", "any", "feel")
+ *   come between. Cues further away are left alone ("no idea why my chest pain…", "never felt this
+ *   chest pain before")
+ * - Weighted scores: each matched rule adds its weight once; a rule set triggers at its threshold
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}']+|[.,;:!?]/gu;
+
+/**
+ * Lowercase words and punctuation tokens
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[‘’ʼ`]/g, '\'')
+    .match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Index synonym groups for canonicalize(): first token → variants (longest first)
+ * @param {Array<Array<string>>} groups - [[canonical, variant, ...], ...]
+ */
+function buildSynonymIndex(groups = []) {
+  const index = new Map();
+
+  for (const group of groups) {
+    const canonical = tokenize(group[0]);
+
+    for (const variant of group.slice(1)) {
+      const tokens = tokenize(variant);
+      if (tokens.length === 0) continue;
+
+      if (!index.has(tokens[0])) index.set(tokens[0], []);
+      index.get(tokens[0]).push({ tokens, canonical });
+    }
+  }
+
+  for (const variants of index.values()) {
+    variants.sort((a, b) => b.tokens.length - a.tokens.length);
+  }
+
+  return index;
+}
+
+/**
+ * Replace synonym variants with their canonical tokens
+ */
+function canonicalize(tokens, synonymIndex) {
+  const result = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const variants = synonymIndex.get(tokens[i]) || [];
+    const variant = variants.find(candidate =>
+      candidate.tokens.every((token, k) => tokens[i + k] === token)
+    );
+
+    if (variant) {
+      result.push(...variant.canonical);
+      i += variant.tokens.length;
+    } else {
+      result.push(tokens[i]);
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Edit distance counting adjacent transpositions as one edit (optimal string alignment)
+ * Returns early once the distance is known to exceed `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Compile a rule set for evaluate()
+ * @param {Object} ruleSet - { rules: [{ id, phrases, weight, fuzzy }], threshold }
+ * @param {Object} options - { synonyms, matching, fuzzy } shared across rule sets;
+ *   fuzzy: false turns typo matching off for every rule
+ */
+function compileRuleSet(ruleSet, options) {
+  const synonymIndex = buildSynonymIndex(options.synonyms);
+  const matching = options.matching;
+
+  return {
+    threshold: ruleSet.threshold ?? 1,
+    synonymIndex,
+    matching,
+    negationCues: new Set(matching.negationCues),
+    negationBridges: new Set(matching.negationBridges || []),
+    rules: ruleSet.rules.map(rule => ({
+      id: rule.id,
+      weight: rule.weight ?? 1,
+      fuzzy: options.fuzzy !== false && rule.fuzzy !== false,
+      phrases: rule.phrases.map(phrase => {
+        const tokens = canonicalize(tokenize(phrase), synonymIndex);
+        return { text: phrase, tokens, joined: tokens.join('') };
+      }),
+    })),
+  };
+}
+
+function isWord(token) {
+  return !/^[.,;:!?]$/.test(token);
+}
+
+function tokensMatch(actual, expected, allowFuzzy, matching) {
+  if (actual === expected) {
+    return { matched: true, fuzzy: false };
+  }
+
+  if (allowFuzzy && expected.length >= matching.fuzzy.minTokenLength &&
+    editDistance(actual, expected, matching.fuzzy.maxEdits) <= matching.fuzzy.maxEdits) {
+    return { matched: true, fuzzy: true };
+  }
+
+  return { matched: false, fuzzy: false };
+}
+
+/**
+ * Find a phrase at position i
+ * @returns {{ length: number, fuzzy: boolean }|null} Tokens consumed, or null
+ */
+function matchAt(tokens, i, phrase, rule, compiled) {
+  const { matching } = compiled;
+  const singleWord = phrase.tokens.length === 1;
+  const allowFuzzy = rule.fuzzy && (!singleWord || phrase.joined.length >= matching.fuzzy.singleWordMinLength);
+
+  let fuzzy = false;
+  let k = 0;
+
+  for (; k < phrase.tokens.length; k++) {
+    if (i + k >= tokens.length) break;
+    const result = tokensMatch(tokens[i + k], phrase.tokens[k], allowFuzzy, matching);
+    if (!result.matched) break;
+    fuzzy = fuzzy || result.fuzzy;
+  }
+
+  if (k === phrase.tokens.length) {
+    return { length: k, fuzzy };
+  }
+
+  // Phrase written as one word: "chestpain", "heartattack"
+  if (!singleWord && isWord(tokens[i])) {
+    const result = tokensMatch(tokens[i], phrase.joined, rule.fuzzy, matching);
+    if (result.matched) {
+      return { length: 1, fuzzy: result.fuzzy };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a negation cue governs the match at position i: "no chest pain", "don't have any chest pain"
+ */
+function isNegated(tokens, i, compiled) {
+  let j = i - 1;
+
+  while (j >= 0 && compiled.negationBridges.has(tokens[j])) {
+    j--;
+  }
+
+  return j >= 0 && compiled.negationCues.has(tokens[j]);
+}
+
+/**
+ * Evaluate text against a compiled rule set
+ * @returns {{ triggered: boolean, score: number, matches: Array, matchedPhrases: Array<string> }}
+ *   matches lists every rule that matched, including negated ones ({ rule, phrase, text, negated, fuzzy, weight })
+ */
+function evaluate(text, compiled) {
+  const tokens = canonicalize(tokenize(text), compiled.synonymIndex);
+  const matches = [];
+  let score = 0;
+
+  for (const rule of compiled.rules) {
+    let best = null;
+
+    for (const phrase of rule.phrases) {
+      for (let i = 0; i < tokens.length; i++) {
+        const found = matchAt(tokens, i, phrase, rule, compiled);
+        if (!found) continue;
+
+        const candidate = {
+          rule: rule.id,
+          phrase: phrase.text,
+          text: tokens.slice(i, i + found.length).join(' '),
+          negated: isNegated(tokens, i, compiled),
+          fuzzy: found.fuzzy,
+          weight: rule.weight,
+        };
+
+        // Prefer an affirmed match, then an exact one
+        if (!best || (best.negated && !candidate.negated) ||
+          (best.negated === candidate.negated && best.fuzzy && !candidate.fuzzy)) {
+          best = candidate;
+        }
+      }
+    }
+
+    if (best) {
+      matches.push(best);
+      if (!best.negated) {
+        score += best.weight;
+      }
+    }
+  }
+
+  return {
+    triggered: score >= compiled.threshold,
+    score,
+    matches,
+    matchedPhrases: matches.filter(match => !match.negated).map(match => match.phrase),
+  };
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  compileRuleSet,
+  evaluate,
+};
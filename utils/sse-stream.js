@@ -0,0 +1,272 @@
+/**
+ * SSE Stream
+ * Writes chat Server-Sent Events in the protocol version negotiated for the request
+ *
+ * v1 (default): each `token` event carries the new token and the full accumulated `content`.
+ * v2: `token` events carry only the new text (`delta`), coalesced over streaming.coalesceMs,
+ *     every event carries a `seq` number, and `done` adds the `length` and sha256 `checksum`
+ *     of the assembled deltas so clients can verify the text they built up.
+ *
+ * Every event has an SSE id (`<streamId>-<n>`) and is buffered, so a client that reconnects
+ * with Last-Event-ID gets the events it missed replayed. The stream outlives its HTTP
+ * response: when the last client disconnects it emits 'abandoned' only after
+ * streaming.resumeGraceMs without a reconnect.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/config');
+
+const SUPPORTED_PROTOCOLS = [1, 2];
+
+/**
+ * Protocol requested by the client: body `protocol`, then the X-Stream-Protocol header
+ * @returns {number|null} Protocol version, or null if the requested version is unsupported
+ */
+function negotiateProtocol(req) {
+  const requested = req.body?.protocol ?? req.get('X-Stream-Protocol');
+
+  if (requested === undefined || requested === null || requested === '') {
+    return config.streaming.defaultProtocol;
+  }
+
+  const version = parseInt(requested, 10);
+  return SUPPORTED_PROTOCOLS.includes(version) ? version : null;
+}
+
+class SseStream extends EventEmitter {
+  /**
+   * @param {Object} options - { protocol, coalesceMs, graceMs }
+   */
+  constructor(options = {}) {
+    super();
+    this.id = crypto.randomBytes(4).toString('hex');
+    this.protocol = options.protocol || 1;
+    this.coalesceMs = options.coalesceMs ?? config.streaming.coalesceMs;
+    this.graceMs = options.graceMs ?? config.streaming.resumeGraceMs;
+    this.seq = 0;
+    this.content = '';
+    this.pending = '';
+    this.flushTimer = null;
+    this.graceTimer = null;
+    this.clients = new Set();
+    this.buffer = [];
+    this.ended = false;
+  }
+
+  /**
+   * Connect an HTTP response: send SSE headers, replay missed events, then follow live
+   * @param {Object} res - Express response
+   * @param {string|null} lastEventId - Last-Event-ID from a reconnecting client
+   */
+  attach(res, lastEventId = null) {
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.setHeader('X-Stream-Protocol', String(this.protocol));
+
+      res.flushHeaders();
+    }
+
+    const after = this.parseEventId(lastEventId);
+    for (const frame of this.buffer) {
+      if (frame.n > after) {
+        res.write(frame.text);
+      }
+    }
+
+    if (this.ended) {
+      res.end();
+      return;
+    }
+
+    // SSE heartbeat keep-alive: send a named event periodically to prevent
+    // Cloudflare Tunnel / reverse-proxy idle-timeout disconnects (502).
+    // Use a named event (not an SSE comment) since some CDN layers strip comments.
+    const client = {
+      res,
+      heartbeat: setInterval(() => {
+        if (!res.writableEnded) {
+          res.write('event: heartbeat\ndata: {}\n\n');
+        }
+      }, config.streaming.heartbeatIntervalMs),
+    };
+
+    this.clients.add(client);
+    clearTimeout(this.graceTimer);
+    this.graceTimer = null;
+
+    res.on('close', () => this.detach(client));
+  }
+
+  /**
+   * A client went away; give up on the stream if nobody reconnects within the grace period
+   */
+  detach(client) {
+    clearInterval(client.heartbeat);
+    this.clients.delete(client);
+
+    if (this.ended || this.clients.size > 0 || this.graceTimer) {
+      return;
+    }
+
+    this.emit('detached');
+
+    this.graceTimer = setTimeout(() => {
+      this.graceTimer = null;
+      if (!this.ended && this.clients.size === 0) {
+        this.emit('abandoned');
+      }
+    }, this.graceMs);
+  }
+
+  /**
+   * Position of an event id in this stream (0 = replay everything)
+   * Ids from another stream replay everything as well.
+   */
+  parseEventId(eventId) {
+    if (!eventId) {
+      return 0;
+    }
+
+    const [streamId, n] = String(eventId).split('-');
+    return streamId === this.id ? parseInt(n, 10) || 0 : 0;
+  }
+
+  isWritable() {
+    return !this.ended;
+  }
+
+  write(event, data) {
+    if (!this.isWritable()) {
+      return;
+    }
+
+    const n = ++this.seq;
+    const payload = this.protocol >= 2 ? { seq: n, ...data } : data;
+    const text = `id: ${this.id}-${n}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+    this.buffer.push({ n, text });
+    if (this.buffer.length > config.streaming.maxBufferedEvents) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      if (!client.res.writableEnded) {
+        client.res.write(text);
+      }
+    }
+  }
+
+  /**
+   * Send a named event; pending tokens go out first to keep ordering
+   */
+  send(event, data) {
+    this.flush();
+    this.write(event, data);
+  }
+
+  /**
+   * Append generated text to the stream
+   */
+  token(text) {
+    if (!text) {
+      return;
+    }
+
+    this.content += text;
+
+    if (this.protocol < 2) {
+      this.write('token', { token: text, content: this.content });
+      return;
+    }
+
+    this.pending += text;
+
+    if (this.coalesceMs <= 0) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.coalesceMs);
+    }
+  }
+
+  /**
+   * Write coalesced tokens now
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (!this.pending) {
+      return;
+    }
+
+    const delta = this.pending;
+    this.pending = '';
+    this.write('token', { delta });
+  }
+
+  /**
+   * Tell the client to replace everything shown so far with data.message
+   * Tokens not yet sent are dropped; the v2 checksum then covers the replacement text.
+   */
+  retract(data) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    this.pending = '';
+    this.content = data.message;
+    this.write('retract', data);
+  }
+
+  /**
+   * Final event; v2 adds length (UTF-16 code units) and sha256 checksum (hex, UTF-8) of the streamed text
+   */
+  done(data) {
+    this.flush();
+
+    if (this.protocol < 2) {
+      this.write('done', data);
+      return;
+    }
+
+    this.write('done', {
+      ...data,
+      length: this.content.length,
+      checksum: crypto.createHash('sha256').update(this.content, 'utf8').digest('hex'),
+    });
+  }
+
+  /**
+   * Finish the stream and close every connected response
+   * Buffered events stay available for late reconnects until the registry drops the stream.
+   */
+  end() {
+    if (this.ended) {
+      return;
+    }
+
+    this.flush();
+    this.ended = true;
+    clearTimeout(this.graceTimer);
+    this.graceTimer = null;
+
+    for (const client of this.clients) {
+      clearInterval(client.heartbeat);
+      if (!client.res.writableEnded) {
+        client.res.end();
+      }
+    }
+    this.clients.clear();
+
+    this.emit('end');
+  }
+}
+
+module.exports = { SseStream, negotiateProtocol, SUPPORTED_PROTOCOLS };